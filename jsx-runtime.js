@@ -0,0 +1,10 @@
+// JSX automatic runtime. Set "jsxImportSource": "caldom" (TypeScript) or importSource: "caldom" (Babel) to compile JSX into CalDom instances. See _.h() & _.jsx()
+// Loads package.json's main instead of a separate build output, so JSX output & components share one CalDom with require("caldom")
+var calDom = require("./");
+
+module.exports = {
+	jsx: calDom["jsx"],
+	jsxs: calDom["jsx"],
+	jsxDEV: calDom["jsx"],
+	Fragment: calDom["Fragment"]
+};
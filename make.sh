@@ -6,6 +6,9 @@ cp "./src/caldom.js" "./dist/caldom.js"
 
 sed "s/.*export default/export default/" "./dist/caldom.js" >> "./dist/caldom.mjs.js"
 
+# Server entry loads the same build as package.json's main, so components share one CalDom
+sed 's#require("./caldom.js")#require("./caldom.min.js")#' "./src/caldom.server.js" > "./dist/caldom.server.js"
+
 npx uglifyjs "./dist/caldom.js" --mangle --mangle-props "keep_quoted" --toplevel --compress --source-map --output "./dist/caldom.min.js"
 npx uglifyjs "./dist/caldom.mjs.js" --mangle --mangle-props "keep_quoted" --toplevel --compress --source-map --output "./dist/caldom.min.mjs.js"
 
@@ -1,1801 +1,7231 @@
-/*
- * CalDom 1.0.6 - Reactive+
- * Copyright (c) 2021 Dumi Jay
- * Released under the MIT license - https://github.com/dumijay/CalDom/
- */
-
-// Uncomment below line to support ES6 module import/export.
-// export default
-
-(function(){
-
-var _window = window;
-var _array_prototype = Array.prototype;
-var _slice = _array_prototype.slice;
-
-var _node_prototype = _window.Node.prototype;
-var _insertFunc_appendChild = _node_prototype.appendChild;
-var _insertFunc_insertBefore = _node_prototype.insertBefore;
-var _isNodeConnected = !("isConnected" in Node.prototype)
-	? function(node){
-		return !(node.ownerDocument.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_DISCONNECTED);
-	}
-	: function(node){
-		return node.isConnected;
-	}
-
-//RequstAnimationFrame polyfill
-var _requestAnimationFramePolyfill = _window.requestAnimationFrame
-	|| _window.webkitRequestAnimationFrame
-	|| _window.mozRequestAnimationFrame
-	|| function(callback){
-		return setTimeout( callback, 1000 / 60);
-	}
-//_window.Element.prototype.matches polyfill
-_window.Element.prototype.matches = _window.Element.prototype.matches
-	|| _window.Element.prototype.webkitMatchesSelector
-	|| _window.Element.prototype.mozkitMatchesSelector
-	|| _window.Element.prototype.msMatchesSelector
-	|| _window.Element.prototype.oMatchesSelector;
-
-/**
- * @category Initiate
- * @constructor
- * @title _( query_or_elems )
- * @description Initiates a CalDom instance.
- * @param {String | CalDom | Node | Array<Node> | NodeList | HTMLCollection} [query_or_elems] (Optional) "+tag" creates a new Element.
- * '<tag></tag>' creates specified HTML structure. "~svg_tag" creates a SVG element.
- * Otherwise, it can be a CSS Selector, an XPath query starting with "$", a CalDom instance, a single Node/Element, an array of Nodes or a NodeList/HTMLCollection.
- * @param {Array<CalDom | Node | String>} [children_array] (Optional) Array of child elements to be passed into append(). Can be CalDom/Node/String/HTML. See append() for all possibilities.
- * This might be useful for code-clarity at render() function for reactive components. See examples at react().
- * @param {Window} [parentWindow=window] (Optional) parent_window default to current window. Use this to work with iframes or external windows.
- * @returns {CalDom} A new CalDom instance with created/found elements.
- * @example
- * //Create a new password input element with a placeholder
- * var passwordInput = _("+input")
- * 		.attr({
- * 			type: "password",
- * 			placeholder: "Enter your password"
- * 		});
- *
- * //Create a password input element using full HTML syntax
- * var passwordInput = _( '<input type="password" placeholder="Type your password here" />' );
- *
- * //Create a new SVG element
- * var svgRectangle = _("~rect")
- * 		.attr({
- * 			width: 100,
- * 			height: 100
- * 		});
- *
- * //Get element by ID using CSS Selector
- * var container = _("#container-id");
- *
- * //Find anchor elements inside <article> with href containing "wikipedia.org" using an XPath query
- * var wikipedia_links = _("$//article/a[contains(＠href, 'wikipedia.org')]");
- *
- * //Create a CalDom instance with a single Node
- * var container = _( document.body.children[3] );
- *
- * //Create a CalDom instance with a NodeList or array of Nodes
- * var bodyChildren = _(document.body.childNodes);
- *
- * //Create a new DIV element and provide an array of children as the 2nd argument.
- * //CalDom accepts a wide variety of input types as children. See append() for all possibilities.
- * var something = _(
- * 		"+div",
- * 		[
- * 			document.createElement("h1"), //Node
- *
- * 			_("+p").text("I'm a paragraph inside DIV."), //CalDom
- *
- * 			'<img width="120" height="120" src="something.png" />', //HTML syntax
- *
- * 			"Text Node inside DIV"
- * 		]
- * );
- */
-var CalDom = function(query_or_elems, children_array, parentWindow){
-	this.init(query_or_elems, children_array, parentWindow);
-};
-
-CalDom.prototype = {
-
-	/**
-	 * @private
-	 * @description Context window. Set during init. Refer CalDom's constructor for details.
-	 */
-	"_w": undefined,
-
-	/**
-	 * @title elems: Array<Node>
-	 * @description Nodes/Elements of this CalDom instance.
-	 * (Note that directly changing items here is not recommended.)
-	 * @example
-	 *
-	 * //Get 3rd img element (zero-based index)
-	 * var third_img_elem = _("img").elems[2];
-	 */
-	"elems": [],
-
-	/**
-	 * @title watched: Boolean
-	 * @description Whether state changes are monitored in the reactive mode. See react() for details.
-	 */
-	"watched": undefined,
-
-	/**
-	 * @private
-	 * @description To track changed/deleted state keys. Refer usage inside react()
-	 */
-	_watch_state_changed_keys: {},
-
-	/**
-	 * @private
-	 * @description To track how many keys got changed/deleted. Refer usage inside react()
-	 */
-	_watch_state_change_count: 0,
-
-	_setMultipleMode: function(){
-		this.each = _eachMultiple;
-		this.map = _mapMultiple;
-		this.find = _findMultiple;
-		this.prop = _propMultiple;
-		this.attr = _attrMultiple;
-		this.css = _cssMultiple;
-		this.addClass = _addClassMultiple;
-		this.removeClass = _removeClassMultiple;
-	},
-
-	/**
-	 * @private
-	 * @description Internal init(). Refer CalDom's constructor
-	 */
-	init: function(selector_xpath_caldom_elems, children_array, parentWindow){
-
-		this._w = parentWindow || window;
-
-		if( selector_xpath_caldom_elems ){
-			// if(selector_xpath_caldom_elems instanceof CalDom){
-			// 	this.elems = selector_xpath_caldom_elems.elems;
-			// }
-			// else 
-			if( _isArrayLike(selector_xpath_caldom_elems) ){
-					this.elems = _slice.call( selector_xpath_caldom_elems );
-			}
-			else if(typeof selector_xpath_caldom_elems == 'object' ){
-				this.elems = [selector_xpath_caldom_elems];
-			}
-			else{
-				this.elems = q(selector_xpath_caldom_elems, this._w.document);
-			}
-
-			if( this.elems.length != 1 ) this._setMultipleMode();
-		}
-
-		if( children_array && _isArrayLike(children_array) ) insertBefore.call( this, children_array, null, _insertFunc_appendChild );
-
-		return this;
-	},
-
-	/**
-	 * @category Traverse
-	 * @description Get a new CalDom instance with matching descendent elements for all elements in this CalDom instance.
-	 * Note: This could return duplicates when there are inter-connected elements in this CalDom instance.
-	 * @param {String} selector_or_xpath CSS Selector to find or XPath query starting with "$"
-	 * @returns {CalDom} A new CalDom instance with found elements.
-	 * @example
-	 * //Find child elements by the CSS selector
-	 * var slide_photos = calDomInstance.find(".slide-photo");
-	 *
-	 * //Find child anchor elements with href containing "wikipedia.org" using an XPath query.
-	 * //(Note relative XPath queries starts with './' instead of root '/')
-	 * var wikipedia_links = calDomInstance.find("$./a[contains(＠href, 'wikipedia.org')]");
-	 *
-	 * //Find following siblings of a <li> using an XPath query.
-	 * var li_next_siblings = _("#li-id").find("$./following-sibling::li");
-	 */
-	"find": _findSingle,
-
-	/**
-	 * @category Traverse
-	 * @description Get a new CalDom instance with i-th element in this CalDom instance.
-	 * @param {Number} index Can be a zero-based index or a minus(-i) index from end (Eg: -1 returns last element)
-	 * @returns {CalDom} A new CalDom instance with the i-th element
-	 * @example
-	 * //Get a new CalDom instance for 5th paragraph
-	 * var fifth_para = _("p").eq(4);
-	 *
-	 * //Get a new Caldom instance for 2nd last paragraph
-	 * var second_last_para = _("p").eq(-2);
-	 */
-	"eq": function(index){
-		return new CalDom( this.elems[ index < 0 ? this.elems.length + index : index ], undefined, this._w );
-	},
-
-	/**
-	 * @category Traverse
-	 * @description Get a new CalDom instance with immediate parent(s) or n-th parent(s) or parent(s) matching the CSS selector. (If this CalDom instance has more than 1 element, parents of all of them are included.)
-	 * @param {Number | String} [n_or_selector] (Optional) Default is immediate parent. If a number is given, n-th parent is returned (zero-based). If a string is given, first parent(s) to match the CSS selector is returned.
-	 * @returns {CalDom} A new CalDom instance with matched parents. Multiple parents will be returned if there are 2 or more elements in this CalDom instance.
-	 * @throws {TypeError} Throws if Element.matches() is not supported in the browser. Use the polyfill at https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
-	 * @example
-	 * //Get a new CalDom instance for immediate parent
-	 * var para_parent = _("#para").parent();
-	 *
-	 * //Get a new CalDom instance for 2nd-level parent(grand-parent)
-	 * var grand_parent = _("#para").parent(1);
-	 *
-	 * //Get parents with the class "container" for all img elements
-	 * var img_parents = _("img").parent(".container");
-	 */
-	"parent": function(n_or_selector){
-		var _this = this;
-
-		var output = [];
-
-		if( !n_or_selector || typeof n_or_selector == 'number' ){
-			this.each(function(elem){
-				var cur_node = elem.parentNode;
-
-				for(var parent_i = 0; parent_i < n_or_selector; parent_i++){
-					cur_node = cur_node.parentNode;
-				}
-
-				output.push( cur_node );
-			});
-		}
-		else{
-			this.each(function(elem){
-				var cur_node = elem.parentNode;
-
-				var is_document = cur_node == _this._w.document;
-
-				while( !is_document && !cur_node.matches(n_or_selector) ){
-					cur_node = cur_node.parentNode;
-					is_document = cur_node == _this._w.document;
-				}
-
-				if( !is_document ) output.push( cur_node );
-			});
-		}
-
-		return new CalDom( output, undefined, this._w );
-	},
-
-	/**
-	 * @category Traverse
-	 * @description Get a new CalDom instance with children of all elements in this CalDom instance. (If this CalDom instance has more than 1 element, children of all of them are included.)
-	 * @param {String} [match_selector] (Optional) CSS selector to match
-	 * @throws {TypeError} Throws if Element.matches() is not supported in the browser. Use the polyfill at https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
-	 * @returns {CalDom} A new CalDom instance with children.
-	 * @example
-	 *
-	 * //Get all children of element with id "container-id"
-	 * var container_children = _("#container-id").children();
-	 *
-	 * //Get checked elements
-	 * var checked_elements = _("#form-id").children(":checked");
-	 */
-	"children": function(match_selector){
-		var output = [];
-
-		this.each(function(elem){
-			var children = _slice.call( elem.childNodes ); //Because NodeList enumeration is damn slow \_/ https://jsben.ch/1HYYe
-
-			for( var i = 0, len = children.length; i < len; i++ ){
-				var child = children[i];
-
-				if( !match_selector || (child.matches && child.matches(match_selector)) ) output.push(child);
-			}
-		});
-
-		return new CalDom( output, undefined, this._w );
-	},
-
-	/**
-	 * @category Iterate
-	 * @description Iterate each element in this CalDom instance with a callback.
-	 * @param {Function} callback Function to callback. Callback is called with 2 arguments: callback(elem: Node, index: Number). The enumeration stops if the callback returns false.
-	 * @returns {CalDom} Returns current CalDom instance
-	 * @example
-	 * //Iterate through all img elements with the class "slide" and log its index and src
-	 * _("img.slide").each( function(elem, i){
-	 * 		console.log( i, elem.src );
-	 * });
-	 */
-	"each": _eachSingle,
-
-	/**
-	 * @category Iterate
-	 * @description Iterate each element in this CalDom instance with a callback and get an array of callback's returned values.
-	 * @param {Function} callback Function to callback. Callback is called with 2 arguments: callback(elem: Node, index: Number).
-	 * @returns {Array} An array of values returned by the callback.
-	 * @example
-	 * //Get value length of text input elements
-	 * var lengths = _("input[type=text]")
-	 * 		.map( function(elem, i) {
-	 * 			return elem.value.length;
-	 * 		})
-	 */
-	 "map": _mapSingle,
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Get or set innerHTML of all elements in this CalDom instance.
-	 * (WARNING: This might lead to XSS vulnerabilities. Use text() or append("text_content") if you're only updating text).
-	 * @param {String | Array<String>} [html_or_html_array] (Optional) A HTML string or an array of HTML strings to set at corresponding n-th element.
-	 * If not given, an array of innerHTML for all elements in this CalDom instance is returned.
-	 * @returns { CalDom | Array<String> } If html_or_html_array param is given, current CalDom instance is returned.
-	 * Otherwise, an array of innerHTML from all elements in this CalDom instance is returned.
-	 * @example
-	 * //Set HTML code to a DIV element
-	 * _("#div-id").html( '<p>Bla Bla</p>' );
-	 *
-	 * //Set an array of HTML code to corresponding n-th element
-	 * _(".container").html( ['<p id="para-1"></p>', '<p id="para-2"></p>'] );
-	 *
-	 * //Get HTML code of all div elements as an array
-	 * var h3_html_array = _("div").html();
-	 */
-	"html": function(html_or_html_array){
-
-		// TODO: Make this direct for performance?
-		return this.prop("innerHTML", html_or_html_array, true);
-
-	},
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Get or set textContent of all elements in this CalDom instance.
-	 * @param {String | Array<String>} [text_or_text_array] (Optional) Text or an array of text to set at corresponding n-th element.
-	 * If not given, an array of textContent is returned.
-	 * @returns { CalDom | Array<String> } If text_or_text_array is given, current CalDom instance is returned.
-	 * Otherwise, an array of textContent from all elements in this CalDom instance is returned.
-	 * @example
-	 * //Set text of all anchor elements to "Click Here"
-	 * _("a").text("Click Here");
-	 *
-	 * //Set an array of text to n-th paragraph
-	 * _("p").text( ["Para One", "Para Two"] )
-	 *
-	 * //Get an array of text from span elements with the class "caption"
-	 * var captions_array = _("span.caption").text();
-	 */
-	"text": function(text_or_text_array){
-
-		// TODO: Make this direct for performance?
-		return this.prop("textContent", text_or_text_array, true);
-
-	},
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Get or set value property of elements in this CalDom instance.
-	 * @param {String | Number | Array<String | Number>} [val_or_val_array] (Optional) Value or array of values to to be set at corresponding n-th element.
-	 * If not given, array of values will be returned.
-	 * @returns { CalDom | Array<String> } If val_or_val_array is given, current CalDom instance is returned.
-	 * Otherwise, array of value from all elements in this CalDom instance is returned.
-	 * @example
-	 *
-	 * //Get an value array from all text input elements
-	 * var input_text_array = _('input[type="text"]').val();
-	 *
-	 * //Make all password fields empty
-	 * _('input[type="password"]').val("");
-	 *
-	 * //Set an array of values to n-th input element
-	 * _('input[type="text"]').val( ["One", "Two", "Three"] );
-	 */
-	"val": function(val_or_val_array){
-
-		// TODO: Make this direct for performance
-		return this.prop("value", val_or_val_array, true);
-
-	},
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Get or set attribute(s) of elements in this CalDom instance.
-	 * @param {String | Object} key_or_key_values Attribute name as a String or { key: value, ... } object to set multiple attributes
-	 * @param {any | Array<String | Number>} [val_or_val_array] (Optional) Value or array of values to be assigned at corresponding n-th element.
-	 * If not given, an array of attribute values for the given key is returned.
-	 * @returns { CalDom | Array<String | Number> } If it's a set request, current CalDom instance is returned.
-	 * Otherwise, an attribute value array from all elements in this CalDom instance is returned.
-	 * @example
-	 * //Set scrolling attribute of all iframes
-	 * _("iframe").attr("scrolling", "no");
-	 *
-	 * //Get an array of href attribute from all <a> tags
-	 * var links_array = _("a").attr("href");
-	 *
-	 * //Set width and height of img elements
-	 * _("img").attr({
-	 * 	width: 400,
-	 * 	height: 300
-	 * });
-	 *
-	 * //Set an array of type attribute to n-th input elements
-	 * _("input").attr( "type", ["text", "password", "date"] );
-	 */
-	 "attr": _attrSingle,
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Get or set variable(s) at elements' root. Other than assigning custom data of any type at elements' root, this can be used to access all properties/attributes of elements as well.
-	 * Warning: Look out for untracked circular references that might lead to memory leaks.
-	 * @param {String | Object} key_or_key_values Variable name as a String or { key: value, ... } object to set multiple variables.
-	 * @param {any | Array} [val_or_val_array] (Optional) Value or an array of values to be to be assigned at the corresponding n-th element. If empty, an array of given key's values is returned.
-	 * @returns {CalDom | Array} If it's a set request, this chainable CalDom instance is returned.
-	 * Otherwise, a value array from all elements in this CalDom instance is returned.
-	 * @example
-	 * //Get custom data
-	 * var custom_data_array = _(".class-name").prop("customData");
-	 *
-	 * //Set click event handler
-	 * _("#elem-id").prop("onclick", (e) => { console.log("clicked") });
-	 *
-	 * //Set an array of custom_data to n-th <p> separately
-	 * _("p").prop( "custom_data", [custom_data_one, custom_data_two, null] );
-	 *
-	 * //Set multiple variables
-	 * _("input").prop({
-	 * 		type: "text",
-	 * 		value: "Hello World!",
-	 * 		custom_data: 44,
-	 * 		other_data: { name: "Jane" }
-	 * });
-	 */
-
-	"prop": _propSingle,
-
-	/**
-	 * @category Manipulate/Retrieve Content
-	 * @description Store & retrieve { key: value, ... } data from elements in this CalDom instance.
-	 * (Data is stored at element._data. However, _data location might change over time, avoid accessing it directly as possible.)
-	 * Warning: Look out for untracked circular references that might lead to memory leaks.
-	 * @param {Object} key Can be any javascript Object, usually a string.
-	 * @param {any | Array} [value] (Optional) Can be any javascript Object or an array of Objects to be to be assigned at the corresponding n-th element.
-	 * @returns If it's a set request, this CalDom instance is returned.
-	 * Otherwise, an array of values for the provided key from all elements is returned.
-	 */
-	"data": function(key, value){
-
-		if( value == undefined ){
-			return this.map(function(elem){
-				if( elem["_data"] ) return elem["_data"][key];
-			});
-		}
-		else{
-
-			if( Array.isArray(value) ){
-				this.each(function(elem, i){
-					if( !elem["_data"] ) elem["_data"] = {};
-					elem["_data"][key] = value[i];
-				});
-			}
-			else{
-				this.each(function(elem){
-					if( !elem["_data"] ) elem["_data"] = {};
-					elem["_data"][key] = value;
-				});
-			}
-
-			return this;
-		}
-	},
-
-	/**
-	 * @category CSS Styling
-	 * @description Get & set CSS style rule(s) of elements in this CalDom instance.
-	 * @param {String | Object} key_or_key_values CSS property name or { property: value, ... } object to set multiple rules
-	 * @param {String | Number | Array<String | Number>} val_or_val_array CSS value or an array of values to be set at n-th element for the given CSS property name.
-	 * @returns {CalDom | Array<String | Number>} If it's a set request, this CalDom instance is returned.
-	 * Otherwise, a CSS value array for the given property from all elements in this CalDom instance is returned.
-	 * @example
-	 *
-	 * //Set one rule
-	 * _(".class-name").css("background-color", "blue");
-	 *
-	 * //Set multiple rules
-	 * _("#div-id").css({
-	 * 		backgroundColor: "red",
-	 * 		"font-size": "2em"
-	 * });
-	 *
-	 * //Set CSS value using an array for n-th element
-	 * _(".box")
-	 * 	.css( "background-color", [ "red", "yello", "#555"] );
-	 *
-	 * //Get CSS value
-	 * var rule_value = _("#something").css("display")[0];
-	 */
-	 "css": _cssSingle,
-
-	/**
-	 * @category CSS Styling
-	 * @description Add class name(s) to elements in this CalDom instance.
-	 * @param {String | Array} class_names A single class name or multiple class names separated by spaces or as an array.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Add a single class
-	 * _("#container").addClass("wide-view");
-	 *
-	 * //Add multiple classes (space-separated)
-	 * _("#container").addClass("visible dark-theme narrow");
-	 * 
-	 * //Add multiple classes (array)
-	 * _("#container").addClass( ["visible", "dark-theme", "narrow"] );
-	 */
-
-	 "addClass": _addClassSingle,
-
-	/**
-	 * @category CSS Styling
-	 * @description Remove class name(s) from elements in this CalDom instance.
-	 * @param {String | Array} class_names A single class name or multiple class names separated by spaces or as an array.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Remove a single class
-	 * _("#container").removeClass("visible");
-	 *
-	 * //Remove multiple classes (space-separated)
-	 * _("#container").removeClass("dark-theme narrow");
-	 * 
-	 * //Remove multiple classes (array)
-	 * _("#container").removeClass( ["dark-theme", "narrow"] );
-	 */
-	"removeClass": _removeClassSingle,
-
-	/**
-	 * @category CSS Styling
-	 * @description Set display CSS property of all elements in this CalDom instance.
-	 * @param {String} [display_value] (optional) Display value. Default to "block"
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Set CSS display property of #container to "block"
-	 * _("#container").show();
-	 *
-	 * //Set CSS display property of #gallery to "flex"
-	 * _("#gallery").show("flex");
-	 */
-	"show": function(display_value){
-		return this.css("display", display_value || "block");
-	},
-
-	/**
-	 * @category CSS Styling
-	 * @description Set display CSS property of all elements in this CalDom instance to "None".
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Set CSS display property of #container to "none"
-	 * _("#container").hide();
-	 */
-	"hide": function(){
-		return this.css("display", "none");
-	},
-
-	/**
-	 * @category Event Handling
-	 * @description Add event listeners to elements in this CalDom instance.
-	 * @param {String | Array} event_names A single event name or multiple event names separated by spaces or as an array.
-	 * @param {Function} handler Callback function to handle the event.
-	 * @param {any} [options] (Optional) options to pass into addEventListener's 3rd param.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 * //Add a click event listener
-	 * _("div-id").on( "click", function(e){ console.log("clicked") } );
-	 *
-	 * //Add mousemove and touchmove event listeners
-	 * _("div-id").on("mousemove touchmove", moveHandler);
-	 * 
-	 * //Event names as an array
-	 * _("div-id").on(["mousemove", "touchmove"], moveHandler);
-	 *
-	 */
-	"on": function(event_names, handler, options){
-		var events = _getSpaceSeparatedArray(event_names);
-
-		this.each(function(elem){
-			for( var event_i = 0, events_len = events.length; event_i < events_len; event_i++ ){
-				elem.addEventListener(events[event_i], handler, options);
-			}
-		});
-
-		return this;
-	},
-
-	/**
-	 * @category Event Handling
-	 * @description Remove event listeners from elements in this CalDom instance.
-	 * @param {String | Array} event_names A single event name or multiple event names separated by spaces or as an array.
-	 * @param {Function} handler Callback. The same callback provided at on() or Node.addEventListener() should be provided.
-	 * @param {any} [options] (Optional) options to pass into removeEventListener's 3rd param.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 * //Remove click event listener
-	 * _("div-id").off("click", clickEven-thandler);
-	 *
-	 * //Remove mousemove and touchmove event listeners
-	 * _("div-id").off("mousemove touchmove", moveHandler);
-	 * 
-	 * //Event names as an array
-	 * _("div-id").off(["mousemove",  "touchmove"], moveHandler);
-	 */
-	"off": function(event_names, handler, options){
-		var events = _getSpaceSeparatedArray(event_names);
-		
-		this.each(function(elem){
-			for( var event_i = 0, events_len = events.length; event_i < events_len; event_i++ ){
-				elem.removeEventListener(events[event_i], handler, options);
-			}
-		});
-
-		return this;
-	},
-
-	/**
-	 * @category Manipulate DOM Tree
-	 * @title append( elems_caldom_generator, ...elems )
-	 * @description Append/Move elements to first element of this CalDom instance.
-	 * Null and undefined inputs are silently ignored. Note that if you append an existing element, it is moved to the new destination (not cloning).
-	 * @param {Node | String | CalDom | Array | NodeList | HTMLCollection} elems_or_caldom First argument can be a CalDom instance, a Node/String or an array of Node/String.
-	 * Provided elements are added to the first element of this CalDom instance. This is XSS safe as it's considering String inputs as a text node. Use .html() or init _("<h1></h1>") to inject HTML.
-	 * See the examples for wide range of possibilities.
-	 * @param {Node | String | CalDom } [...elems] (Optional) If the first argument is not an array-type, all ...arguments are added to the first element of this CalDom instance.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Append a new <div> to body (Element created by CalDom)
-	 * _("body").append( _("+div") );
-	 *
-	 * //Append a new <div> to body (Element created by document.createElement)
-	 * _("body").append( document.createElement("div") );
-	 *
-	 * //Append multiple elements, including nested elements and Node arrays
-	 * _("#container-id").append(
-	 * 		_("+div")
-	 * 			.append( //Nested
-	 * 				_("+p").text("Paragraph inside the div.")
-	 * 			),
-	 *
-	 * 		_("p").text("Another paragraph as a first-level child."),
-	 *
-	 * 		document.createElement("img"),
-	 *
-	 * 		null, undefined, //Silently ignored
-	 *
-	 * 		"Text Node"
-	 *
-	 * );
-	 *
-	 * //Append an array of Nodes and CalDom instances to <body>
-	 * _("body").append(
-	 * 	[
-	 * 		_("+h1"),
-	 *
-	 * 		_("+div").append(
-	 * 			_("+p").text("Paragraph inside the div.")
-	 * 		),
-	 *
-	 * 		document.createElement("p"),
-	 *
-	 * 		"Text Node"
-	 * 	]
-	 * );
-	 *
-	 * //Move existing <p> elements from "container-a" to "container-b"
-	 * _("#container-b").append( _("#container-a p") );
-	 */
-	"append": function(elems_or_caldom){
-		return insertBefore.call(this, _isArrayLike(elems_or_caldom) ? elems_or_caldom : arguments, null, _insertFunc_appendChild);
-	},
-
-	/**
-	 * @category Manipulate DOM Tree
-	 * @description Prepend/Move elements to the first element of this CalDom instance.
-	 * (Same as append(), except 2nd argument is reserved to identify before element.)
-	 * Null and undefined inputs are silently ignored. Note that if you prepend an existing element, it is moved to the new destination (not cloning).
-	 * @param {Node | CalDom | Array | NodeList | HTMLCollection} elems_or_caldom First argument can be a CalDom instance, a Node/String or an array of Node/String.
-	 * Items are prepended to the first element of this CalDom instance. This is XSS safe as it's considering String inputs as a text node. Use .html() or init _("<h1></h1>") to inject HTML.
-	 * @param {Node | String | CalDom} [before_elem_or_caldom] (Optional) If provided, items are inserted before this element instead before the firstChild.
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Prepend a new <p> element as the first child
-	 * _("#container-id")
-	 * 		.prepend(
-	 * 			_("+p").text("I'm the first child now.")
-	 * 		);
-	 *
-	 * //Prepend a new <p> element before the 3rd paragraph in the container
-	 * _("#container-id")
-	 * 		.prepend(
-	 * 			_("+p").text("I'm the 3rd paragraph now."),
-	 * 			_("#container-id p").eq(2) //Before element
-	 * 		);
-	 *
-	 * //First argument of prepend() is the same as append().
-	 * //Refer its examples for a wide variety of possibilities.
-	 */
-	"prepend": function(elems_or_caldom, before_elem_or_caldom){
-		return insertBefore.call(this, _isArrayLike(elems_or_caldom) ? elems_or_caldom : [elems_or_caldom], before_elem_or_caldom, _insertFunc_insertBefore);
-	},
-
-	/**
-	 * @category Manipulate DOM Tree
-	 * @description Remove all elements of this CalDom instance from the DOM.
-	 * @returns {CalDom} Returns this empty CalDom instance.
-	 * @example
-	 *
-	 * //Remove all <p> elements
-	 * _("p").remove();
-	 */
-	"remove": function(){
-		this._willUnmount(true);
-
-		this.each(function(elem){
-			elem.parentNode.removeChild(elem);
-		});
-
-		this.elems = [];
-		this._setMultipleMode();
-
-		this._didUnmount(true);
-
-		return this;
-	},
-
-	/**
-	 * @category Manipulate DOM Tree
-	 * @description Replaces current elements in this CalDom instance with new elements returned by the render_callback function.
-	 * The algorithm compares the elements(including their descendents) and only replace the nodes if there is a difference against the actual DOM. This is useful to minimize expensive browser layout repaints.
-	 * (This is the same algorithm used by react() to compare & apply DOM changes.)
-	 * @param {Function} render_callback Render function that returns the new replacement element.
-	 * The callback receieves 3 parameters: render_callback( current_elem: Node, index: Number, caldom_instance: CalDom ): {Node || CalDom}
-	 * @returns {CalDom} Returns this CalDom instance.
-	 * @example
-	 *
-	 * //Imagine this HTML document:
-	 * //	<div>
-	 * //		<p>ABC</p>
-	 * //		<p>XYZ</p>
-	 * //	</div>
-	 *
-	 * //Replace all paragraph elements using a new _("+p")
-	 * _("p")
-	 * 	.replace(
-	 * 		function(old_elem, index, caldom_instance){
-	 * 			//In this case, only the 1st paragraph will be replaced
-	 * 			//since the 2nd paragraph is the same.
-	 *
-	 * 			return _("+p").text( "XYZ" );
-	 * 		}
-	 * );
-	 *
-	 * //Replace using a new element created by createElement()
-	 * _("p")
-	 * 	.replace(
-	 * 		function(old_elem, index, caldom_instance){
-	 * 			//Both paragraphs will be replaced by this empty DIV
-	 * 			return document.createElement("div");
-	 * 		}
-	 * );
-	 */
-	"replace": function(render_callback){
-
-		this.each(function(elem, i){
-			var new_elem = render_callback(elem, i, this);
-			if( new_elem instanceof CalDom ) new_elem = new_elem.elems[0];
-
-			_replace(
-				new_elem,
-				elem,
-				elem
-			);
-		});
-
-		return this;
-	},
-
-	/**
-	 * @private
-	 * @description Used to call willMount() in reactive mode
-	 * This function name is not preserved in minified version.
-	 */
-	 _willMount: function(){
-		if( this["render"] || this["update"] ){
-			if( this["willMount"] && !this._mounted ) this["willMount"](this);
-
-			this.react(undefined, undefined, undefined, undefined, undefined, true);
-		}
-	},
-
-	/**
-	 * @private
-	 * @description Used to call didMount() in reactive mode.
-	 * This function name is not preserved in minified version.
-	 */
-	_didMount: function(){
-		var already_mounted = this._mounted == true;
-
-		this._mounted = true;
-
-		if( this["didMount"] && !already_mounted ) this["didMount"](this);
-	},
-
-	/**
-	 * @private
-	 * @description Used to call willUnmount() in reactive mode.
-	 * @param {Boolean} [directly_removed] Whether executed through .remove().
-	 * This is used to differentiate component removal through replace() that might get re-connected at a different position in the DOM tree.
-	 */
-	_willUnmount: function(directly_removed){
-		if( this["willUnmount"] ) this["willUnmount"]( this, directly_removed );
-	},
-
-	/**
-	 * @private
-	 * @description Used to call didUnmount() in reactive mode.
-	 * This function name is not preserved in minified version.
-	 * @param {Boolean} [directly_removed] Whether executed through .remove().
-	 * This is used to differentiate component removal through replace() that might get re-connected at a different position in the DOM tree.
-	 */
-	_didUnmount: function(directly_removed){
-		this._mounted = false;
-
-		if( this["didUnmount"] ) this["didUnmount"]( this, directly_removed );
-	},
-
-	/**
-	 * @private
-	 * @description Used to call _didUpdate() in reactive mode.
-	 * This function name is not preserved in minified version.
-	 */
-	_didUpdate: function(){
-		
-		//Resetting batched and changed keys after update/render
-		this._watch_state_changed_keys = {};
-		this._watch_state_change_count = 0;
-
-		if( this["didUpdate"] ) this["didUpdate"]( this );
-	},
-
-	/**
-	 * @category Manipulate DOM Tree
-	 * @description Make this CalDom instance a reactive component by providing a state, render() or an update() function. CalDom compares differences and efficiently updates relevant DOM Node changes.
-	 * Alternatively, this can be also achieved by extending _.Component class. See below examples.
-	 * @param {any} [state] (Optional, but requires to initiate) Any value or an { key: value, ... } object.
-	 * @param {Object} [config] (Optional, but requires to initiate) Reactive configuration containing render(), update(), etc.
-	 * @param {Function} [config.render] (Optional, if update() is given) Should return a CalDom or a Node/Element. Return false to terminate render process.
-	 * render(state: any, component: CalDom): receieves state and component(this CalDom instance) as arguments.
-	 * All CalDom methods & properties (find(), text(), css(), etc.) can be accessed via component. Eg: component.text("Hello World!").
-	 * CalDom sync child nodes (including text), attributes, CSS, value, checked, indeterminate, selected & _data property set by .data() between connected DOM & virtual DOM. It doesn't sync changed events & other custom properties directly attached to DOM nodes.
-	 * To force a complete Node replacement with all events and properties, set a different/incremental "caldom-v" attribute to the element at render() ("v" as in version of the element).
-	 *
-	 * The first render() gets executed synchronously. After that, render() gets executed asynchronously through requestAnimationFrame when the state changes. This is asynchronous in both watched = true mode or when react() is called manually.
-	 * Calling react() with a brand new state execute render() synchronously. Eg: app.react( new_state );
-	 *
-	 * @param {Function} [config.update] (Optional, if render() is given) If an update() function is present, CalDom will execute it instead of render(). (Intial render() get executed regardless).
-	 * Manually updating DOM changes is obviously more performant than a render() based virtual-DOM approach. Also, it is useful to update existing non-javascript originated(.html file based) HTML structures reactively.
-	 * If the update() returns true, CalDom will also execute render() and proceed with virtual-real DOM comparison and apply subsequent changes.
-	 * 
-	 * update(
-	 * 	state: any, 
-	 * 	component: CalDom, 
-	 * 	state_changed_keys: Object, 
-	 * 	state_change_count: Number 
-	 * );
-	 * 
-	 * Arguments are state, component(this CalDom instance) and batched and changed state key names & change count since the last render()/update().
-	 * state_changed_keys & state_change_count is useful to do select direct DOM changes or fall back to render() by returning true if the changes are complex.
-	 * state_changed_keys is an Object. Eg: { key_name: String, value_is_available: Boolean }. If the state change is a deletion, value_is_available is set to false.
-	 * state_changed_keys is one-dimentional. If the same key_name is used more than once at deeper levels of state object, only the last key-value change is represented here. Use this.state for deeper analysis.
-	 * If the same key change multiple times, state_change_count is increased accordingly. state_changed_keys & state_change_count are only populated in watched = true mode.
-	 * 
-	 * All CalDom methods & properties (find(), text(), css(), etc,) can be accessed via component. Eg: component.css( "color", "green" )
-	 *
-	 * @param {Boolean} [config.watched=true] (Optional) True by default. If false, CalDom will not react to state changes automatically. Call react() manually after changing state.
-	 * CalDom is using Javascript Proxies to detect state changes. Browser versions released before 2016 may not support it natively. Implement a pollyfil for older browsers or you can call react() manually after state changes.
-	 * If Proxy is not supported caldom.watched will set to false despite initially setting config.watched = true.
-	 * If you chose not to use the Proxy for some reason, you can call .react() after state changes. There is no performance hit by calling it repetedly because CalDom is using requestAnimationFrame to batch DOM updates efficiently.
-	 * Also, calling react() manually immediately after state changes does not cause a re-render even when Proxy is supported.
-	 *
-	 * @param {Function} [config.willMount] (Optional) Called before the Component is mounted(appended) into a parent Node. Receives current CalDom instance as the only argument.
-	 * @param {Function} [config.didMount] (Optional) Called after the Component is mounted(appended) into a parent Node. Receives current CalDom instance as the only argument.
-	 * @param {Function} [config.willUnmount] (Optional) Called before the Component is removed.
-	 * Callback receives two argument as callback( component: CalDom, [directly_removed: Boolean] ). directly_removed is set to true if removed directly by calling .remove().
-	 * Otherwise, set to undefined if removed while applying virtual-DOM changes to the real DOM. The removed component might get re-connected at a different position in the DOM tree.
-	 * @param {Function} [config.didUnmount] (Optional) Called after the Component is removed. 
-	 * Callback receives two argument as callback( component: CalDom, [directly_removed: Boolean] ). directly_removed is set to true if removed directly by calling .remove().
-	 * Otherwise, set to undefined if removed while applying virtual-DOM changes to the real DOM. The removed component might get re-connected at a different position in the DOM tree.
-	 * @param {Function} [config.didUpdate] (Optional) Called after the Component is updated and/or rendered and all virtual-DOM changes applied to the real DOM. Receives current CalDom instance as the only argument.
-	 *
-	 * @returns {CalDom} Returns this CalDom instance.
-	 *
-	 * @example
-	 *
-	 * //Hello World Component (non-class based approach)
-	 * var helloWorldApp = _().react(
-	 *			{ name: "World!" },
-	 *			{
-	 *				render: (state) => _("+h1").text( "Hello " + state.name )
-	 *			}
-	 *		);
-	 *
-	 * _("body").append( helloWorldApp );
-	 *
-	 * helloWorldApp.state.name = "CalDom!";
-	 *
-	 * //Hello World Component (Class based approach)
-	 * class HelloWorldApp extends _.Component{
-	 *
-	 *		constructor(state){
-	 *			super();
-	 *		  	this.react(state); //this == CalDom instance
-	 *		}
-	 *
-	 *		render(state){ //state is a shortcut to this.state
-	 *			return _("+h1").text( "Hello " + state.name );
-	 *		}
-	 * }
-	 *
-	 * var app = new HelloWorldApp({ name: "World!" });
-	 * _("body").append( app );
-	 *
-	 * app.state.name = "CalDom";
-	 *
-	 * //Make an existing HTML H1 reactive
-	 * var helloWorld = _("#main-heading").react(
-	 * 		{ name : "World!" },
-	 * 		{
-	 * 			update: (state, component) => component.text( "Hello " + state.name )
-	 * 		}
-	 * );
-	 *
-	 * helloWorld.state.name = "CalDom!";
-	 * 
-	 * //Combine the power of both render() & update()
-	 * var helloWorld = _("#main-heading").react(
-	 * 		{ name : "World!", visible: false },
-	 * 		{
-	 * 			render: (state, component) => {
-	 * 				var heading = _("+h1", [ "Hello " + state.name ] );
-	 * 				
-	 * 				if( state.visible ) heading.addClass("visible");
-	 * 				return heading;
-	 * 			},
-	 * 
-	 * 			update: (state, component, changed_keys, state_change_count) => {
-	 * 				if( state_change_count == 1 && "visibility" in changed_keys ){
-	 * 					
-	 * 					//Directly & efficiently update DOM without going through Virtual-DOM
-	 * 					if( state.visible ) this.addClass("visible");
-	 * 					else this.removeClass("visible");
-	 * 				}
-	 * 				else{
-	 * 					//If the changes are too complex, proceed to render() via Virtual-DOM
-	 * 					return true;
-	 * 				}
-	 * 			}
-	 * 		}
-	 * );
-	 *
-	 * helloWorld.state.visible = true;
-	 * 
-	 * //Manual reactive approach (without automatic update on state change)
-	 * var helloWorldApp = _().react(
-	 *     { name: "World!" },
-	 *     {
-	 *         render: (state) => _("+h1").text( "Hello " + state.name ),
-	 *         watched: false //Disabling automatic state changes watch
-	 *     }
-	 * );
-	 *
-	 * _("body").append( helloWorldApp );
-	 * helloWorldApp.state.name = "CalDom!";
-	 *
-	 * //Calling react() manually after state change
-	 * //This gets executed asynchronously through requestAnimationFrame. (Same as watched = true mode)
-	 * helloWorldApp.react();
-	 *
-	 * //Alternatively, react() can be called with a brand new state.
-	 * //This gets executed synchronously (not using requestAnimationFrame)
-	 * helloWorldApp.react( { name: "JS!" } );
-	 */
-	"react": function( state, config, _is_watched_updated, _state_changed_key, _state_is_key_available, _mounting, _is_request_animation_frame ){
-		var _this = this;
-
-		var is_zero_arguments = arguments.length == 0;
-
-		if( _this["watched"] && is_zero_arguments ) return _this;
-
-		// Using requestAnimationFrame() to avoid rendering bursts for multiple variable changes (Proxy setter fires at every change in .state watch mode).
-		if( _is_watched_updated || (is_zero_arguments && !_is_request_animation_frame) ){
-			
-			if( _this["update"] ){
-				
-				if( !is_zero_arguments ){
-					_this._watch_state_change_count++;
-				}
-
-				_this._watch_state_changed_keys[_state_changed_key] = _state_is_key_available;
-			}
-
-			if( _this._z ){
-				return;
-			}
-
-			_this._z = _requestAnimationFramePolyfill(function(){ //Note requestAnimationFrame is using current window instead of this._w
-				_this.react(undefined, undefined, undefined, undefined, undefined, undefined, true);
-			});
-
-			return _this;
-		}
-		else if( !_mounting ){ //Because no config changes when called through append() -> _willMount()
-			if( config ){
-				for( var key in config ){ //There is a risk of overriding core functions/methods here
-					_this[key] = config[key];
-				}
-
-				// if( config["render"] != undefined ) _this["render"] = config["render"];
-				// if( config["update"] != undefined ) _this["update"] = config["update"];
-
-				// if( config["watched"] != undefined ) _this["watched"] = config["watched"];
-
-				// if( config["willMount"] != undefined ) _this["willMount"] = config["willMount"];
-				// if( config["didMount"] != undefined ) _this["didMount"] = config["didMount"];
-				// if( config["willUnmount"] != undefined ) _this["willUnmount"] = config["willUnmount"];
-				// if( config["didUnmount"] != undefined ) _this["didUnmount"] = config["didUnmount"];
-
-				// if( config["didUpdate"] != undefined ) _this["didUpdate"] = config["didUpdate"];
-			}
-
-			if( !this._w["Proxy"] ) _this["watched"] = false; //Silently failing
-
-			if( state != undefined ){
-				if( _this["watched"] != false ){
-					_this.state = watch(state, function(key, is_deleted){
-						_this.react(undefined, undefined, true, key, is_deleted);
-					});
-				}
-				else{
-					_this.state = state;
-				}
-			}
-		}
-
-		_this._z = null;
-
-		var current_first_elem = _this.elems[0];
-		var has_first_elem = !!current_first_elem;
-
-		if( !_this._mounted && !_mounting ){
-			if( has_first_elem && _isNodeConnected(current_first_elem) ){
-				_this._mounted = true;
-			}
-			else{
-				return _this; //Don't need to render() if not mounting or mounted
-			}
-		}
-
-		var is_parent_re_react_call = _this._mounted && _mounting;
-
-		if( !is_parent_re_react_call && _this["update"] && ( !_this.render || ( has_first_elem && current_first_elem["_h"] )) ){ //Checking _h to detect whether the first render() is done.
-			var continue_to_render = _this["update"](_this.state, _this, _this._watch_state_changed_keys, _this._watch_state_change_count);
-
-			if( !continue_to_render ){ //if update() returns true, continue to render
-				_this._didUpdate();
-				
-				return _this; 
-			}
-		}
-
-		// Render request via a parent component. No this.state changes.
-		// TODO: Consider the cost of render() vs elems[0].cloneNode().
-		// Or just pass reference object to the replace()
-		if( is_parent_re_react_call ){
-			var cloned_root = current_first_elem.cloneNode(true);
-			cloned_root["_h"] = _this;
-			cloned_root._original_root = current_first_elem;
-
-			_this._v = [ cloned_root ]; //To preserve old_dom children when the new virtual-dom appendChild()
-		}
-		else{
-
-			var new_dom = _this["render"](_this.state, _this);
-			if( !new_dom ) return _this;
-
-			if( new_dom instanceof CalDom ) new_dom = new_dom.elems[0];
-
-			new_dom["_h"] = _this; //_h for DOM handler
-
-			if( !current_first_elem ){
-				_this.elems = [new_dom];
-			}
-			else {
-				var new_root = _replace( new_dom, current_first_elem, current_first_elem );
-
-				if( new_root ){
-					_this.elems[0] = new_root; //Note that only elems[0] is considered. Ideally all components only must have one element as the root.
-				}
-			}
-
-			_this._didUpdate();
-
-		}
-
-		return _this;
-	}
-
-	//TODO: Add .shadow({}) (or something similar?) to support Shadow DOM
-
-};
-
-/**
- * @private
- * @description Copying props from new Node to existing Node, including for child nodes
- * @param {Node} new_dom_node Newly rendered Node
- * @param {Node} old_dom_node Existing Node
- * @param {Boolean} enumerate_children Whether to enumerate children
- */
- function _copyProps(new_dom_node, old_dom_node, enumerate_children){
-	//TODO: Make sure this is all common cases. Is it? Also, how about implementing Object.assign()?
-	
-	if( Object.getPrototypeOf(old_dom_node).hasOwnProperty("value") ){ //Because some of these exists in Elements other than HTMLInputElement like <Button>
-		if( old_dom_node.value != new_dom_node.value ) old_dom_node.value = new_dom_node.value;
-		if( old_dom_node.checked != new_dom_node.checked ) old_dom_node.checked = new_dom_node.checked;
-		if( old_dom_node.indeterminate != new_dom_node.indeterminate ) old_dom_node.indeterminate = new_dom_node.indeterminate;
-	}
-
-	if( old_dom_node.selected != new_dom_node.selected ) old_dom_node.selected = new_dom_node.selected;
-	if( old_dom_node["_data"] != new_dom_node["_data"] ) old_dom_node["_data"] = new_dom_node["_data"];
-
-	if( enumerate_children ){
-		var new_dom_node_child_nodes = _slice.call(new_dom_node.children); // Because enumerating live NodeList is slow
-		var old_dom_node_child_nodes = _slice.call(old_dom_node.children);
-
-		for( var i = 0, len = new_dom_node_child_nodes.length; i < len; i++ ){
-			_copyProps(new_dom_node_child_nodes[i], old_dom_node_child_nodes[i]);
-		}
-	}
-}
-
-/**
- * @private
- * @description Compare newly rendered DOM with existing DOM and update changes.
- * @param {Node} new_dom_node
- * @param {Node} old_dom_node
- * @param {Node} old_dom_node_parent
- * @returns {Node} Returns new DOM if replaced
- */
- function _replace(new_dom_node, old_dom_node, old_dom_node_parent){
-	if( !new_dom_node ) return;
-
-	if( new_dom_node._original_root ) new_dom_node = new_dom_node._original_root;
-
-	if( !old_dom_node ){
-		return old_dom_node_parent.appendChild( new_dom_node );
-	}
-
-	var new_dom_node_is_a_element = new_dom_node.nodeType == 1;
-
-	var soft_replacable = new_dom_node_is_a_element 
-		&& new_dom_node.tagName == old_dom_node.tagName //Assuming a drastically different tree, thus a hard replace is efficient.
-		&& new_dom_node["_h"] === old_dom_node["_h"] //Assuming enequal Component instances and keys are different elements (with their own custome properties & event listeners), thus a hard replace is required. 
-		&& new_dom_node.getAttribute("caldom-v") === old_dom_node.getAttribute("caldom-v");
-
-	if( soft_replacable ){
-		
-		var copy_props_recursively = true;
-
-		//Placed at first assuming content will change more often than attributes
-		if( !new_dom_node.isEqualNode(old_dom_node) ){
-			
-			var new_dom_has_child_nodes = new_dom_node.hasChildNodes();
-
-			if( new_dom_has_child_nodes || old_dom_node.hasChildNodes() ){
-				var old_dom_node_child_nodes = (old_dom_node.childNodes);  //Keeping the live list so it adjusts automatically with Node.replaceChild()
-				var i = 0;
-
-				if( new_dom_has_child_nodes ){
-
-					copy_props_recursively = false;
-
-					var new_dom_node_child_nodes = _slice.call(new_dom_node.childNodes);  //Because enumerating live NodeList is slow
-				
-					var len = new_dom_node_child_nodes.length;
-
-					//If the new_dom_element or old_dom_element has children, replace() it
-					//TODO: re-order based on key first, then prepend missing keys and proceed to to rest of the tree walk? (efficiency to be tested)
-					for( ; i < len; i++ ){
-
-						var replaced_elem = _replace(new_dom_node_child_nodes[i], old_dom_node_child_nodes[i], old_dom_node);
-						
-						if( replaced_elem && replaced_elem["_h"] ){
-							replaced_elem["_h"].elems[0] = replaced_elem;
-						}
-					}
-				}
-
-				//Finally, if the old_dom_element is containing children not present in the new_dom_element, remove them
-				for( ; i < old_dom_node_child_nodes.length; i++ ){
-					
-					var old_dom_node_child = old_dom_node_child_nodes[i];
-					
-					var fire_unmount_events = old_dom_node_child["_h"] != undefined;
-					
-					if( fire_unmount_events ) old_dom_node_child["_h"]._willUnmount();
-
-					old_dom_node.removeChild( old_dom_node_child );
-					i--;
-
-					if( fire_unmount_events ) old_dom_node_child["_h"]._didUnmount();
-
-				}
-			}
-
-			//Placed at second assuming content will change more often than attributes
-			//Syncing attributes (including style);
-			if( !new_dom_node.isEqualNode(old_dom_node) ){
-
-				for(var new_attr_i = 0, new_attr_len = new_dom_node.attributes.length; new_attr_i < new_attr_len; new_attr_i++ ){
-					var new_attr = new_dom_node.attributes[new_attr_i];
-
-					if( old_dom_node.getAttribute(new_attr.name) != new_attr.value ){
-						old_dom_node.setAttribute( new_attr.name, new_attr.value );
-					}
-				}
-		
-				//TODO: Checking above set attributes again here, will a if( indexOf(key) != -1 ) continue; more efficient?
-				for(var old_attr_i = 0; old_attr_i < old_dom_node.attributes.length; old_attr_i++ ){
-					var old_attr = old_dom_node.attributes[old_attr_i];
-		
-					if( !new_dom_node.hasAttribute(old_attr.name) ){
-						old_dom_node.removeAttribute(old_attr.name);
-
-						old_attr_i--;
-					}
-				}
-			}
-		}
-		
-		_copyProps( new_dom_node, old_dom_node, copy_props_recursively );
-	}
-	else if( !new_dom_node.isEqualNode(old_dom_node) ){
-
-		if( !new_dom_node_is_a_element ){
-			old_dom_node.nodeValue = new_dom_node.nodeValue;
-		}
-		else{ //Hard Replace
-			
-			//TODO: Need to find a better way to find deleted only
-			var fire_unmount_events = old_dom_node["_h"] != undefined;
-
-			if( fire_unmount_events ) old_dom_node["_h"]._willUnmount();
-
-			old_dom_node.parentNode.replaceChild( new_dom_node, old_dom_node );
-
-			if( fire_unmount_events ) old_dom_node["_h"]._didUnmount();
-			
-			return new_dom_node;
-		}
-	}
-}
-
-/**
- * @private
- * @description Used to implement a Proxy to watch state changes. Requires a Proxy polyfill for older browsers.
- * @param {Object} what
- * @param {Function} onSetCallback
- * @returns {Proxy}
- */
-function watch(what, onSetCallback){
-
-    return new Proxy(
-
-		what,
-
-        {
-            get: function(obj, key){
-				var destination = obj[key];
-
-                if( typeof destination == 'object' && destination != null && !(destination instanceof CalDom) && key[0] != "_" ){
-                    return new Proxy( destination, this );
-                }
-                else{
-                    return destination;
-                }
-            },
-
-            set: function(obj, key, value){
-				obj[key] = value;
-                onSetCallback(key, true);
-
-                return true;
-			},
-
-			deleteProperty: function(obj, key){
-				delete obj[key]
-				onSetCallback(key, false);
-
-				return true;
-			}
-        }
-    )
-}
-
-/**
- * @private
- * @description Core function of append/prepend.
- * @see append() and prepend() for reference
- * @param {any} element_or_elements_or_caldom
- * @param {any} before_elem_or_caldom
- * @param {Function} _insertFunc
- */
-function insertBefore(element_or_elements_or_caldom, before_elem_or_caldom, _insertFunc){
-	if( before_elem_or_caldom instanceof CalDom ) before_elem_or_caldom = before_elem_or_caldom.elems[0];
-
-	// //TODO: Consider removing this because low pratical usage & the same can be acheived by .each()
-	// if( typeof element_or_elements_or_caldom_or_generator[0] == 'function' ){ //Generator function
-	// 	this.each(function(elem, i){
-	// 		var generated = element_or_elements_or_caldom_or_generator[0](elem, i);
-
-	// 		_insertFunc.call(
-	// 			elem,
-	// 			generated instanceof CalDom ? generated.elems[0] : generated,
-	// 			before_elem_or_caldom === undefined ? elem.firstChild : before_elem_or_caldom
-	// 		);
-	// 	});
-	// }
-	// else if(element_or_elements_or_caldom_or_generator.length != undefined){ //Can't we remove this?
-
-		for(var i = 0, len = element_or_elements_or_caldom.length; i < len; i++){
-			var this_item = element_or_elements_or_caldom[i];
-			if( !this_item ) continue;
-
-			var new_elems;
-
-			var is_caldom = !!this_item.elems;
-
-			if( is_caldom ){
-				this_item._willMount()
-
-				new_elems = this_item._v || this_item.elems;
-			}
-			else{
-				if( _isArrayLike(this_item) ){
-					new_elems = this_item;
-				 }
-				 else{
-					new_elems = [this_item];
-				 }
-			}
-
-			var elem = this.elems[0];
-			if( before_elem_or_caldom === undefined ) before_elem_or_caldom = elem.firstChild;
-
-			for( var elem_i = 0, new_elems_length = new_elems.length; elem_i < new_elems_length; elem_i++ ){
-				var new_elem = new_elems[elem_i];
-				if( !new_elem ) continue;
-
-				if( typeof new_elem != 'object' ){
-					new_elem = this._w.document.createTextNode( new_elem );
-				}
-
-				_insertFunc.call(
-					elem,
-					new_elem,
-					before_elem_or_caldom
-				);
-			}
-
-			if( is_caldom ){
-				this_item._v = null; //To prevent memory leaks
-				this_item._didMount()
-			}
-		}
-	// }
-
-	return this;
-}
-
-/**
- * @category Extensions
- * @title _.q( query, parent_node )
- * @description Call CalDom's query/create function directly using _.q(query)
- * @param {String} query "+tag" creates a new Element. '<tag></tag>' creates specified HTML structure. ~svg_tag" creates a SVG element. Otherwise it can be a CSS Selector or an XPath query starting with "$"
- * @param {Node} [parent_node] Treated as the parent node for CSS selector or XPath query. Otherwise, default to window.document
- * @returns {Array<Node>} Array with the new element or NodeList returned by the CSS selector or the XPath query
- * (Shorten for query())
- * @example
- *
- * //Get element with id "container-id" using its CSS selector
- * var container = _.q("#container-id")[0];
- *
- * //Create a new <div> element
- * var div = _.q("+div")[0];
- *
- * //Create a password input element using full HTML syntax
- * var para = _.q( '<input type="password" placeholder="Type your password here" />' );
- *
- *  * //Create a new SVG element
- * var svg_rectangle = _.q("~rect").attr({ width: 100, height: 100 })[0];
- *
- * //Get all <p> elements inside <article> using an XPath query
- * var paragraphs_array = _.q("$//article/p");
- */
- function q(query, parent_node){
-	parent_node = parent_node || window.document;
-
-	query = query.trim();
-
-	var first_char = query[0];
-
-	if( first_char == "+" ) return [parent_node.createElement( query.substr(1) )];
-
-	if( first_char == "$" ){
-		var results = (parent_node.ownerDocument || parent_node).evaluate(query.substr(1), parent_node, null, 0, null);
-		var elems = [];
-
-		var result = results.iterateNext();
-		while(result){
-			elems.push(result);
-			result = results.iterateNext();
-		}
-
-		return elems;
-	}
-
-	if( first_char == "<" ) return _slice.call( parent_node.createRange().createContextualFragment(query).childNodes );
-
-	// if( first_char == "`" ) return [parent_node.createTextNode( query.substr(1) )];
-
-	if( first_char == "~" ) return [parent_node.createElementNS( "http://www.w3.org/2000/svg", query.substr(1) )];
-
-	return _slice.call( parent_node.querySelectorAll(query) ); //Because (live?) NodeList enumeration is damn slow \_/ https://jsben.ch/1HYYe
-}
-
-/**
- * @private
- * @param {String|Array} values 
- * @returns 
- */
-function _getSpaceSeparatedArray(values){
-
-	return !Array.isArray(values) 
-		? values.split(" ") 
-		: values;
-}
-
-/**
- * @private
- * @param {*} obj 
- * @returns {Boolean} 
- */
-function _isArrayLike(obj){
-	return Array.isArray(obj)
-		|| (
-			obj
-			&& typeof obj != "string"
-			&& obj.length != undefined
-			&& !(obj instanceof Node) //Because <select> has a length property 🤷‍♂️
-		)
-}
-
-function _eachSingle(callback){
-	callback.call(this.elems[0], this.elems[0], 0);
-}
-
-function _eachMultiple(callback){
-
-	for(var i = 0, len = this.elems.length; i < len; i++){
-		if( callback.call(this.elems[i], this.elems[i], i) === false ) break;
-	}
-
-	return this;
-}
-
-function _propSingle(key_or_key_values, val_or_val_array, _is_internal_call){
-
-	if( !_is_internal_call && typeof key_or_key_values != 'string' ) {
-
-		for(var key in key_or_key_values){
-			this.elems[0][key] = key_or_key_values[key];
-		}
-	}
-	else if( val_or_val_array != undefined ) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.elems[0][key_or_key_values] = val_or_val_array[0];
-		}
-		else{
-			this.elems[0][key_or_key_values] = val_or_val_array;
-		}
-	}
-	else {
-		return [ this.elems[0][key_or_key_values]];
-	}
-
-	return this;
-}
-
-function _propMultiple(key_or_key_values, val_or_val_array, _is_internal_call){
-
-	if( !_is_internal_call && typeof key_or_key_values != 'string' ) {
-
-		this.each(function(elem){
-			for(var key in key_or_key_values){
-				elem[key] = key_or_key_values[key];
-			}
-		});
-	}
-	else if( val_or_val_array != undefined ) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.each(function(elem, i){
-				elem[key_or_key_values] = val_or_val_array[i];
-			});
-		}
-		else{
-			this.each(function(elem){
-				elem[key_or_key_values] = val_or_val_array;
-			});
-		}
-	}
-	else {
-
-		return this.map(function(elem){
-			return elem[key_or_key_values];
-		});
-	}
-
-	return this;
-}
-
-function _cssSingle(key_or_key_values, val_or_val_array){
-
-	if( typeof key_or_key_values != 'string' ) {
-		for(var key in key_or_key_values){
-			this.elems[0].style[key] = key_or_key_values[key];
-		}
-	}
-	else if( val_or_val_array != undefined ) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.elems[0].style[key_or_key_values] = val_or_val_array[0];
-		}
-		else{
-			this.elems[0].style[key_or_key_values] = val_or_val_array;
-		}
-	}
-	else {
-
-		return [ this.elems[0].style[key_or_key_values] ];
-	}
-
-	return this;
-}
-
-function _cssMultiple(key_or_key_values, val_or_val_array){
-
-	if( typeof key_or_key_values != 'string' ) {
-
-		this.each(function(elem){
-			for(var key in key_or_key_values){
-				elem.style[key] = key_or_key_values[key];
-			}
-		});
-	}
-	else if( val_or_val_array != undefined ) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.each(function(elem, i){
-				elem.style[key_or_key_values] = val_or_val_array[i];
-			});
-		}
-		else{
-			this.each(function(elem){
-				elem.style[key_or_key_values] = val_or_val_array;
-			});
-		}
-	}
-	else {
-
-		return this.map(function(elem){
-			return elem.style[key_or_key_values];
-		});
-	}
-
-	return this;
-}
-
-function _attrSingle(key_or_key_values, val_or_val_array){
-
-	if( typeof key_or_key_values != 'string' ) {
-		for(var key in key_or_key_values){
-			this.elems[0].setAttribute( key, key_or_key_values[key] );
-		}
-	}
-	else if(arguments.length == 2) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.elems[0].setAttribute(key_or_key_values, val_or_val_array[0]);
-		}
-		else{
-			this.elems[0].setAttribute(key_or_key_values, val_or_val_array);
-		}
-	}
-	else {
-
-		return [ this.elems[0].getAttribute(key_or_key_values) ];
-
-	}
-
-	return this;
-}
-
-function _attrMultiple(key_or_key_values, val_or_val_array){
-
-	if( typeof key_or_key_values != 'string' ) {
-		this.each(function(elem){
-			for(var key in key_or_key_values){
-				elem.setAttribute( key, key_or_key_values[key] );
-			}
-		});
-	}
-	else if(arguments.length == 2) {
-
-		if( Array.isArray(val_or_val_array) ){
-			this.each(function(elem, i){
-				elem.setAttribute(key_or_key_values, val_or_val_array[i]);
-			});
-		}
-		else{
-			this.each(function(elem){
-				elem.setAttribute(key_or_key_values, val_or_val_array);
-			});
-		}
-	}
-	else {
-
-		return this.map(function(elem){
-			return elem.getAttribute(key_or_key_values);
-		});
-
-	}
-
-	return this;
-}
-
-function _addClassListElem(elem, classes){
-	for( var class_i = 0, class_len = classes.length; class_i < class_len; class_i++ ){
-		elem.classList.add( classes[class_i] );
-	}
-}
-
-function _addClassSingle(class_names){
-	var classes = _getSpaceSeparatedArray(class_names);
-
-	_addClassListElem( this.elems[0], classes );
-
-	return this;
-}
-
-function _addClassMultiple(class_names){
-
-	this.each(function(elem){
-		_addClassListElem( elem, _getSpaceSeparatedArray(class_names) );
-	});
-
-	return this;
-}
-
-function _removeClassListElem(elem, classes){
-	for( var class_i = 0, class_len = classes.length; class_i < class_len; class_i++ ){
-		elem.classList.remove( classes[class_i] );
-	}
-}
-
-function _removeClassSingle(class_names){
-
-	_removeClassListElem( this.elems[0], _getSpaceSeparatedArray(class_names) );		
-
-	return this;
-}
-
-function _removeClassMultiple(class_names){
-	var classes = _getSpaceSeparatedArray(class_names);
-
-	this.each(function(elem){
-		_removeClassListElem(elem, classes);		
-	});
-
-	return this;
-}
-
-function _mapSingle(callback){
-	return [ callback(this.elems[0], 0) ];
-}
-
-function _mapMultiple(callback){
-	var output = [];
-
-	for(var i = 0, len = this.elems.length; i < len; i++){
-		output.push( callback(this.elems[i], i) );
-	}
-
-	return output;
-}
-
-function _findSingle(selector_or_xpath){
-	return new CalDom( q(selector_or_xpath, this.elems[0]), undefined, this._w );
-}
-
-function _findMultiple(selector_or_xpath){
-	var output = this.map(function(elem){
-		return _slice.call( q(selector_or_xpath, elem) );
-	});
-
-	return new CalDom( _array_prototype.concat.apply([], output), undefined, this._w );
-}
-
-var calDom = function(selector_xpath_caldom_elems, children, parentWindow){
-	return new CalDom( selector_xpath_caldom_elems, children, parentWindow );
-};
-
-//Attaching q() directly, so it can be accessed without initiating a new CalDom instance. Eg: _.q("#container-id") or _.q("+div") or _.q("$//article/p")
-calDom["q"] = q;
-
-//Attaching CalDom constructor directly. So it can be sub-classed as a Component
-/**
- * @category Extensions
- * @title _.Component.prototype
- * @description Extend and modify core functionality of CalDom by accessing its prototype.
- * @example
- *
- * //Adding a custom core function
- * _.Component.prototype.customFunction = function(){
- * 		for( var i = 0, count = this.elems.length; i < count; i++ ){
- * 			//Do something
- * 		}
- * }
- */
-calDom["Component"] = CalDom;
-
-/**
- * @category Extensions
- * @title _.version: String
- * @description Get version of CalDom.
- * @example
- *
- * var version = _.version;
- */
- calDom["version"] = "1.0.6"
-
-if( typeof module != 'undefined' && module.exports ){
-	module.exports = calDom;
-}
-else if( typeof define == 'function' ){
-	define(function(){
-		return calDom;
-	});
-}
-else{
-
-	//Attaching CalDom to window/global using declared separator
-
-	// if( _window[alias] ){
-	// 	throw("_ is taken."); // CalDom is using '_' variable as a global short-hand by default. To use a different alias, define window['_cal_dom_alias'] = 'different_alias' before loading CalDom.
-	// }
-
-	_window[_window["_caldom_alias"] || "_"] = calDom;
-}
-
-return calDom;
-
+/*
+ * CalDom 1.0.6 - Reactive+
+ * Copyright (c) 2021 Dumi Jay
+ * Released under the MIT license - https://github.com/dumijay/CalDom/
+ */
+
+// Uncomment below line to support ES6 module import/export.
+// export default
+
+(function(){
+
+var _window = typeof window != 'undefined' ? window : undefined; //Undefined when loaded without a browser context. See _.setWindow()
+var _array_prototype = Array.prototype;
+var _slice = _array_prototype.slice;
+
+//Native functions are called directly for performance. Non-browser DOM implementations (Eg: caldom.server.js) use the Node's own methods.
+var _insertFunc_appendChild = _window
+	? _window.Node.prototype.appendChild
+	: function(new_node){
+		return this.appendChild(new_node);
+	};
+var _insertFunc_insertBefore = _window
+	? _window.Node.prototype.insertBefore
+	: function(new_node, before_node){
+		return this.insertBefore(new_node, before_node);
+	};
+//Set at the first transition(). Until then, diffing doesn't look for leaving Nodes
+var _has_transitions = false;
+
+var _isNodeConnected = function(node){
+	return node.isConnected != undefined
+		? node.isConnected
+		: !(node.ownerDocument.compareDocumentPosition(node) & 1); //Node.DOCUMENT_POSITION_DISCONNECTED
+}
+
+//RequstAnimationFrame polyfill
+var _requestAnimationFramePolyfill = ( _window && (
+		_window.requestAnimationFrame
+		|| _window.webkitRequestAnimationFrame
+		|| _window.mozRequestAnimationFrame
+	))
+	|| function(callback){
+		return setTimeout( callback, 1000 / 60);
+	}
+
+if( _window ){
+	//_window.Element.prototype.matches polyfill
+	_window.Element.prototype.matches = _window.Element.prototype.matches
+		|| _window.Element.prototype.webkitMatchesSelector
+		|| _window.Element.prototype.mozkitMatchesSelector
+		|| _window.Element.prototype.msMatchesSelector
+		|| _window.Element.prototype.oMatchesSelector;
+}
+
+/**
+ * @category Initiate
+ * @constructor
+ * @title _( query_or_elems )
+ * @description Initiates a CalDom instance.
+ * @param {String | CalDom | Node | Array<Node> | NodeList | HTMLCollection} [query_or_elems] (Optional) "+tag" creates a new Element.
+ * '<tag></tag>' creates specified HTML structure. "~svg_tag" creates a SVG element.
+ * Otherwise, it can be a CSS Selector, an XPath query starting with "$", a CalDom instance, a single Node/Element, an array of Nodes or a NodeList/HTMLCollection.
+ * @param {Array<CalDom | Node | String>} [children_array] (Optional) Array of child elements to be passed into append(). Can be CalDom/Node/String/HTML. See append() for all possibilities.
+ * This might be useful for code-clarity at render() function for reactive components. See examples at react().
+ * @param {Window} [parentWindow=window] (Optional) parent_window default to current window. Use this to work with iframes or external windows.
+ * @returns {CalDom} A new CalDom instance with created/found elements.
+ * @example
+ * //Create a new password input element with a placeholder
+ * var passwordInput = _("+input")
+ * 		.attr({
+ * 			type: "password",
+ * 			placeholder: "Enter your password"
+ * 		});
+ *
+ * //Create a password input element using full HTML syntax
+ * var passwordInput = _( '<input type="password" placeholder="Type your password here" />' );
+ *
+ * //Create a new SVG element
+ * var svgRectangle = _("~rect")
+ * 		.attr({
+ * 			width: 100,
+ * 			height: 100
+ * 		});
+ *
+ * //Get element by ID using CSS Selector
+ * var container = _("#container-id");
+ *
+ * //Find anchor elements inside <article> with href containing "wikipedia.org" using an XPath query
+ * var wikipedia_links = _("$//article/a[contains(＠href, 'wikipedia.org')]");
+ *
+ * //Create a CalDom instance with a single Node
+ * var container = _( document.body.children[3] );
+ *
+ * //Create a CalDom instance with a NodeList or array of Nodes
+ * var bodyChildren = _(document.body.childNodes);
+ *
+ * //Create a new DIV element and provide an array of children as the 2nd argument.
+ * //CalDom accepts a wide variety of input types as children. See append() for all possibilities.
+ * var something = _(
+ * 		"+div",
+ * 		[
+ * 			document.createElement("h1"), //Node
+ *
+ * 			_("+p").text("I'm a paragraph inside DIV."), //CalDom
+ *
+ * 			'<img width="120" height="120" src="something.png" />', //HTML syntax
+ *
+ * 			"Text Node inside DIV"
+ * 		]
+ * );
+ */
+var CalDom = function(query_or_elems, children_array, parentWindow){
+	this.init(query_or_elems, children_array, parentWindow);
+};
+
+CalDom.prototype = {
+
+	/**
+	 * @private
+	 * @description Context window. Set during init. Refer CalDom's constructor for details.
+	 */
+	"_w": undefined,
+
+	/**
+	 * @title elems: Array<Node>
+	 * @description Nodes/Elements of this CalDom instance.
+	 * (Note that directly changing items here is not recommended.)
+	 * @example
+	 *
+	 * //Get 3rd img element (zero-based index)
+	 * var third_img_elem = _("img").elems[2];
+	 */
+	"elems": [],
+
+	/**
+	 * @title watched: Boolean
+	 * @description Whether state changes are monitored in the reactive mode. See react() for details.
+	 */
+	"watched": undefined,
+
+	/**
+	 * @private
+	 * @description To track changed/deleted state keys. Refer usage inside react()
+	 */
+	_watch_state_changed_keys: {},
+
+	/**
+	 * @private
+	 * @description To track how many keys got changed/deleted. Refer usage inside react()
+	 */
+	_watch_state_change_count: 0,
+
+	/**
+	 * @private
+	 * @description To track change records with full paths, old & new values. Created per instance on the first change. Refer usage inside react()
+	 */
+	_watch_state_changes: null,
+
+	/**
+	 * @private
+	 * @description Computed values cache as { key: { value, has_value, dirty, deps }, ... }. See _setupComputed()
+	 */
+	_computed_cache: null,
+
+	/**
+	 * @private
+	 * @description State watchers added by watchState() or config.watch. Created per instance on the first watchState()
+	 */
+	_state_watchers: null,
+
+	/**
+	 * @private
+	 * @description Matched state watcher calls waiting for the next render()/update(). [ [ watcher, change ], ... ]
+	 */
+	_state_watcher_queue: null,
+
+	/**
+	 * @private
+	 * @description Disposers of store subscriptions added by connect() or config.stores
+	 */
+	_store_disposers: null,
+
+	/**
+	 * @private
+	 * @description Async data resources added by resource() or config.resources. { key: resource, ... }. See _loadResource()
+	 */
+	_resources: null,
+
+	/**
+	 * @private
+	 * @description Options of transition() called on a reactive component. Applied to roots rendered by react()
+	 */
+	_transition_options: null,
+
+	/**
+	 * @private
+	 * @description Values provided to descendant components by provide(). { key: value, ... }
+	 */
+	_provided: null,
+
+	/**
+	 * @private
+	 * @description Descendant components that injected a provided key. { key: [ component, ... ], ... }
+	 */
+	_injectors: null,
+
+	/**
+	 * @private
+	 * @description Providers & keys injected by this component. [ [ provider, key ], ... ]. Used to remove this component from their _injectors at unmount
+	 */
+	_injections: null,
+
+	/**
+	 * @private
+	 * @description Error captured from a nested component while this component has a fallback(). { error, component, phase }
+	 */
+	_error: null,
+
+	/**
+	 * @private
+	 * @description Portals mounted by this component. [ { target: Node, nodes: Array<Node> }, ... ]. See _.portal()
+	 */
+	_portals: null,
+
+	/**
+	 * @private
+	 * @description Portals created by _.portal() during the current render(). [ { target: Node, nodes: Array<Node> }, ... ]
+	 */
+	_rendered_portals: null,
+
+	/**
+	 * @private
+	 * @description Whether this component is diffing its own roots after render()
+	 */
+	_committing: false,
+
+	/**
+	 * @private
+	 * @description { compiled, values } of a _.html output until its Nodes are created. See _.html
+	 */
+	_template: null,
+
+	_setMultipleMode: function(){
+		this.each = _eachMultiple;
+		this.map = _mapMultiple;
+		this.find = _findMultiple;
+		this.prop = _propMultiple;
+		this.attr = _attrMultiple;
+		this.css = _cssMultiple;
+		this.addClass = _addClassMultiple;
+		this.removeClass = _removeClassMultiple;
+	},
+
+	/**
+	 * @private
+	 * @description Internal init(). Refer CalDom's constructor
+	 */
+	init: function(selector_xpath_caldom_elems, children_array, parentWindow){
+
+		this._w = parentWindow || _window;
+
+		if( selector_xpath_caldom_elems ){
+			// if(selector_xpath_caldom_elems instanceof CalDom){
+			// 	this.elems = selector_xpath_caldom_elems.elems;
+			// }
+			// else 
+			if( _isArrayLike(selector_xpath_caldom_elems) ){
+					this.elems = _slice.call( selector_xpath_caldom_elems );
+			}
+			else if(typeof selector_xpath_caldom_elems == 'object' ){
+				this.elems = [selector_xpath_caldom_elems];
+			}
+			else{
+				this.elems = q(selector_xpath_caldom_elems, this._w.document);
+			}
+
+			if( this.elems.length != 1 ) this._setMultipleMode();
+		}
+
+		if( children_array && _isArrayLike(children_array) ) insertBefore.call( this, children_array, null, _insertFunc_appendChild );
+
+		return this;
+	},
+
+	/**
+	 * @category Traverse
+	 * @description Get a new CalDom instance with matching descendent elements for all elements in this CalDom instance.
+	 * Note: This could return duplicates when there are inter-connected elements in this CalDom instance.
+	 * @param {String} selector_or_xpath CSS Selector to find or XPath query starting with "$"
+	 * @returns {CalDom} A new CalDom instance with found elements.
+	 * @example
+	 * //Find child elements by the CSS selector
+	 * var slide_photos = calDomInstance.find(".slide-photo");
+	 *
+	 * //Find child anchor elements with href containing "wikipedia.org" using an XPath query.
+	 * //(Note relative XPath queries starts with './' instead of root '/')
+	 * var wikipedia_links = calDomInstance.find("$./a[contains(＠href, 'wikipedia.org')]");
+	 *
+	 * //Find following siblings of a <li> using an XPath query.
+	 * var li_next_siblings = _("#li-id").find("$./following-sibling::li");
+	 */
+	"find": _findSingle,
+
+	/**
+	 * @category Traverse
+	 * @description Get a new CalDom instance with i-th element in this CalDom instance.
+	 * @param {Number} index Can be a zero-based index or a minus(-i) index from end (Eg: -1 returns last element)
+	 * @returns {CalDom} A new CalDom instance with the i-th element
+	 * @example
+	 * //Get a new CalDom instance for 5th paragraph
+	 * var fifth_para = _("p").eq(4);
+	 *
+	 * //Get a new Caldom instance for 2nd last paragraph
+	 * var second_last_para = _("p").eq(-2);
+	 */
+	"eq": function(index){
+		return new CalDom( this.elems[ index < 0 ? this.elems.length + index : index ], undefined, this._w );
+	},
+
+	/**
+	 * @category Traverse
+	 * @description Get a new CalDom instance with immediate parent(s) or n-th parent(s) or parent(s) matching the CSS selector. (If this CalDom instance has more than 1 element, parents of all of them are included.)
+	 * @param {Number | String} [n_or_selector] (Optional) Default is immediate parent. If a number is given, n-th parent is returned (zero-based). If a string is given, first parent(s) to match the CSS selector is returned.
+	 * @returns {CalDom} A new CalDom instance with matched parents. Multiple parents will be returned if there are 2 or more elements in this CalDom instance.
+	 * @throws {TypeError} Throws if Element.matches() is not supported in the browser. Use the polyfill at https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
+	 * @example
+	 * //Get a new CalDom instance for immediate parent
+	 * var para_parent = _("#para").parent();
+	 *
+	 * //Get a new CalDom instance for 2nd-level parent(grand-parent)
+	 * var grand_parent = _("#para").parent(1);
+	 *
+	 * //Get parents with the class "container" for all img elements
+	 * var img_parents = _("img").parent(".container");
+	 */
+	"parent": function(n_or_selector){
+		var _this = this;
+
+		var output = [];
+
+		if( !n_or_selector || typeof n_or_selector == 'number' ){
+			this.each(function(elem){
+				var cur_node = elem.parentNode;
+
+				for(var parent_i = 0; parent_i < n_or_selector; parent_i++){
+					cur_node = cur_node.parentNode;
+				}
+
+				output.push( cur_node );
+			});
+		}
+		else{
+			this.each(function(elem){
+				var cur_node = elem.parentNode;
+
+				var is_document = cur_node == _this._w.document;
+
+				while( !is_document && !cur_node.matches(n_or_selector) ){
+					cur_node = cur_node.parentNode;
+					is_document = cur_node == _this._w.document;
+				}
+
+				if( !is_document ) output.push( cur_node );
+			});
+		}
+
+		return new CalDom( output, undefined, this._w );
+	},
+
+	/**
+	 * @category Traverse
+	 * @description Get a new CalDom instance with children of all elements in this CalDom instance. (If this CalDom instance has more than 1 element, children of all of them are included.)
+	 * @param {String} [match_selector] (Optional) CSS selector to match
+	 * @throws {TypeError} Throws if Element.matches() is not supported in the browser. Use the polyfill at https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
+	 * @returns {CalDom} A new CalDom instance with children.
+	 * @example
+	 *
+	 * //Get all children of element with id "container-id"
+	 * var container_children = _("#container-id").children();
+	 *
+	 * //Get checked elements
+	 * var checked_elements = _("#form-id").children(":checked");
+	 */
+	"children": function(match_selector){
+		var output = [];
+
+		this.each(function(elem){
+			var children = _slice.call( elem.childNodes ); //Because NodeList enumeration is damn slow \_/ https://jsben.ch/1HYYe
+
+			for( var i = 0, len = children.length; i < len; i++ ){
+				var child = children[i];
+
+				if( !match_selector || (child.matches && child.matches(match_selector)) ) output.push(child);
+			}
+		});
+
+		return new CalDom( output, undefined, this._w );
+	},
+
+	/**
+	 * @category Iterate
+	 * @description Iterate each element in this CalDom instance with a callback.
+	 * @param {Function} callback Function to callback. Callback is called with 2 arguments: callback(elem: Node, index: Number). The enumeration stops if the callback returns false.
+	 * @returns {CalDom} Returns current CalDom instance
+	 * @example
+	 * //Iterate through all img elements with the class "slide" and log its index and src
+	 * _("img.slide").each( function(elem, i){
+	 * 		console.log( i, elem.src );
+	 * });
+	 */
+	"each": _eachSingle,
+
+	/**
+	 * @category Iterate
+	 * @description Iterate each element in this CalDom instance with a callback and get an array of callback's returned values.
+	 * @param {Function} callback Function to callback. Callback is called with 2 arguments: callback(elem: Node, index: Number).
+	 * @returns {Array} An array of values returned by the callback.
+	 * @example
+	 * //Get value length of text input elements
+	 * var lengths = _("input[type=text]")
+	 * 		.map( function(elem, i) {
+	 * 			return elem.value.length;
+	 * 		})
+	 */
+	 "map": _mapSingle,
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get or set innerHTML of all elements in this CalDom instance.
+	 * (WARNING: This might lead to XSS vulnerabilities. Use text() or append("text_content") if you're only updating text).
+	 * @param {String | Array<String>} [html_or_html_array] (Optional) A HTML string or an array of HTML strings to set at corresponding n-th element.
+	 * If not given, an array of innerHTML for all elements in this CalDom instance is returned.
+	 * @returns { CalDom | Array<String> } If html_or_html_array param is given, current CalDom instance is returned.
+	 * Otherwise, an array of innerHTML from all elements in this CalDom instance is returned.
+	 * @example
+	 * //Set HTML code to a DIV element
+	 * _("#div-id").html( '<p>Bla Bla</p>' );
+	 *
+	 * //Set an array of HTML code to corresponding n-th element
+	 * _(".container").html( ['<p id="para-1"></p>', '<p id="para-2"></p>'] );
+	 *
+	 * //Get HTML code of all div elements as an array
+	 * var h3_html_array = _("div").html();
+	 */
+	"html": function(html_or_html_array){
+
+		// TODO: Make this direct for performance?
+		return this.prop("innerHTML", html_or_html_array, true);
+
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get or set textContent of all elements in this CalDom instance.
+	 * @param {String | Array<String>} [text_or_text_array] (Optional) Text or an array of text to set at corresponding n-th element.
+	 * If not given, an array of textContent is returned.
+	 * @returns { CalDom | Array<String> } If text_or_text_array is given, current CalDom instance is returned.
+	 * Otherwise, an array of textContent from all elements in this CalDom instance is returned.
+	 * @example
+	 * //Set text of all anchor elements to "Click Here"
+	 * _("a").text("Click Here");
+	 *
+	 * //Set an array of text to n-th paragraph
+	 * _("p").text( ["Para One", "Para Two"] )
+	 *
+	 * //Get an array of text from span elements with the class "caption"
+	 * var captions_array = _("span.caption").text();
+	 */
+	"text": function(text_or_text_array){
+
+		// TODO: Make this direct for performance?
+		return this.prop("textContent", text_or_text_array, true);
+
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get or set value property of elements in this CalDom instance.
+	 * @param {String | Number | Array<String | Number>} [val_or_val_array] (Optional) Value or array of values to to be set at corresponding n-th element.
+	 * If not given, array of values will be returned.
+	 * @returns { CalDom | Array<String> } If val_or_val_array is given, current CalDom instance is returned.
+	 * Otherwise, array of value from all elements in this CalDom instance is returned.
+	 * @example
+	 *
+	 * //Get an value array from all text input elements
+	 * var input_text_array = _('input[type="text"]').val();
+	 *
+	 * //Make all password fields empty
+	 * _('input[type="password"]').val("");
+	 *
+	 * //Set an array of values to n-th input element
+	 * _('input[type="text"]').val( ["One", "Two", "Three"] );
+	 */
+	"val": function(val_or_val_array){
+
+		// TODO: Make this direct for performance
+		return this.prop("value", val_or_val_array, true);
+
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get or set attribute(s) of elements in this CalDom instance.
+	 * @param {String | Object} key_or_key_values Attribute name as a String or { key: value, ... } object to set multiple attributes
+	 * @param {any | Array<String | Number>} [val_or_val_array] (Optional) Value or array of values to be assigned at corresponding n-th element.
+	 * If not given, an array of attribute values for the given key is returned.
+	 * @returns { CalDom | Array<String | Number> } If it's a set request, current CalDom instance is returned.
+	 * Otherwise, an attribute value array from all elements in this CalDom instance is returned.
+	 * @example
+	 * //Set scrolling attribute of all iframes
+	 * _("iframe").attr("scrolling", "no");
+	 *
+	 * //Get an array of href attribute from all <a> tags
+	 * var links_array = _("a").attr("href");
+	 *
+	 * //Set width and height of img elements
+	 * _("img").attr({
+	 * 	width: 400,
+	 * 	height: 300
+	 * });
+	 *
+	 * //Set an array of type attribute to n-th input elements
+	 * _("input").attr( "type", ["text", "password", "date"] );
+	 */
+	 "attr": _attrSingle,
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get or set variable(s) at elements' root. Other than assigning custom data of any type at elements' root, this can be used to access all properties/attributes of elements as well.
+	 * Warning: Look out for untracked circular references that might lead to memory leaks.
+	 * @param {String | Object} key_or_key_values Variable name as a String or { key: value, ... } object to set multiple variables.
+	 * @param {any | Array} [val_or_val_array] (Optional) Value or an array of values to be to be assigned at the corresponding n-th element. If empty, an array of given key's values is returned.
+	 * @returns {CalDom | Array} If it's a set request, this chainable CalDom instance is returned.
+	 * Otherwise, a value array from all elements in this CalDom instance is returned.
+	 * @example
+	 * //Get custom data
+	 * var custom_data_array = _(".class-name").prop("customData");
+	 *
+	 * //Set click event handler
+	 * _("#elem-id").prop("onclick", (e) => { console.log("clicked") });
+	 *
+	 * //Set an array of custom_data to n-th <p> separately
+	 * _("p").prop( "custom_data", [custom_data_one, custom_data_two, null] );
+	 *
+	 * //Set multiple variables
+	 * _("input").prop({
+	 * 		type: "text",
+	 * 		value: "Hello World!",
+	 * 		custom_data: 44,
+	 * 		other_data: { name: "Jane" }
+	 * });
+	 */
+
+	"prop": _propSingle,
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Mark properties of elements in this CalDom instance to be synced while diffing at react()/replace().
+	 * By default, only attributes, value, checked, indeterminate, selected & data() are synced to existing Nodes. Event handler properties set by prop() (Eg: "onclick") & listeners added by on() are synced automatically.
+	 * Use this for other custom properties set at render() that should be patched onto the existing Nodes.
+	 * @param {String | Array} keys A single property name or multiple property names separated by spaces or as an array.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 * //Keep custom properties up to date at every render()
+	 * render: function(state){
+	 * 		return _("+canvas")
+	 * 			.prop({ chartData: state.points, chartOptions: state.options })
+	 * 			.sync("chartData chartOptions");
+	 * }
+	 */
+	"sync": function(keys){
+		var keys_array = _getSpaceSeparatedArray(keys);
+
+		this.each(function(elem){
+			for( var key_i = 0, keys_len = keys_array.length; key_i < keys_len; key_i++ ){
+				_markSynced(elem, keys_array[key_i]);
+			}
+		});
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Two-way bind form elements in this CalDom instance to the state of the reactive component rendering them (or the closest component they're mounted in).
+	 * The element shows the current state value & user input is written back to the state through the watched Proxy. val() & prop("value"/"checked") write to the state as well.
+	 * Works with input, textarea, select, select[multiple] (an array), checkboxes (a Boolean, or an array of values for a checkbox group) & radio buttons (the value of the checked one).
+	 * Bindings survive re-renders as the listener & the binding are synced to existing Nodes while diffing at react()/replace().
+	 * When used outside render(), the elements are updated by a state watcher. See watchState(). It's disposed when model() is called again on the same elements or when the component is removed.
+	 * A state path requires a reactive component. An error is thrown if none is found.
+	 * @param {String | Object} path_or_accessor Dot separated state path (Eg: "user.name") or { get: function(){}, set: function(value){} }
+	 * @param {Object} [options] (Optional)
+	 * @param {String} [options.event] (Optional) Event to write the state. Default is "change" for checkboxes, radio buttons & select. "input" for others.
+	 * @param {Function} [options.parse] (Optional) parse(element_value) converting the element value before writing the state. Eg: Number
+	 * @param {Function} [options.format] (Optional) format(state_value) converting the state value to the element value. Eg: (date) => date.toISOString().substr(0, 10)
+	 * @param {CalDom} [options.component] (Optional) Reactive component owning the state. Default is the component being rendered or the closest component root the elements are mounted in.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * var form = _().react( { name: "", age: 18, agree: false, color: "red", tags: [] }, {
+	 * 		render: (state) => _("+form", [
+	 * 			_("+input").model("name"),
+	 * 			_("+input").attr("type", "number").model("age", { parse: Number }),
+	 * 			_("+input").attr("type", "checkbox").model("agree"),
+	 *
+	 * 			//Radio group
+	 * 			_( [ radio("red"), radio("blue") ] ).model("color"),
+	 *
+	 * 			//Checkbox group. state.tags is an array of checked values
+	 * 			_( [ checkbox("news"), checkbox("offers") ] ).model("tags"),
+	 *
+	 * 			_("+p", [ "Hello " + state.name ])
+	 * 		])
+	 * } );
+	 *
+	 * //Getter & setter
+	 * _("+input").model( { get: () => store.state.query, set: (query) => store.actions.search(query) } );
+	 *
+	 * //Existing HTML
+	 * var settings = _("#settings").react( { theme: "light" }, { update: () => {} } );
+	 * _("#theme-select").model( "theme", { component: settings } );
+	 */
+	"model": function(path_or_accessor, options){
+		options = options || {};
+
+		var component = options["component"] || this.elems[0] && this.elems[0]["_h"] || _getAncestorComponents(this)[0];
+
+		if( typeof path_or_accessor == 'string' && !component ){
+			throw new Error('model("' + path_or_accessor + '") requires a reactive component. Call it inside render(), on elements mounted in a component or pass options.component');
+		}
+
+		var accessor = typeof path_or_accessor == 'string' ? _getStatePathAccessor(component, path_or_accessor) : path_or_accessor;
+
+		var model = {
+			get: accessor["get"],
+			set: accessor["set"],
+			parse: options["parse"] || _identity,
+			format: options["format"] || _identity,
+			dispose: null
+		};
+
+		this.each(function(elem){
+			var type = elem.type;
+			var old_model = elem["_model"];
+
+			if( old_model ){ //Re-binding
+				_removeListeners(elem, _getModelEvents(elem), undefined, _onModelEvent);
+				if( old_model.dispose ) old_model.dispose();
+			}
+
+			elem["_model"] = model;
+			_markSynced(elem, "_model"); //So existing Nodes use the latest getter & setter after diffing
+
+			_addListener(elem, options["event"] || (type == "checkbox" || type == "radio" || elem.tagName == "SELECT" ? "change" : "input"), undefined, _onModelEvent);
+			_applyModelValue(elem);
+		});
+
+		if( typeof path_or_accessor == 'string' && _rendering_components.indexOf(component) == -1 ){ //Re-rendering doesn't update existing elements
+			var caldom = this;
+
+			model.dispose = component["watchState"](path_or_accessor, function(){
+				caldom.each(_applyModelValue);
+			}, { "deep": true });
+		}
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Get values of named form controls (input, select, textarea) in this CalDom instance, including descendants. Eg: a <form> or any container.
+	 * Controls are collected like a form submission: disabled controls, buttons & unchecked checkboxes/radio buttons are skipped. Each selected option of a <select multiple> is a separate value.
+	 * Names with brackets are nested in the object format. Eg: "user[name]" => { user: { name } } & "tags[]" => { tags: [...] }.
+	 * A <select multiple> or a group of checkboxes sharing a name is always an array. Other repeated names become arrays.
+	 * @param {String} [format="object"] (Optional) "object", "formData" (a FormData including selected files) or "string" (URL encoded. Eg: "name=Jane&tags%5B%5D=a")
+	 * @returns {Object | FormData | String}
+	 * @example
+	 *
+	 * var values = _("#signup-form").serialize();
+	 * //{ name: "Jane", address: { city: "Colombo" }, tags: [ "news" ] }
+	 *
+	 * fetch( "/signup", { method: "POST", body: _("#signup-form").serialize("formData") } );
+	 *
+	 * var query_string = _("#filters").serialize("string");
+	 */
+	"serialize": function(format){
+		var entries = _getFormEntries(this, format == "formData");
+		var i;
+
+		if( format == "formData" ){
+			var form_data = new this._w["FormData"]();
+
+			for( i = 0; i < entries.length; i++ ) form_data.append(entries[i][0], entries[i][1]);
+
+			return form_data;
+		}
+
+		if( format == "string" ){
+			return entries.map(function(entry){
+				return encodeURIComponent(entry[0]) + "=" + encodeURIComponent(entry[1]).replace(/%20/g, "+");
+			}).join("&");
+		}
+
+		var output = {};
+
+		for( i = 0; i < entries.length; i++ ){
+			_setFormValue(output, entries[i][2], entries[i][1]);
+		}
+
+		return output;
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Set values of named form controls in this CalDom instance (including descendants) from an object. The inverse of serialize().
+	 * Text controls are set via val(), checkboxes/radio buttons via checked & options of a <select multiple> via selected.
+	 * Controls without a matching value (undefined) are not changed.
+	 * @param {Object} values Values by control names. Nested objects & arrays are matched with bracket names. Eg: { user: { name: "Jane" }, tags: ["a", "b"] } for "user[name]" & "tags[]"
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * _("#profile-form").populate( { name: "Jane", newsletter: true, color: "red", tags: [ "news", "offers" ] } );
+	 *
+	 * //Reset a form to saved values
+	 * _("#filters").populate( JSON.parse( localStorage.getItem("filters") ) );
+	 */
+	"populate": function(values){
+		var controls = _getFormControls(this);
+		var counters = {}; //Positions of repeated "name[]" text controls
+
+		for( var i = 0; i < controls.length; i++ ){
+			var control = controls[i];
+			var type = control.type;
+			var keys = _getFormNameKeys(control.name);
+			var is_push = keys[ keys.length - 1 ] === "";
+			var value = _getStatePathValue(values, is_push ? keys.slice(0, -1) : keys);
+
+			if( value === undefined || type == "file" ) continue;
+
+			var control_caldom = new CalDom( control, undefined, this._w ); //prop() & val() also update the state of controls bound by model()
+
+			if( type == "checkbox" || type == "radio" ){
+				control_caldom.prop( "checked", typeof value == 'boolean' ? value : _hasFormValue(value, control.value) );
+			}
+			else if( type == "select-multiple" ){
+				for( var option_i = 0; option_i < control.options.length; option_i++ ){
+					control.options[option_i].selected = _hasFormValue(value, control.options[option_i].value);
+				}
+
+				if( control["_model"] ) _updateModelState(control);
+			}
+			else{
+				if( is_push || Array.isArray(value) ){
+					counters[control.name] = counters[control.name] || 0;
+					value = [].concat(value)[ counters[control.name]++ ];
+
+					if( value === undefined ) continue;
+				}
+
+				control_caldom.val( value == null ? "" : String(value) );
+			}
+		}
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Validate named form controls in this CalDom instance (Eg: a <form>) on input, blur & submit.
+	 * Field states are kept in a reactive store (See _.store()), so components can render errors via connect() or config.stores at react().
+	 * Shown errors (after a field is touched or the form is submitted) toggle aria-invalid & the error class of the controls. The first error is also set via setCustomValidity(), so the browser's constraint validation API (:invalid, checkValidity(), etc.) agrees.
+	 * Errors of native constraints (Eg: required, type="email" attributes) are included. Submission is blocked until all fields are valid, including async rules.
+	 * @param {Object} rules { field_name: rule | [ rule, ... ] }. Field names are control names. Eg: "email", "address[city]", "tags" (for "tags[]").
+	 * A rule is function(value, values, field_name) returning an error message (String) if invalid or a Promise of it. value is the serialized value of the field & values is serialize() of the form.
+	 * See _.validators for built-in rules.
+	 * @param {Object} [options] (Optional)
+	 * @param {String} [options.errorClass="caldom-invalid"] (Optional) Class added to controls with shown errors.
+	 * @param {Function} [options.submit] (Optional) submit(values, event) called instead of the native submission when the form is valid.
+	 * It can return a Promise. state.submitting is true while validating a submission & until the returned Promise settles. Errors (including rejections) are passed to _.onError() with the "submit" phase.
+	 * @returns {Object} Validator store: { state: { fields: { field_name: { value, errors, valid, touched, dirty, pending } }, valid, pending, submitted, submitting }, subscribe(), validate(), reset(), destroy() }
+	 * validate() shows errors of all fields & returns a Promise of the validity. reset() clears touched/dirty flags using current values as initial values. destroy() removes listeners.
+	 * @example
+	 *
+	 * var v = _.validators;
+	 *
+	 * var signup = _("#signup-form").validate(
+	 * 		{
+	 * 			username: [ v.required(), v.minLength(3), (value) => fetch( "/check/" + value ).then( (res) => res.ok ? null : "Already taken" ) ],
+	 * 			email: [ v.required(), v.pattern( /^\S+@\S+$/, "Invalid email" ) ],
+	 * 			"tags": v.minLength( 1, "Select a tag" )
+	 * 		},
+	 * 		{ submit: (values) => api.signup(values) }
+	 * );
+	 *
+	 * var username_error = _().react( {}, {
+	 * 		stores: [ [ signup, (state) => state.fields.username ] ],
+	 * 		render: () => {
+	 * 			var field = signup.state.fields.username;
+	 * 			return _("+p", [ field.touched ? field.errors.join(", ") : "" ]).addClass("error");
+	 * 		}
+	 * } );
+	 */
+	"validate": function(rules, options){
+		options = options || {};
+
+		var caldom = this;
+		var fields = {};
+
+		for( var name in rules ){
+			fields[name] = { "value": undefined, "errors": [], "valid": true, "touched": false, "dirty": false, "pending": false };
+		}
+
+		var validator = calDom["store"]({ "fields": fields, "valid": true, "pending": false, "submitted": false, "submitting": false });
+
+		var context = {
+			caldom: caldom,
+			rules: rules,
+			error_class: options["errorClass"] || "caldom-invalid",
+			validator: validator,
+			runs: {}, //Latest validation run of each field. Results of older async runs are ignored
+			initial_values: caldom.serialize()
+		};
+
+		var listeners = {
+			"input": function(e){
+				var field_name = _getFormFieldName(context, e.target);
+				if( field_name ) _validateFormField(context, field_name, caldom.serialize());
+			},
+
+			"focusout": function(e){
+				var field_name = _getFormFieldName(context, e.target);
+
+				if( field_name ){
+					_setIfChanged(validator["state"]["fields"][field_name], "touched", true);
+					_validateFormField(context, field_name, caldom.serialize());
+				}
+			},
+
+			"submit": function(e){
+				_submitForm(context, e, options["submit"]);
+			}
+		};
+
+		listeners["change"] = listeners["input"];
+
+		var on_invalid = function(e){ //Native constraint validation blocked the submission
+			var field_name = _getFormFieldName(context, e.target);
+
+			if( field_name ){
+				_setIfChanged(validator["state"]["fields"][field_name], "touched", true);
+				_updateFormFieldView(context, field_name);
+			}
+		};
+
+		caldom.each(function(elem){
+			for( var event in listeners ) _addListener(elem, event, undefined, listeners[event]);
+			_addListener(elem, "invalid", undefined, on_invalid, true); //invalid doesn't bubble
+		});
+
+		validator["validate"] = function(){
+			for( var field_name in rules ) _setIfChanged(validator["state"]["fields"][field_name], "touched", true);
+
+			return Promise.resolve( _validateFormFields(context) );
+		};
+
+		validator["reset"] = function(){
+			context.initial_values = caldom.serialize();
+
+			_setIfChanged(validator["state"], "submitted", false);
+
+			for( var field_name in rules ){
+				_setIfChanged(validator["state"]["fields"][field_name], "touched", false);
+				_setIfChanged(validator["state"]["fields"][field_name], "dirty", false);
+			}
+
+			_validateFormFields(context);
+		};
+
+		validator["destroy"] = function(){
+			caldom.each(function(elem){
+				for( var event in listeners ) _removeListeners(elem, [event], undefined, listeners[event]);
+				_removeListeners(elem, ["invalid"], undefined, on_invalid, true);
+			});
+
+			_getFormControls(caldom).forEach(function(control){
+				if( control.setCustomValidity ) control.setCustomValidity("");
+			});
+		};
+
+		_validateFormFields(context); //Errors are known, but not shown until touched
+
+		return validator;
+	},
+
+	/**
+	 * @category Manipulate/Retrieve Content
+	 * @description Store & retrieve { key: value, ... } data from elements in this CalDom instance.
+	 * (Data is stored at element._data. However, _data location might change over time, avoid accessing it directly as possible.)
+	 * Warning: Look out for untracked circular references that might lead to memory leaks.
+	 * @param {Object} key Can be any javascript Object, usually a string.
+	 * @param {any | Array} [value] (Optional) Can be any javascript Object or an array of Objects to be to be assigned at the corresponding n-th element.
+	 * @returns If it's a set request, this CalDom instance is returned.
+	 * Otherwise, an array of values for the provided key from all elements is returned.
+	 */
+	"data": function(key, value){
+
+		if( value == undefined ){
+			return this.map(function(elem){
+				if( elem["_data"] ) return elem["_data"][key];
+			});
+		}
+		else{
+
+			if( Array.isArray(value) ){
+				this.each(function(elem, i){
+					if( !elem["_data"] ) elem["_data"] = {};
+					elem["_data"][key] = value[i];
+				});
+			}
+			else{
+				this.each(function(elem){
+					if( !elem["_data"] ) elem["_data"] = {};
+					elem["_data"][key] = value;
+				});
+			}
+
+			return this;
+		}
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Get & set CSS style rule(s) of elements in this CalDom instance.
+	 * @param {String | Object} key_or_key_values CSS property name or { property: value, ... } object to set multiple rules
+	 * @param {String | Number | Array<String | Number>} val_or_val_array CSS value or an array of values to be set at n-th element for the given CSS property name.
+	 * @returns {CalDom | Array<String | Number>} If it's a set request, this CalDom instance is returned.
+	 * Otherwise, a CSS value array for the given property from all elements in this CalDom instance is returned.
+	 * @example
+	 *
+	 * //Set one rule
+	 * _(".class-name").css("background-color", "blue");
+	 *
+	 * //Set multiple rules
+	 * _("#div-id").css({
+	 * 		backgroundColor: "red",
+	 * 		"font-size": "2em"
+	 * });
+	 *
+	 * //Set CSS value using an array for n-th element
+	 * _(".box")
+	 * 	.css( "background-color", [ "red", "yello", "#555"] );
+	 *
+	 * //Get CSS value
+	 * var rule_value = _("#something").css("display")[0];
+	 */
+	 "css": _cssSingle,
+
+	/**
+	 * @category CSS Styling
+	 * @description Add class name(s) to elements in this CalDom instance.
+	 * @param {String | Array} class_names A single class name or multiple class names separated by spaces or as an array.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Add a single class
+	 * _("#container").addClass("wide-view");
+	 *
+	 * //Add multiple classes (space-separated)
+	 * _("#container").addClass("visible dark-theme narrow");
+	 * 
+	 * //Add multiple classes (array)
+	 * _("#container").addClass( ["visible", "dark-theme", "narrow"] );
+	 */
+
+	 "addClass": _addClassSingle,
+
+	/**
+	 * @category CSS Styling
+	 * @description Remove class name(s) from elements in this CalDom instance.
+	 * @param {String | Array} class_names A single class name or multiple class names separated by spaces or as an array.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Remove a single class
+	 * _("#container").removeClass("visible");
+	 *
+	 * //Remove multiple classes (space-separated)
+	 * _("#container").removeClass("dark-theme narrow");
+	 * 
+	 * //Remove multiple classes (array)
+	 * _("#container").removeClass( ["dark-theme", "narrow"] );
+	 */
+	"removeClass": _removeClassSingle,
+
+	/**
+	 * @category CSS Styling
+	 * @description Set display CSS property of all elements in this CalDom instance.
+	 * @param {String} [display_value] (optional) Display value. Default to "block"
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Set CSS display property of #container to "block"
+	 * _("#container").show();
+	 *
+	 * //Set CSS display property of #gallery to "flex"
+	 * _("#gallery").show("flex");
+	 */
+	"show": function(display_value){
+		return this.css("display", display_value || "block");
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Set display CSS property of all elements in this CalDom instance to "None".
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Set CSS display property of #container to "none"
+	 * _("#container").hide();
+	 */
+	"hide": function(){
+		return this.css("display", "none");
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Animate elements in this CalDom instance when they're inserted (enter), removed (leave) or moved within a keyed list at react()/replace() (move).
+	 * Elements are "entered" when they're inserted into the document by append()/prepend() or by diffing. Removing an element via remove() or diffing is deferred until its leave animation finishes.
+	 * Leaving elements are ignored while diffing later renders. Unmount hooks of a leaving component root are fired before (willUnmount) & after (didUnmount) the animation.
+	 * If called on a reactive component, root elements rendered later are animated too. The setting is kept on existing Nodes while diffing, same as sync().
+	 *
+	 * CSS classes mode (name): At enter, name-enter & name-enter-active classes are added. Right after the first frame is applied, name-enter is replaced with name-enter-to.
+	 * Both name-enter-active & name-enter-to are removed when the CSS transition/animation ends (Using the computed duration & delay or options.duration). leave does the same with name-leave* classes.
+	 * Moved elements of a keyed list are transformed back to their old position & the transform is transitioned away with the name-move class. (FLIP)
+	 * These classes are kept while diffing a re-render that happens during the transition.
+	 *
+	 * Web Animations mode (enter/leave keyframes): Keyframes are played via element.animate(). Moves are animated by a transform. Skipped if element.animate() is not supported.
+	 * @param {String | Object} name_or_options Class name prefix (Eg: "fade") or options.
+	 * @param {String} [name_or_options.name] (Optional) Class name prefix.
+	 * @param {Array | Object | Function} [name_or_options.enter] (Optional) Keyframes for element.animate() or function(elem) returning an Animation or a Promise.
+	 * @param {Array | Object | Function} [name_or_options.leave] (Optional) Same as enter.
+	 * @param {Boolean | Function} [name_or_options.move=true] (Optional) false to disable move animations or function(elem, dx, dy) returning an Animation or a Promise.
+	 * @param {Number} [name_or_options.duration] (Optional) Duration in milliseconds. Defaults to the computed CSS duration in CSS classes mode & 300 in Web Animations mode.
+	 * @param {String} [name_or_options.easing="ease"] (Optional) Easing of Web Animations.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //.fade-enter, .fade-leave-to { opacity: 0; }
+	 * //.fade-enter-active, .fade-leave-active { transition: opacity 0.3s; }
+	 * //.fade-move { transition: transform 0.3s; }
+	 * var list = _().react( { todos: [] }, {
+	 * 		render: (state) => _( "+ul", state.todos.map( (todo) => _("+li", [ todo.text ]).key( todo.id ).transition("fade") ) )
+	 * } );
+	 *
+	 * //Web Animations
+	 * var modal = _().react( {}, {
+	 * 		render: () => _("+div", [ "Hello" ]).addClass("modal")
+	 * } ).transition( {
+	 * 		enter: [ { opacity: 0, transform: "scale(0.9)" }, { opacity: 1, transform: "none" } ],
+	 * 		leave: [ { opacity: 1 }, { opacity: 0 } ],
+	 * 		duration: 200
+	 * } );
+	 *
+	 * _("body").append( modal ); //Enters
+	 * modal.remove(); //Removed after the leave animation
+	 */
+	"transition": function(name_or_options){
+		_has_transitions = true;
+
+		this._transition_options = name_or_options; //For roots rendered later by react()
+
+		for( var i = 0; i < this.elems.length; i++ ){ //Not using each(), a component might not have rendered yet
+			_setTransition(this.elems[i], name_or_options);
+		}
+
+		return this;
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Animate elements in this CalDom instance using the Web Animations API (element.animate()).
+	 * Elements are skipped (the Promise is resolved right away) if the browser doesn't support it.
+	 * @param {Array | Object | Function} keyframes Keyframes of element.animate(). Eg: [ { opacity: 0 }, { opacity: 1 } ] or { opacity: [ 0, 1 ] }.
+	 * An array of keyframe arrays to animate n-th element with n-th keyframes (similar to css()) or function(elem, index) returning keyframes.
+	 * @param {Number | Object} [duration_or_options] (Optional) Duration in milliseconds or options of element.animate() (duration, delay, easing, iterations, fill, etc.)
+	 * Option values can be arrays to set n-th element's option. Eg: { duration: [ 200, 400 ] }. The duration is 400 by default.
+	 * @param {Number} [duration_or_options.stagger] (Optional) Milliseconds added to the delay of each following element.
+	 * @returns {Promise<Boolean>} Resolved with true when all animations finish or false if any is canceled.
+	 * The Promise also has cancel(), finish(), reverse(), pause() & play() to control the running animations & animations: Array<Animation>.
+	 * @example
+	 *
+	 * _(".card").animate( [ { opacity: 0, transform: "translateY(20px)" }, { opacity: 1, transform: "none" } ], { duration: 300, stagger: 50, easing: "ease-out" } )
+	 * 		.then( (finished) => console.log("Done") );
+	 *
+	 * //n-th keyframes & durations
+	 * _(".bar").animate( [ [ { width: "0%" }, { width: "30%" } ], [ { width: "0%" }, { width: "70%" } ] ], { duration: [ 300, 600 ] } );
+	 *
+	 * var spin = _("#loader").animate( { transform: [ "rotate(0)", "rotate(360deg)" ] }, { duration: 1000, iterations: Infinity } );
+	 * spin.cancel();
+	 */
+	"animate": function(keyframes, duration_or_options){
+		return _runAnimations(this.elems, keyframes, _getAnimationOptions(duration_or_options));
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Show hidden elements (See show()) in this CalDom instance while fading in their opacity. Visible elements are not animated.
+	 * @param {Number | Object} [duration_or_options] (Optional) Same as animate(). Set options.display to use as the display value of show().
+	 * @returns {Promise<Boolean>} See animate()
+	 * @example
+	 *
+	 * _("#toast").fadeIn(200);
+	 *
+	 * _("#menu").fadeIn( { duration: 200, display: "flex" } );
+	 */
+	"fadeIn": function(duration_or_options){
+		return _animateVisibility(this, "fade", true, duration_or_options);
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Fade out the opacity of visible elements in this CalDom instance & hide() them at the end. Hidden elements are not animated.
+	 * @param {Number | Object} [duration_or_options] (Optional) Same as animate()
+	 * @returns {Promise<Boolean>} See animate(). Elements are hidden before the Promise is resolved. Canceled elements are not hidden.
+	 * @example
+	 *
+	 * _("#toast").fadeOut().then( () => _("#toast").remove() );
+	 */
+	"fadeOut": function(duration_or_options){
+		return _animateVisibility(this, "fade", false, duration_or_options);
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Show hidden elements (See show()) in this CalDom instance while sliding down their height from 0. Visible elements are not animated.
+	 * @param {Number | Object} [duration_or_options] (Optional) Same as fadeIn()
+	 * @returns {Promise<Boolean>} See animate()
+	 * @example
+	 *
+	 * _(".accordion-body").slideDown(300);
+	 */
+	"slideDown": function(duration_or_options){
+		return _animateVisibility(this, "slide", true, duration_or_options);
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Slide up the height of visible elements in this CalDom instance to 0 & hide() them at the end. Hidden elements are not animated.
+	 * @param {Number | Object} [duration_or_options] (Optional) Same as animate()
+	 * @returns {Promise<Boolean>} See fadeOut()
+	 * @example
+	 *
+	 * _(".accordion-body").slideUp(300);
+	 */
+	"slideUp": function(duration_or_options){
+		return _animateVisibility(this, "slide", false, duration_or_options);
+	},
+
+	/**
+	 * @category CSS Styling
+	 * @description Show hidden elements & hide visible elements in this CalDom instance. Same as show()/hide() without an effect or fadeIn()/fadeOut() & slideDown()/slideUp() per element with an effect.
+	 * An element is hidden if its computed display is "none".
+	 * @param {String} [effect] (Optional) "fade" or "slide"
+	 * @param {Number | Object} [duration_or_options] (Optional) Same as fadeIn()
+	 * @returns {Promise<Boolean>} See animate()
+	 * @example
+	 *
+	 * _("#details").toggle();
+	 *
+	 * _("#menu").toggle( "slide", 200 );
+	 */
+	"toggle": function(effect, duration_or_options){
+		return _animateVisibility(this, effect, undefined, duration_or_options);
+	},
+
+	/**
+	 * @category Event Handling
+	 * @description Add event listeners to elements in this CalDom instance.
+	 * If a CSS selector is given as the 2nd argument, only one listener is added to each element and events from matching descendants are delegated to the handler.
+	 * This is efficient for a large number of children & it works for children added later as well.
+	 * Delegated handler's "this" and event.currentTarget are set to the matched descendant, while event.delegateTarget is set to the element in this CalDom instance.
+	 * Events that don't bubble (Eg: focus, blur) can't be delegated. Use focusin/focusout instead.
+	 * @param {String | Array} event_names A single event name or multiple event names separated by spaces or as an array.
+	 * @param {String} [selector] (Optional) CSS selector to match descendants for event delegation.
+	 * @param {Function} handler Callback function to handle the event.
+	 * @param {any} [options] (Optional) options to pass into addEventListener's 3rd param.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 * //Add a click event listener
+	 * _("div-id").on( "click", function(e){ console.log("clicked") } );
+	 *
+	 * //Add mousemove and touchmove event listeners
+	 * _("div-id").on("mousemove touchmove", moveHandler);
+	 * 
+	 * //Event names as an array
+	 * _("div-id").on(["mousemove", "touchmove"], moveHandler);
+	 *
+	 * //Delegate clicks of all current & future <td> elements to a single listener on the table
+	 * _("#table-id").on("click", "td", function(e){
+	 * 		console.log( this.textContent, e.currentTarget === this );
+	 * });
+	 */
+	"on": function(event_names, selector_or_handler, handler_or_options, options){
+		var events = _getSpaceSeparatedArray(event_names);
+		var is_delegated = typeof selector_or_handler == 'string';
+
+		var selector = is_delegated ? selector_or_handler : undefined;
+		var handler = is_delegated ? handler_or_options : selector_or_handler;
+		if( !is_delegated ) options = handler_or_options;
+
+		this.each(function(elem){
+			for( var event_i = 0, events_len = events.length; event_i < events_len; event_i++ ){
+				_addListener(elem, events[event_i], selector, handler, options);
+			}
+		});
+
+		return this;
+	},
+
+	/**
+	 * @category Event Handling
+	 * @description Remove event listeners from elements in this CalDom instance.
+	 * @param {String | Array} event_names A single event name or multiple event names separated by spaces or as an array.
+	 * @param {String} [selector] (Optional) CSS selector given at on() to remove delegated handlers.
+	 * @param {Function} handler Callback. The same callback provided at on() or Node.addEventListener() should be provided.
+	 * For delegated handlers, all handlers of the selector are removed if the handler is not given.
+	 * @param {any} [options] (Optional) options to pass into removeEventListener's 3rd param.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 * //Remove click event listener
+	 * _("div-id").off("click", clickEven-thandler);
+	 *
+	 * //Remove mousemove and touchmove event listeners
+	 * _("div-id").off("mousemove touchmove", moveHandler);
+	 * 
+	 * //Event names as an array
+	 * _("div-id").off(["mousemove",  "touchmove"], moveHandler);
+	 *
+	 * //Remove a delegated click handler
+	 * _("#table-id").off("click", "td", cellClickHandler);
+	 */
+	"off": function(event_names, selector_or_handler, handler_or_options, options){
+		var events = _getSpaceSeparatedArray(event_names);
+		var is_delegated = typeof selector_or_handler == 'string';
+
+		var selector = is_delegated ? selector_or_handler : undefined;
+		var handler = is_delegated ? handler_or_options : selector_or_handler;
+		if( !is_delegated ) options = handler_or_options;
+
+		this.each(function(elem){
+			_removeListeners(elem, events, selector, handler, options);
+		});
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @title append( elems_caldom_generator, ...elems )
+	 * @description Append/Move elements to first element of this CalDom instance.
+	 * Null and undefined inputs are silently ignored. Note that if you append an existing element, it is moved to the new destination (not cloning).
+	 * @param {Node | String | CalDom | Array | NodeList | HTMLCollection} elems_or_caldom First argument can be a CalDom instance, a Node/String or an array of Node/String.
+	 * Provided elements are added to the first element of this CalDom instance. This is XSS safe as it's considering String inputs as a text node. Use .html() or init _("<h1></h1>") to inject HTML.
+	 * See the examples for wide range of possibilities.
+	 * @param {Node | String | CalDom } [...elems] (Optional) If the first argument is not an array-type, all ...arguments are added to the first element of this CalDom instance.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Append a new <div> to body (Element created by CalDom)
+	 * _("body").append( _("+div") );
+	 *
+	 * //Append a new <div> to body (Element created by document.createElement)
+	 * _("body").append( document.createElement("div") );
+	 *
+	 * //Append multiple elements, including nested elements and Node arrays
+	 * _("#container-id").append(
+	 * 		_("+div")
+	 * 			.append( //Nested
+	 * 				_("+p").text("Paragraph inside the div.")
+	 * 			),
+	 *
+	 * 		_("p").text("Another paragraph as a first-level child."),
+	 *
+	 * 		document.createElement("img"),
+	 *
+	 * 		null, undefined, //Silently ignored
+	 *
+	 * 		"Text Node"
+	 *
+	 * );
+	 *
+	 * //Append an array of Nodes and CalDom instances to <body>
+	 * _("body").append(
+	 * 	[
+	 * 		_("+h1"),
+	 *
+	 * 		_("+div").append(
+	 * 			_("+p").text("Paragraph inside the div.")
+	 * 		),
+	 *
+	 * 		document.createElement("p"),
+	 *
+	 * 		"Text Node"
+	 * 	]
+	 * );
+	 *
+	 * //Move existing <p> elements from "container-a" to "container-b"
+	 * _("#container-b").append( _("#container-a p") );
+	 */
+	"append": function(elems_or_caldom){
+		return insertBefore.call(this, _isArrayLike(elems_or_caldom) ? elems_or_caldom : arguments, null, _insertFunc_appendChild);
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Prepend/Move elements to the first element of this CalDom instance.
+	 * (Same as append(), except 2nd argument is reserved to identify before element.)
+	 * Null and undefined inputs are silently ignored. Note that if you prepend an existing element, it is moved to the new destination (not cloning).
+	 * @param {Node | CalDom | Array | NodeList | HTMLCollection} elems_or_caldom First argument can be a CalDom instance, a Node/String or an array of Node/String.
+	 * Items are prepended to the first element of this CalDom instance. This is XSS safe as it's considering String inputs as a text node. Use .html() or init _("<h1></h1>") to inject HTML.
+	 * @param {Node | String | CalDom} [before_elem_or_caldom] (Optional) If provided, items are inserted before this element instead before the firstChild.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Prepend a new <p> element as the first child
+	 * _("#container-id")
+	 * 		.prepend(
+	 * 			_("+p").text("I'm the first child now.")
+	 * 		);
+	 *
+	 * //Prepend a new <p> element before the 3rd paragraph in the container
+	 * _("#container-id")
+	 * 		.prepend(
+	 * 			_("+p").text("I'm the 3rd paragraph now."),
+	 * 			_("#container-id p").eq(2) //Before element
+	 * 		);
+	 *
+	 * //First argument of prepend() is the same as append().
+	 * //Refer its examples for a wide variety of possibilities.
+	 */
+	"prepend": function(elems_or_caldom, before_elem_or_caldom){
+		return insertBefore.call(this, _isArrayLike(elems_or_caldom) ? elems_or_caldom : [elems_or_caldom], before_elem_or_caldom, _insertFunc_insertBefore);
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Remove all elements of this CalDom instance from the DOM.
+	 * @returns {CalDom} Returns this empty CalDom instance.
+	 * @example
+	 *
+	 * //Remove all <p> elements
+	 * _("p").remove();
+	 */
+	"remove": function(){
+		var _this = this;
+		var leaving_count = 0;
+
+		_this._willUnmount(true);
+
+		_this.each(function(elem){
+			if( _has_transitions && elem["_transition"] ){
+				leaving_count++;
+
+				_removeNode(elem, function(){
+					if( --leaving_count == 0 ) _this._didUnmount(true); //After all leave animations
+				});
+			}
+			else{
+				elem.parentNode.removeChild(elem);
+			}
+		});
+
+		_this.elems = [];
+		_this._setMultipleMode();
+
+		if( !leaving_count ) _this._didUnmount(true);
+
+		return _this;
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Replaces current elements in this CalDom instance with new elements returned by the render_callback function.
+	 * The algorithm compares the elements(including their descendents) and only replace the nodes if there is a difference against the actual DOM. This is useful to minimize expensive browser layout repaints.
+	 * (This is the same algorithm used by react() to compare & apply DOM changes.)
+	 * @param {Function} render_callback Render function that returns the new replacement element.
+	 * The callback receieves 3 parameters: render_callback( current_elem: Node, index: Number, caldom_instance: CalDom ): {Node || CalDom}
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Imagine this HTML document:
+	 * //	<div>
+	 * //		<p>ABC</p>
+	 * //		<p>XYZ</p>
+	 * //	</div>
+	 *
+	 * //Replace all paragraph elements using a new _("+p")
+	 * _("p")
+	 * 	.replace(
+	 * 		function(old_elem, index, caldom_instance){
+	 * 			//In this case, only the 1st paragraph will be replaced
+	 * 			//since the 2nd paragraph is the same.
+	 *
+	 * 			return _("+p").text( "XYZ" );
+	 * 		}
+	 * );
+	 *
+	 * //Replace using a new element created by createElement()
+	 * _("p")
+	 * 	.replace(
+	 * 		function(old_elem, index, caldom_instance){
+	 * 			//Both paragraphs will be replaced by this empty DIV
+	 * 			return document.createElement("div");
+	 * 		}
+	 * );
+	 */
+	"replace": function(render_callback){
+
+		this.each(function(elem, i){
+			var new_elem = render_callback(elem, i, this);
+			if( new_elem instanceof CalDom ) new_elem = new_elem.elems[0];
+
+			_replace(
+				new_elem,
+				elem,
+				elem
+			);
+		});
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Set "caldom-key" attribute of elements in this CalDom instance. (Shorthand for attr("caldom-key", key_or_key_array))
+	 * When children of an element are keyed, react()/replace() match old & new children by their keys instead of their position.
+	 * Keyed elements are moved with minimal DOM operations instead of rewriting them. They are only created/removed when the key is truly new/gone.
+	 * This is useful to re-order, insert or delete items of long lists. Keys must be unique among siblings.
+	 * A parent is treated as keyed when its last element child has a key. Non-keyed siblings (Eg: a table header row) are matched in order among themselves.
+	 * @param {String | Number | Array<String | Number>} key_or_key_array A key or an array of keys to be set at corresponding n-th element.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * //Render a sortable list with keyed rows
+	 * render: function(state){
+	 * 		return _("+ul", state.items.map(function(item){
+	 * 			return _("+li", [ item.name ]).key( item.id );
+	 * 		}));
+	 * }
+	 *
+	 * //Same as setting the attribute directly
+	 * _("+li").attr("caldom-key", item.id);
+	 */
+	"key": function(key_or_key_array){
+		return this.attr("caldom-key", key_or_key_array);
+	},
+
+	/**
+	 * @private
+	 * @description Used to call willMount() in reactive mode
+	 * This function name is not preserved in minified version.
+	 */
+	 _willMount: function(){
+		if( this["render"] || this["update"] ){
+			if( this["willMount"] && !this._mounted ) _callHook(this, "willMount");
+
+			this.react(undefined, undefined, undefined, undefined, undefined, true);
+		}
+	},
+
+	/**
+	 * @private
+	 * @description Used to call didMount() in reactive mode.
+	 * This function name is not preserved in minified version.
+	 */
+	_didMount: function(){
+		var already_mounted = this._mounted == true;
+
+		this._mounted = true;
+
+		if( this._injections ) _addInjections(this); //Removed at unmount. Re-added if this component is connected again
+		if( this._resources ) _resumeResources(this);
+
+		if( this["didMount"] && !already_mounted ) _callHook(this, "didMount");
+	},
+
+	/**
+	 * @private
+	 * @description Used to call willUnmount() in reactive mode.
+	 * @param {Boolean} [directly_removed] Whether executed through .remove().
+	 * This is used to differentiate component removal through replace() that might get re-connected at a different position in the DOM tree.
+	 */
+	_willUnmount: function(directly_removed){
+		if( this["willUnmount"] ) _callHook(this, "willUnmount", directly_removed);
+	},
+
+	/**
+	 * @private
+	 * @description Used to call didUnmount() in reactive mode.
+	 * This function name is not preserved in minified version.
+	 * @param {Boolean} [directly_removed] Whether executed through .remove().
+	 * This is used to differentiate component removal through replace() that might get re-connected at a different position in the DOM tree.
+	 */
+	_didUnmount: function(directly_removed){
+		this._mounted = false;
+
+		if( this["didUnmount"] ) _callHook(this, "didUnmount", directly_removed);
+
+		if( this._portals ) _removePortals(this);
+		if( this._injections ) _removeInjections(this);
+
+		if( directly_removed && this._state_watchers ) _disposeStateWatchers(this);
+		if( directly_removed && this._store_disposers ) _disconnectStores(this);
+		if( directly_removed && this._resources ) _disposeResources(this);
+		else if( this._resources ) _suspendResources(this); //Eg: dropped by a parent's re-render. Resumed if mounted again
+	},
+
+	/**
+	 * @private
+	 * @description Used to call _didUpdate() in reactive mode.
+	 * This function name is not preserved in minified version.
+	 */
+	_didUpdate: function(){
+		_resetStateChanges(this); //Resetting batched and changed keys after update/render
+
+		if( this["didUpdate"] ) _callHook(this, "didUpdate");
+
+		if( this._state_watcher_queue ) _flushStateWatchers(this);
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Make this CalDom instance a reactive component by providing a state, render() or an update() function. CalDom compares differences and efficiently updates relevant DOM Node changes.
+	 * Alternatively, this can be also achieved by extending _.Component class. See below examples.
+	 * @param {any} [state] (Optional, but requires to initiate) Any value or an { key: value, ... } object.
+	 * @param {Object} [config] (Optional, but requires to initiate) Reactive configuration containing render(), update(), etc.
+	 * @param {Function} [config.render] (Optional, if update() is given) Should return a CalDom or a Node/Element. Return false to terminate render process.
+	 * To render multiple root Nodes (Eg: table cells or flex items without a wrapper), return an array or _.fragment([...]). All roots are inserted, diffed & removed together. An empty fragment is rendered as a comment Node.
+	 * render(state: any, component: CalDom): receieves state and component(this CalDom instance) as arguments.
+	 * All CalDom methods & properties (find(), text(), css(), etc.) can be accessed via component. Eg: component.text("Hello World!").
+	 * CalDom sync child nodes (including text), attributes, CSS, value, checked, indeterminate, selected & _data property set by .data() between connected DOM & virtual DOM.
+	 * Event listeners added by on() & event handler properties set by prop() (Eg: "onclick") are synced as well. Other custom properties directly attached to DOM nodes are not synced unless marked by sync().
+	 * To force a complete Node replacement with all events and properties, set a different/incremental "caldom-v" attribute to the element at render() ("v" as in version of the element).
+	 * Set a "caldom-key" attribute or use key() on list items to match children by key instead of their position. See key() for details.
+	 *
+	 * The first render() gets executed synchronously. After that, render() gets executed asynchronously through requestAnimationFrame when the state changes. This is asynchronous in both watched = true mode or when react() is called manually.
+	 * Calling react() with a brand new state execute render() synchronously. Eg: app.react( new_state );
+	 *
+	 * @param {Function} [config.update] (Optional, if render() is given) If an update() function is present, CalDom will execute it instead of render(). (Intial render() get executed regardless).
+	 * Manually updating DOM changes is obviously more performant than a render() based virtual-DOM approach. Also, it is useful to update existing non-javascript originated(.html file based) HTML structures reactively.
+	 * If the update() returns true, CalDom will also execute render() and proceed with virtual-real DOM comparison and apply subsequent changes.
+	 * 
+	 * update(
+	 * 	state: any, 
+	 * 	component: CalDom, 
+	 * 	state_changed_keys: Object, 
+	 * 	state_change_count: Number,
+	 * 	state_changes: Array<Object>,
+	 * 	computed_changes: Object
+	 * );
+	 * 
+	 * Arguments are state, component(this CalDom instance) and batched and changed state key names, change count & change records since the last render()/update().
+	 * state_changed_keys & state_change_count is useful to do select direct DOM changes or fall back to render() by returning true if the changes are complex.
+	 * state_changed_keys is an Object. Eg: { key_name: String, value_is_available: Boolean }. If the state change is a deletion, value_is_available is set to false.
+	 * state_changed_keys is one-dimentional. If the same key_name is used more than once at deeper levels of state object, only the last key-value change is represented here. Use state_changes for deeper analysis.
+	 * If the same key change multiple times, state_change_count is increased accordingly. state_changed_keys & state_change_count are only populated in watched = true mode.
+	 * state_changes is an array of change records in the order they happened (only populated in watched = true mode):
+	 * { path: Array, type: "set" | "delete" | "push" | "splice" | "sort" | ..., old_value: any, value: any, args: Array, result: any }.
+	 * Eg: state.todos[3].done = true is reported as { path: ["todos", 3, "done"], type: "set", old_value: false, value: true }.
+	 * Array mutation methods (push, pop, shift, unshift, splice, sort, reverse, fill, copyWithin) are reported as a single change with the array's path, method name as the type, args & the returned result.
+	 * Paths are based on the parent & key an object was last accessed through. Nested objects & arrays are wrapped in cached Proxies, so state.list === state.list.
+	 * computed_changes contains computed values that actually changed since they were last read. Eg: { remaining: { old_value: 3, value: 2 } }. See config.computed.
+	 * 
+	 * All CalDom methods & properties (find(), text(), css(), etc,) can be accessed via component. Eg: component.css( "color", "green" )
+	 *
+	 * @param {Boolean} [config.watched=true] (Optional) True by default. If false, CalDom will not react to state changes automatically. Call react() manually after changing state.
+	 * CalDom is using Javascript Proxies to detect state changes. Browser versions released before 2016 may not support it natively. Implement a pollyfil for older browsers or you can call react() manually after state changes.
+	 * If Proxy is not supported caldom.watched will set to false despite initially setting config.watched = true.
+	 * If you chose not to use the Proxy for some reason, you can call .react() after state changes. There is no performance hit by calling it repetedly because CalDom is using requestAnimationFrame to batch DOM updates efficiently.
+	 * Also, calling react() manually immediately after state changes does not cause a re-render even when Proxy is supported.
+	 *
+	 * @param {Boolean} [config.hydrate=false] (Optional) Adopt existing (Eg: server rendered) DOM Nodes at the first render() instead of replacing them.
+	 * The live tree is walked alongside the first render() output. Component handlers, listeners added by on() & properties synced by react() are attached to the existing Nodes.
+	 * Mismatches (tag, text, attribute, children) are reported to _.onHydrationMismatch() and then fixed. Whitespace-only text nodes & comments not present in the render() output are removed.
+	 * Adjacent rendered text nodes (Eg: [ "Count: ", count ]) match the single text node parsed from the HTML.
+	 *
+	 * @param {Object} [config.computed] (Optional) Derived values from the state as { key: function(state, component){ return value; }, ... }.
+	 * After initiating, component.computed.key returns the cached value. It's re-evaluated only when the state keys it read (observed through the Proxy) change.
+	 * Computed values can read other computed values. In watched = false mode, values are re-evaluated once per react().
+	 * With _.Component subclasses, use a class field. Eg: computed = { remaining: (state) => state.todos.filter( (todo) => !todo.done ).length };
+	 *
+	 * @param {Object} [config.watch] (Optional) State watchers as { path: function(value, change, component){}, ... }. Same as calling watchState() for each path. Eg: { "filter": fn, "todos.*.done": fn }
+	 *
+	 * @param {Array} [config.stores] (Optional) Shared stores created by _.store() to re-render on. Items can be a store or [ store, selector ]. Same as calling connect() for each.
+	 *
+	 * @param {Object} [config.resources] (Optional) Async data resources as { key: loader | { loader, deps, initial }, ... }. Same as calling resource() for each key.
+	 *
+	 * @param {Function} [config.pending] (Optional) pending(state, component) is rendered instead of render() until the first load of every resource is completed. Eg: A loading placeholder.
+	 *
+	 * @param {Object} [config.shadowRoot] (Optional) { mode: "open" | "closed", styles: String | CSSStyleSheet | Array } Render into a shadow root of the root element returned by render().
+	 * Children of the returned root element are moved into its shadow root & diffed separately. Styles are applied the same way as shadow(). Use component.shadow() to access the shadow root.
+	 *
+	 * @param {Function} [config.errorCaptured] (Optional) errorCaptured(error: Error, component: CalDom, phase: String) is called when a nested component throws at render(), update() or a lifecycle hook.
+	 * phase is the name of the failed function. Eg: "render", "update", "didMount". Return false to stop the error from propagating to further ancestors & _.onError().
+	 *
+	 * @param {Function} [config.fallback] (Optional) Makes this component an error boundary. fallback(error: Error, component: CalDom) is rendered instead of render() when a nested component throws.
+	 * The error doesn't propagate further. Call component.retry() to clear the error & render() again.
+	 *
+	 * @param {Function} [config.willMount] (Optional) Called before the Component is mounted(appended) into a parent Node. Receives current CalDom instance as the only argument.
+	 * @param {Function} [config.didMount] (Optional) Called after the Component is mounted(appended) into a parent Node. Receives current CalDom instance as the only argument.
+	 * @param {Function} [config.willUnmount] (Optional) Called before the Component is removed.
+	 * Callback receives two argument as callback( component: CalDom, [directly_removed: Boolean] ). directly_removed is set to true if removed directly by calling .remove().
+	 * Otherwise, set to undefined if removed while applying virtual-DOM changes to the real DOM. The removed component might get re-connected at a different position in the DOM tree.
+	 * @param {Function} [config.didUnmount] (Optional) Called after the Component is removed. 
+	 * Callback receives two argument as callback( component: CalDom, [directly_removed: Boolean] ). directly_removed is set to true if removed directly by calling .remove().
+	 * Otherwise, set to undefined if removed while applying virtual-DOM changes to the real DOM. The removed component might get re-connected at a different position in the DOM tree.
+	 * @param {Function} [config.didUpdate] (Optional) Called after the Component is updated and/or rendered and all virtual-DOM changes applied to the real DOM. Receives current CalDom instance as the only argument.
+	 *
+	 * @returns {CalDom} Returns this CalDom instance.
+	 *
+	 * @example
+	 *
+	 * //Hello World Component (non-class based approach)
+	 * var helloWorldApp = _().react(
+	 *			{ name: "World!" },
+	 *			{
+	 *				render: (state) => _("+h1").text( "Hello " + state.name )
+	 *			}
+	 *		);
+	 *
+	 * _("body").append( helloWorldApp );
+	 *
+	 * helloWorldApp.state.name = "CalDom!";
+	 *
+	 * //Hello World Component (Class based approach)
+	 * class HelloWorldApp extends _.Component{
+	 *
+	 *		constructor(state){
+	 *			super();
+	 *		  	this.react(state); //this == CalDom instance
+	 *		}
+	 *
+	 *		render(state){ //state is a shortcut to this.state
+	 *			return _("+h1").text( "Hello " + state.name );
+	 *		}
+	 * }
+	 *
+	 * var app = new HelloWorldApp({ name: "World!" });
+	 * _("body").append( app );
+	 *
+	 * app.state.name = "CalDom";
+	 *
+	 * //Make an existing HTML H1 reactive
+	 * var helloWorld = _("#main-heading").react(
+	 * 		{ name : "World!" },
+	 * 		{
+	 * 			update: (state, component) => component.text( "Hello " + state.name )
+	 * 		}
+	 * );
+	 *
+	 * helloWorld.state.name = "CalDom!";
+	 * 
+	 * //Combine the power of both render() & update()
+	 * var helloWorld = _("#main-heading").react(
+	 * 		{ name : "World!", visible: false },
+	 * 		{
+	 * 			render: (state, component) => {
+	 * 				var heading = _("+h1", [ "Hello " + state.name ] );
+	 * 				
+	 * 				if( state.visible ) heading.addClass("visible");
+	 * 				return heading;
+	 * 			},
+	 * 
+	 * 			update: (state, component, changed_keys, state_change_count) => {
+	 * 				if( state_change_count == 1 && "visibility" in changed_keys ){
+	 * 					
+	 * 					//Directly & efficiently update DOM without going through Virtual-DOM
+	 * 					if( state.visible ) this.addClass("visible");
+	 * 					else this.removeClass("visible");
+	 * 				}
+	 * 				else{
+	 * 					//If the changes are too complex, proceed to render() via Virtual-DOM
+	 * 					return true;
+	 * 				}
+	 * 			}
+	 * 		}
+	 * );
+	 *
+	 * helloWorld.state.visible = true;
+	 * 
+	 * //Computed values
+	 * var todoApp = _().react(
+	 * 		{ todos: [] },
+	 * 		{
+	 * 			computed: {
+	 * 				remaining: (state) => state.todos.filter( (todo) => !todo.done ).length
+	 * 			},
+	 *
+	 * 			render: (state, component) => _("+p", [ component.computed.remaining + " items left" ]),
+	 *
+	 * 			update: (state, component, changed_keys, change_count, changes, computed_changes) => {
+	 * 				if( change_count == 1 && "remaining" in computed_changes ) component.text( component.computed.remaining + " items left" );
+	 * 				else return true;
+	 * 			}
+	 * 		}
+	 * );
+	 *
+	 * //Hydrate server rendered markup: <h1 id="main-heading">Hello World!</h1>
+	 * var helloWorld = _("#main-heading").react(
+	 * 		{ name : "World!" },
+	 * 		{
+	 * 			render: (state) => _("+h1", [ "Hello " + state.name ]).attr("id", "main-heading"),
+	 * 			hydrate: true
+	 * 		}
+	 * );
+	 *
+	 * //Manual reactive approach (without automatic update on state change)
+	 * var helloWorldApp = _().react(
+	 *     { name: "World!" },
+	 *     {
+	 *         render: (state) => _("+h1").text( "Hello " + state.name ),
+	 *         watched: false //Disabling automatic state changes watch
+	 *     }
+	 * );
+	 *
+	 * _("body").append( helloWorldApp );
+	 * helloWorldApp.state.name = "CalDom!";
+	 *
+	 * //Calling react() manually after state change
+	 * //This gets executed asynchronously through requestAnimationFrame. (Same as watched = true mode)
+	 * helloWorldApp.react();
+	 *
+	 * //Alternatively, react() can be called with a brand new state.
+	 * //This gets executed synchronously (not using requestAnimationFrame)
+	 * helloWorldApp.react( { name: "JS!" } );
+	 */
+	"react": function( state, config, _is_watched_updated, _state_changed_key, _state_is_key_available, _mounting, _is_request_animation_frame, _state_change ){
+		var _this = this;
+
+		var is_zero_arguments = arguments.length == 0;
+
+		if( _this["watched"] && is_zero_arguments ) return _this;
+
+		// Using requestAnimationFrame() to avoid rendering bursts for multiple variable changes (Proxy setter fires at every change in .state watch mode).
+		if( _is_watched_updated || (is_zero_arguments && !_is_request_animation_frame) ){
+			
+			if( _this["update"] ){
+				
+				if( !is_zero_arguments ){
+					_this._watch_state_change_count++;
+				}
+
+				_this._watch_state_changed_keys[_state_changed_key] = _state_is_key_available;
+
+				if( _state_change ) (_this._watch_state_changes || (_this._watch_state_changes = [])).push(_state_change);
+			}
+
+			_scheduleReact(_this);
+
+			return _this;
+		}
+		else if( !_mounting ){ //Because no config changes when called through append() -> _willMount()
+			if( config ){
+				for( var key in config ){ //There is a risk of overriding core functions/methods here
+					_this[key] = config[key];
+				}
+
+				// if( config["render"] != undefined ) _this["render"] = config["render"];
+				// if( config["update"] != undefined ) _this["update"] = config["update"];
+
+				// if( config["watched"] != undefined ) _this["watched"] = config["watched"];
+
+				// if( config["willMount"] != undefined ) _this["willMount"] = config["willMount"];
+				// if( config["didMount"] != undefined ) _this["didMount"] = config["didMount"];
+				// if( config["willUnmount"] != undefined ) _this["willUnmount"] = config["willUnmount"];
+				// if( config["didUnmount"] != undefined ) _this["didUnmount"] = config["didUnmount"];
+
+				// if( config["didUpdate"] != undefined ) _this["didUpdate"] = config["didUpdate"];
+			}
+
+			if( !this._w["Proxy"] ) _this["watched"] = false; //Silently failing
+
+			if( _this["computed"] && _this["computed"] !== _this._computed_values ) _setupComputed(_this);
+
+			if( _this["watch"] && _this["watch"] !== _this._watch_definitions ) _setupStateWatchers(_this);
+
+			if( _this["stores"] && _this["stores"] !== _this._connected_stores ) _connectStores(_this);
+
+			if( state != undefined ){
+				if( _this["watched"] != false ){
+					_this.state = watch(state, function(key, is_available, change){
+						if( _this._computed_cache ) _invalidateComputed(_this, state, change["path"]);
+						if( _this._state_watchers ) _queueStateWatchers(_this, change);
+
+						_this.react(undefined, undefined, true, key, is_available, undefined, undefined, change);
+					});
+				}
+				else{
+					_this.state = state;
+				}
+
+				if( _this._computed_cache ) _invalidateComputed(_this);
+			}
+			else if( _this._computed_cache && _this["watched"] == false ){
+				_invalidateComputed(_this); //State reads can't be tracked without the Proxy
+			}
+
+			if( _this["resources"] && _this["resources"] !== _this._resource_definitions && _this.state ) _setupResources(_this); //Resources write into the state
+		}
+
+		_this._z = null;
+
+		var current_first_elem = _this.elems[0];
+		var has_first_elem = !!current_first_elem;
+
+		if( !_this._mounted && !_mounting ){
+			if( has_first_elem && _isNodeConnected(current_first_elem) ){
+				_this._mounted = true;
+			}
+			else{
+				if( _this._state_watcher_queue ) _flushStateWatchers(_this); //Watchers don't depend on rendering
+
+				return _this; //Don't need to render() if not mounting or mounted
+			}
+		}
+
+		var is_parent_re_react_call = _this._mounted && _mounting;
+
+		if( !is_parent_re_react_call && !_this._error && _this["update"] && ( !_this.render || ( has_first_elem && current_first_elem["_h"] )) ){ //Checking _h to detect whether the first render() is done.
+			try{
+				var continue_to_render = _this["update"](
+					_this.state,
+					_this,
+					_this._watch_state_changed_keys,
+					_this._watch_state_change_count,
+					_this._watch_state_changes || [],
+					_this._computed_cache ? _getComputedChanges(_this) : {}
+				);
+			}
+			catch( error ){
+				_resetStateChanges(_this);
+				_captureError(_this, error, "update");
+
+				return _this;
+			}
+
+			if( !continue_to_render ){ //if update() returns true, continue to render
+				_this._didUpdate();
+				
+				return _this; 
+			}
+		}
+
+		// Render request via a parent component. No this.state changes.
+		// TODO: Consider the cost of render() vs elems[0].cloneNode().
+		// Or just pass reference object to the replace()
+		if( is_parent_re_react_call ){
+			_this._v = _this.elems.map(function(root){ //To preserve old_dom children when the new virtual-dom appendChild()
+				var cloned_root = root.cloneNode(true);
+				cloned_root["_h"] = _this;
+				cloned_root._original_root = root;
+
+				return cloned_root;
+			});
+		}
+		else{
+
+			var new_dom = _renderComponent(_this);
+			if( !new_dom ) return _this;
+
+			if( new_dom._template && _this.elems.length == 1 && _canPatchHtmlTemplate(new_dom._template, current_first_elem, _this) ){
+				_this._committing = true;
+				_patchHtmlTemplate(current_first_elem._template_instance, new_dom._template.values); //Patching only dynamic parts without creating new Nodes
+				_this._committing = false;
+
+				if( _this._rendered_portals.length || _this._portals ) _commitPortals(_this);
+
+				_this._didUpdate();
+
+				return _this;
+			}
+
+			var new_roots = _getRenderedRoots(new_dom, (_this._w || _window).document);
+
+			if( _this["shadowRoot"] ) _renderIntoShadow(new_roots[0], _this["shadowRoot"]);
+
+			for( var root_i = 0; root_i < new_roots.length; root_i++ ){
+				new_roots[root_i]["_h"] = _this; //_h for DOM handler
+
+				if( _this._transition_options ) _setTransition(new_roots[root_i], _this._transition_options);
+			}
+
+			_this._committing = true; //Replacing own roots doesn't unmount this component
+
+			if( !current_first_elem ){
+				_this.elems = new_roots;
+			}
+			else if( new_roots.length == 1 && _this.elems.length == 1 ){
+				var new_dom_root = new_roots[0];
+
+				var new_root = _this["hydrate"] && !current_first_elem["_h"] //Only the first render() hydrates. _h is set afterwards.
+					? _hydrate( new_dom_root, current_first_elem )
+					: _replace( new_dom_root, current_first_elem, current_first_elem );
+
+				if( new_root ){
+					_this.elems[0] = new_root;
+				}
+			}
+			else{ //Multi-root (fragment) components
+				_this.elems = current_first_elem.parentNode
+					? _reconcileNodes( current_first_elem.parentNode, new_roots, _this.elems )
+					: new_roots;
+			}
+
+			_this._committing = false;
+
+			if( _this.elems.length > 1 ) _this._setMultipleMode();
+
+			if( _this._rendered_portals.length || _this._portals ) _commitPortals(_this);
+
+			_this._didUpdate();
+
+		}
+
+		return _this;
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Run a side effect (Eg: save to localStorage, fetch data, focus an input) when a specific state path of this reactive component changes.
+	 * Watchers are fed by the state Proxy, so they only work in watched = true mode.
+	 * Callbacks are batched & executed after the next render()/update() (or on the next animation frame if the component is not mounted). A watcher is called once per batch & matched path with the current value.
+	 * Watchers are removed automatically when the component is removed via remove().
+	 * @param {String} path Dot separated state path. Use * to match any key or array index. Eg: "filter", "user.name", "todos.*.done".
+	 * A path also matches changes to its parents. Eg: "todos.*.done" is triggered by state.todos.push() or replacing state.todos.
+	 * @param {Function} callback callback(value: any, change: Object, component: CalDom).
+	 * value is the current value at the path (* is resolved using the changed path. It's undefined if the change is at a parent of a *).
+	 * change is the state change record. See state_changes at react().
+	 * @param {Object} [options] (Optional)
+	 * @param {Boolean} [options.immediate=false] (Optional) Execute the callback immediately with the current value. change is { path: Array, type: "init", value: any } in this case.
+	 * @param {Boolean} [options.deep=false] (Optional) Also trigger on changes to descendants of the path. Eg: "settings" is triggered by state.settings.theme = "dark".
+	 * @returns {Function} Disposer function. Call it to remove the watcher.
+	 * @example
+	 *
+	 * var app = _().react(
+	 * 		{ filter: "all", todos: [] },
+	 * 		{
+	 * 			render: ( state ) => _("+ul", state.todos.map( (todo) => _("+li", [ todo.text ]) ) ),
+	 *
+	 * 			watch: {
+	 * 				"filter": (filter) => localStorage.setItem( "filter", filter )
+	 * 			}
+	 * 		}
+	 * );
+	 *
+	 * var unwatch = app.watchState( "todos", (todos) => localStorage.setItem( "todos", JSON.stringify(todos) ), { deep: true, immediate: true } );
+	 *
+	 * //Stop watching
+	 * unwatch();
+	 */
+	"watchState": function(path, callback, options){
+		var _this = this;
+		options = options || {};
+
+		var watcher = {
+			path: path.split("."),
+			callback: callback,
+			deep: !!options["deep"],
+			disposed: false
+		};
+
+		(_this._state_watchers || (_this._state_watchers = [])).push(watcher);
+
+		if( options["immediate"] ){
+			var value = _getStatePathValue(_this.state, watcher.path);
+			callback.call(_this, value, { "path": watcher.path.slice(), "type": "init", "value": value }, _this);
+		}
+
+		return function(){
+			_disposeStateWatcher(_this, watcher);
+		};
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Re-render this reactive component when a shared store created by _.store() changes.
+	 * Updates are batched with the component's own state changes through requestAnimationFrame. Store change records are passed to update() as state_changes.
+	 * The connection is removed automatically when the component is removed via remove().
+	 * @param {Object} store Store created by _.store()
+	 * @param {Function} [selector] (Optional) selector(store_state) returning the slice this component depends on. The component is only re-rendered when the state read by the selector changes
+	 * & the selector returns a different result. (Same primitive results like (state) => state.count > 5 are skipped)
+	 * If not given, every store change re-renders the component.
+	 * @returns {Function} Disposer function. Call it to disconnect.
+	 * @example
+	 *
+	 * var counter_store = _.store( { count: 0, user: { name: "Jane" } } );
+	 *
+	 * var counter = _().react( {}, {
+	 * 		render: () => _("+h1", [ counter_store.state.count ])
+	 * } );
+	 *
+	 * //Not re-rendered when the user changes
+	 * counter.connect( counter_store, (state) => state.count );
+	 */
+	"connect": function(store, selector){
+		var _this = this;
+
+		//Computed values might read more than the selector, so they're invalidated at every change. Even if the selector result is the same
+		var unsubscribe_computed = store["subscribe"](function(selected, change){
+			if( _this._computed_cache ) _invalidateComputed(_this, store._raw_state, change["path"]);
+		});
+
+		var unsubscribe_render = store["subscribe"](function(selected, change){
+			var path = change["path"];
+			_this.react(undefined, undefined, true, path[path.length - 1] || change["type"], change["type"] != "delete", undefined, undefined, change);
+		}, selector);
+
+		var unsubscribe = function(){
+			unsubscribe_computed();
+			unsubscribe_render();
+		};
+
+		(_this._store_disposers || (_this._store_disposers = [])).push(unsubscribe);
+
+		return function(){
+			var index = _this._store_disposers ? _this._store_disposers.indexOf(unsubscribe) : -1;
+			if( index > -1 ) _this._store_disposers.splice(index, 1);
+
+			unsubscribe();
+		};
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Load async data (Eg: fetch()) into a state key of this reactive component & keep its status there, instead of handling loading & error flags by hand.
+	 * state[key] is set to { data, loading, error }. data is kept while reloading & error is the rejection reason of the last load (or null).
+	 * Only the latest load is applied. Responses of older loads (Eg: deps changed while loading) & loads of unmounted components are ignored & their signal is aborted.
+	 * remove() stops the resource. If the component is unmounted otherwise (Eg: dropped by a parent's re-render), loads wait & run again when it's mounted again.
+	 * Use config.pending at react() to render a placeholder until the first load is completed. It's not rendered again for reloads (Eg: deps changes or reload()), render() can check state[key].loading instead.
+	 * Requires a reactive component with a state. (See react())
+	 * @param {String} key State key to keep the resource at.
+	 * @param {Function} loader loader(state, signal, component) returning a Promise of the data (or the data itself).
+	 * signal is an AbortSignal (if supported by the browser) that is aborted when the response is no longer needed. Pass it to fetch() to cancel the request.
+	 * @param {Object} [options] (Optional)
+	 * @param {String | Array<String>} [options.deps] (Optional) State paths to reload at. Same as paths of watchState() including descendants. Eg: "userId" or [ "filter", "page" ]
+	 * @param {any} [options.initial] (Optional) data until the first load is completed.
+	 * @returns {Object} { reload(): Promise, dispose() }. reload() loads again & returns a Promise that's resolved after the state is updated. dispose() stops the resource.
+	 * @example
+	 *
+	 * var user_page = _().react( { userId: 1 }, {
+	 * 		render: (state) => {
+	 * 			if( state.user.error ) return _("+p", [ "Failed to load" ]);
+	 *
+	 * 			return _("+h1", [ state.user.data.name + ( state.user.loading ? " (Refreshing)" : "" ) ]);
+	 * 		},
+	 *
+	 * 		pending: () => _("+p", [ "Loading..." ])
+	 * } );
+	 *
+	 * user_page.resource(
+	 * 		"user",
+	 * 		(state, signal) => fetch( "/users/" + state.userId, { signal: signal } ).then( (res) => res.json() ),
+	 * 		{ deps: "userId" }
+	 * );
+	 *
+	 * user_page.state.userId = 2; //Reloads & ignores the response for the 1st user
+	 *
+	 * //Same using config.resources
+	 * var user_page = _().react( { userId: 1 }, {
+	 * 		resources: {
+	 * 			user: { loader: (state, signal) => fetch( "/users/" + state.userId, { signal: signal } ).then( (res) => res.json() ), deps: "userId" }
+	 * 		},
+	 * 		render: (state) => _("+h1", [ state.user.data.name ]),
+	 * 		pending: () => _("+p", [ "Loading..." ])
+	 * } );
+	 */
+	"resource": function(key, loader, options){
+		var _this = this;
+		options = options || {};
+
+		if( !_this.state ) throw new Error('resource("' + key + '") requires a reactive component. Call react() with a state before adding resources');
+
+		if( _this._resources && _this._resources[key] ) _disposeResource(_this, _this._resources[key]);
+
+		var resource = {
+			key: key,
+			loader: loader,
+			run_id: 0, //Results of older runs are ignored
+			controller: null,
+			settled: false, //The first load is completed. Never reset, so config.pending is only rendered for the first load
+			suspended: false, //Unmounted without remove(). Loads wait until the component is mounted again
+			stale: false, //A load was interrupted or requested while suspended
+			disposed: false,
+			unwatchers: []
+		};
+
+		(_this._resources || (_this._resources = {}))[key] = resource;
+
+		_this.state[key] = { "data": options["initial"], "loading": false, "error": null };
+
+		[].concat(options["deps"] || []).forEach(function(path){
+			resource.unwatchers.push( _this["watchState"](path, function(){
+				_loadResource(_this, resource);
+			}, { "deep": true }) );
+		});
+
+		_loadResource(_this, resource);
+
+		return {
+			"reload": function(){
+				return _loadResource(_this, resource);
+			},
+
+			"dispose": function(){
+				_disposeResource(_this, resource);
+			}
+		};
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Provide values (Eg: theme, locale, a store) to all nested components of this reactive component. Descendants read them using inject().
+	 * Descendant components that injected a key are re-rendered when a different value is provided for it.
+	 * @param {String | Object} key_or_key_values A key or an { key: value, ... } object.
+	 * @param {any} [value] Value to provide if the first argument is a key.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * var app = _().react( {}, {
+	 * 		render: () => _("+div", [ Toolbar() ])
+	 * } ).provide( { theme: "dark", locale: "en" } );
+	 *
+	 * function Toolbar(){
+	 * 		return _().react( {}, {
+	 * 			render: (state, component) => _("+nav").addClass( component.inject("theme", "light") )
+	 * 		} );
+	 * }
+	 *
+	 * //Re-renders the Toolbar
+	 * app.provide( "theme", "light" );
+	 */
+	"provide": function(key_or_key_values, value){
+		if( typeof key_or_key_values == 'object' ){
+			for( var key in key_or_key_values ){
+				this["provide"](key, key_or_key_values[key]);
+			}
+
+			return this;
+		}
+
+		var provided = this._provided || (this._provided = {});
+		var old_value = provided[key_or_key_values];
+		var has_old_value = key_or_key_values in provided;
+
+		provided[key_or_key_values] = value;
+
+		if( has_old_value && old_value !== value ) _notifyInjectors(this, key_or_key_values);
+
+		return this;
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Get a value provided by the closest ancestor component using provide().
+	 * Ancestors are resolved by walking up the DOM through component root elements. While a parent is rendering its nested components, the rendering parents are used instead.
+	 * This component is re-rendered when the provider provides a different value for the key.
+	 * @param {String} key
+	 * @param {any} [default_value] (Optional) Returned if no ancestor provides the key.
+	 * @returns {any} Provided value
+	 * @example
+	 *
+	 * render: function(state, component){
+	 * 		var locale = component.inject( "locale", "en" );
+	 * 		return _("+p", [ translate( "hello", locale ) ]);
+	 * }
+	 */
+	"inject": function(key, default_value){
+		var provider = _findProvider(this, key);
+		if( !provider ) return default_value;
+
+		var injections = this._injections || (this._injections = []);
+
+		if( !_hasInjection(injections, provider, key) ) injections.push([ provider, key ]);
+
+		_addInjections(this);
+
+		return provider._provided[key];
+	},
+
+	/**
+	 * @category Manipulate DOM Tree
+	 * @description Clear the error captured by this error boundary (a reactive component with a fallback()) & render() again asynchronously.
+	 * @returns {CalDom} Returns this CalDom instance.
+	 * @example
+	 *
+	 * var boundary = _().react( {}, {
+	 * 		render: () => _("+div", [ Widget() ]),
+	 *
+	 * 		fallback: (error, component) => _("+div", [
+	 * 			_("+p", [ "Something went wrong: " + error.message ]),
+	 * 			_("+button", [ "Retry" ]).on( "click", () => component.retry() )
+	 * 		])
+	 * } );
+	 */
+	"retry": function(){
+		this._error = null;
+		_scheduleReact(this);
+
+		return this;
+	},
+
+	/**
+	 * @category Traverse
+	 * @description Attach a shadow root to each element in this CalDom instance (or reuse the existing one) & get a CalDom instance scoped to the shadow roots.
+	 * find(), append(), html(), etc. of the returned instance work inside the shadow roots. _.q(query, shadow_root) works as well.
+	 * Calling shadow() again returns the existing shadow roots (including closed ones attached by shadow()).
+	 * @param {Object} [options] (Optional)
+	 * @param {String} [options.mode="open"] (Optional) "open" or "closed"
+	 * @param {String | CSSStyleSheet | Array<String | CSSStyleSheet>} [options.styles] (Optional) CSS text or constructable stylesheets.
+	 * Applied via adoptedStyleSheets where supported & stylesheets of the same CSS text are shared. Otherwise <style> elements are added at the beginning of the shadow root.
+	 * @returns {CalDom} A new CalDom instance with shadow roots.
+	 * @example
+	 *
+	 * //Add an encapsulated button
+	 * _("#widget")
+	 * 		.shadow( { styles: "button { color: red; }" } )
+	 * 		.append( _("+button", ["Click me"]) );
+	 *
+	 * //Find inside the shadow root
+	 * var button = _("#widget").shadow().find("button");
+	 *
+	 * //Render a component into its shadow root
+	 * var card = _().react( { title: "Hello" }, {
+	 * 		shadowRoot: { styles: "h1 { font-size: 2em; }" },
+	 * 		render: (state) => _("+my-card", [ _("+h1", [ state.title ]) ])
+	 * } );
+	 */
+	"shadow": function(options){
+		options = options || {};
+
+		return new CalDom( this.map(function(elem){
+			return _attachShadow(elem, options);
+		}), undefined, this._w );
+	}
+
+};
+
+/**
+ * @private
+ * @description Copying props from new Node to existing Node, including for child nodes
+ * @param {Node} new_dom_node Newly rendered Node
+ * @param {Node} old_dom_node Existing Node
+ * @param {Boolean} enumerate_children Whether to enumerate children
+ */
+ function _copyProps(new_dom_node, old_dom_node, enumerate_children){
+	//TODO: Make sure this is all common cases. Is it? Also, how about implementing Object.assign()?
+	
+	if( old_dom_node._template_instance && _patchHtmlTemplateRoot(new_dom_node, old_dom_node) ) return;
+
+	if( Object.getPrototypeOf(old_dom_node).hasOwnProperty("value") ){ //Because some of these exists in Elements other than HTMLInputElement like <Button>
+		if( old_dom_node.value != new_dom_node.value && !old_dom_node.multiple ) old_dom_node.value = new_dom_node.value; //Options of a <select multiple> are synced by their selected
+		if( old_dom_node.checked != new_dom_node.checked ) old_dom_node.checked = new_dom_node.checked;
+		if( old_dom_node.indeterminate != new_dom_node.indeterminate ) old_dom_node.indeterminate = new_dom_node.indeterminate;
+	}
+
+	if( old_dom_node.selected != new_dom_node.selected ) old_dom_node.selected = new_dom_node.selected;
+	if( old_dom_node["_data"] != new_dom_node["_data"] ) old_dom_node["_data"] = new_dom_node["_data"];
+
+	if( new_dom_node._listeners || old_dom_node._listeners ) _syncListeners(new_dom_node, old_dom_node);
+	if( new_dom_node._sync || old_dom_node._sync ) _syncProps(new_dom_node, old_dom_node);
+
+	if( enumerate_children ){
+		var new_dom_node_child_nodes = _slice.call(new_dom_node.children); // Because enumerating live NodeList is slow
+		var old_dom_node_child_nodes = _slice.call(old_dom_node.children);
+
+		for( var i = 0, len = new_dom_node_child_nodes.length; i < len; i++ ){
+			_copyProps(new_dom_node_child_nodes[i], old_dom_node_child_nodes[i]);
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Copying properties marked by sync() or prop("on...") from new Node to existing Node.
+ * Properties not marked anymore are reset to the new Node's value.
+ * @param {Node} new_dom_node
+ * @param {Node} old_dom_node
+ */
+function _syncProps(new_dom_node, old_dom_node){
+	var keys = (old_dom_node._sync || []).concat(new_dom_node._sync || []);
+
+	for( var i = 0, len = keys.length; i < len; i++ ){
+		var key = keys[i];
+
+		if( old_dom_node[key] !== new_dom_node[key] ) old_dom_node[key] = new_dom_node[key];
+	}
+
+	old_dom_node._sync = new_dom_node._sync;
+}
+
+/**
+ * @private
+ * @param {Node} elem
+ * @param {String} key Property name to be synced by _syncProps()
+ */
+function _markSynced(elem, key){
+	var synced = elem._sync || (elem._sync = []);
+
+	if( synced.indexOf(key) == -1 ) synced.push(key);
+}
+
+/**
+ * @private
+ * @param {Number | Object} [duration_or_options] See animate()
+ * @returns {Object} Options with the default duration
+ */
+function _getAnimationOptions(duration_or_options){
+	var options = { "duration": 400 };
+
+	if( typeof duration_or_options == 'number' ){
+		options["duration"] = duration_or_options;
+	}
+	else{
+		for( var key in duration_or_options ) options[key] = duration_or_options[key];
+	}
+
+	return options;
+}
+
+/**
+ * @private
+ * @description Core function of animate()
+ * @param {Array<Element>} elems
+ * @param {Array | Object | Function} keyframes See animate()
+ * @param {Object} options See _getAnimationOptions()
+ * @param {Function} [on_finish] on_finish(elem, index, animation) is called when the animation of an element finishes (not when canceled). animation is undefined if not supported.
+ * @returns {Promise<Boolean>} With control methods & animations. See animate()
+ */
+function _runAnimations(elems, keyframes, options, on_finish){
+	var animations = [];
+
+	var results = elems.map(function(elem, i){
+		if( !elem.animate ){ //Web Animations API is not supported
+			if( on_finish ) on_finish(elem, i);
+			return true;
+		}
+
+		var elem_keyframes = typeof keyframes == 'function'
+			? keyframes(elem, i)
+			: ( Array.isArray(keyframes) && Array.isArray(keyframes[0]) ? keyframes[i] : keyframes );
+
+		var timing = {};
+
+		for( var key in options ){
+			if( key != "stagger" && key != "display" ) timing[key] = Array.isArray(options[key]) ? options[key][i] : options[key]; //n-th value, same as css()
+		}
+
+		timing["delay"] = (timing["delay"] || 0) + (options["stagger"] || 0) * i;
+
+		var animation = elem.animate(elem_keyframes, timing);
+		animations.push(animation);
+
+		return animation.finished.then(function(){
+			if( on_finish ) on_finish(elem, i, animation);
+			return true;
+		}, function(){ //Canceled
+			return false;
+		});
+	});
+
+	var output = Promise.all(results).then(function(finished){
+		return finished.indexOf(false) == -1;
+	});
+
+	output["animations"] = animations;
+
+	[ "cancel", "finish", "reverse", "pause", "play" ].forEach(function(method){
+		output[method] = function(){
+			for( var i = 0; i < animations.length; i++ ) animations[i][method]();
+
+			return output;
+		};
+	});
+
+	return output;
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @returns {Boolean} Whether the computed display is "none"
+ */
+function _isHidden(elem){
+	return _window.getComputedStyle(elem).display == "none";
+}
+
+/**
+ * @private
+ * @description Core function of fadeIn(), fadeOut(), slideDown(), slideUp() & toggle()
+ * @param {CalDom} caldom
+ * @param {String} [effect] "fade" or "slide". Shown/hidden without an animation if not given.
+ * @param {Boolean} [is_shown] true to show, false to hide or undefined to toggle each element
+ * @param {Number | Object} [duration_or_options] See animate()
+ * @returns {Promise<Boolean>} See animate()
+ */
+function _animateVisibility(caldom, effect, is_shown, duration_or_options){
+	var options = _getAnimationOptions(duration_or_options);
+	var elems = [];
+	var showing = [];
+	var i;
+
+	for( i = 0; i < caldom.elems.length; i++ ){
+		var is_hidden = _isHidden(caldom.elems[i]);
+
+		if( is_shown === undefined || is_shown == is_hidden ){ //Elements already in the requested state are skipped
+			elems.push(caldom.elems[i]);
+			showing.push(is_hidden);
+		}
+	}
+
+	for( i = 0; i < elems.length; i++ ){
+		if( showing[i] ) new CalDom(elems[i])["show"](options["display"]); //Shown first, so the end state can be measured
+		else if( !effect ) new CalDom(elems[i])["hide"]();
+	}
+
+	options["fill"] = showing.map(function(is_showing){
+		return is_showing ? "auto" : "forwards"; //Keeping the last frame of hiding elements until they're hidden
+	});
+
+	return _runAnimations(effect ? elems : [], function(elem, i){
+		return effect == "slide" ? _getSlideKeyframes(elem, showing[i]) : _getFadeKeyframes(elem, showing[i]);
+	}, options, function(elem, i, animation){
+		if( showing[i] ) return;
+
+		new CalDom(elem)["hide"]();
+
+		if( animation ) animation.cancel(); //Removing the filled last frame
+	});
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @param {Boolean} is_showing
+ * @returns {Array<Object>} Keyframes
+ */
+function _getFadeKeyframes(elem, is_showing){
+	var keyframes = [ { "opacity": 0 }, { "opacity": _window.getComputedStyle(elem).opacity || 1 } ];
+
+	return is_showing ? keyframes : keyframes.reverse();
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @param {Boolean} is_showing
+ * @returns {Array<Object>} Keyframes from the collapsed state to the current size
+ */
+function _getSlideKeyframes(elem, is_showing){
+	var style = _window.getComputedStyle(elem);
+	var collapsed = { "overflow": "hidden" };
+	var expanded = { "overflow": "hidden" };
+
+	[ "height", "paddingTop", "paddingBottom", "marginTop", "marginBottom", "borderTopWidth", "borderBottomWidth" ].forEach(function(property){
+		collapsed[property] = "0px";
+		expanded[property] = style[property];
+	});
+
+	return is_showing ? [ collapsed, expanded ] : [ expanded, collapsed ];
+}
+
+/**
+ * @private
+ * @param {Node} elem
+ * @param {String | Object} name_or_options See transition()
+ */
+function _setTransition(elem, name_or_options){
+	elem["_transition"] = name_or_options;
+	_markSynced(elem, "_transition"); //Kept while diffing
+}
+
+/**
+ * @private
+ * @param {Node} elem
+ * @returns {Object} Options of transition(). A name is converted to { name }
+ */
+function _getTransitionOptions(elem){
+	var options = elem["_transition"];
+
+	return typeof options == 'string' ? { "name": options } : options;
+}
+
+/**
+ * @private
+ * @param {Node} parent_node
+ * @returns {Array<Node>} Child Nodes excluding the ones waiting for their leave animation
+ */
+function _getChildNodes(parent_node){
+	var output = [];
+
+	for( var child = parent_node.firstChild; child; child = child.nextSibling ){
+		if( !child._leaving ) output.push(child);
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @description Play the enter animation of a Node inserted into the document.
+ * @param {Node} node
+ */
+function _enterNode(node){
+	node._leaving = false; //Inserted again while leaving
+
+	if( node["_transition"] && _isNodeConnected(node) ) _runTransition(node, "enter");
+}
+
+/**
+ * @private
+ * @description Remove a Node after its leave animation (or right away if it doesn't have one).
+ * @param {Node} node
+ * @param {Function} [callback] Called after the Node is removed
+ */
+function _removeNode(node, callback){
+	if( node["_transition"] && !node._leaving && _isNodeConnected(node) ){
+		node._leaving = true;
+
+		_runTransition(node, "leave", function(){
+			if( !node._leaving ) return; //Inserted again
+
+			node._leaving = false;
+
+			if( node.parentNode ) node.parentNode.removeChild(node);
+			if( callback ) callback();
+		});
+	}
+	else{
+		node._leaving = false;
+
+		if( node.parentNode ) node.parentNode.removeChild(node);
+		if( callback ) callback();
+	}
+}
+
+/**
+ * @private
+ * @description Play an enter/leave animation. See transition()
+ * @param {Element} elem
+ * @param {String} type "enter" or "leave"
+ * @param {Function} [callback] Called when the animation is finished
+ */
+function _runTransition(elem, type, callback){
+	var options = _getTransitionOptions(elem);
+	var keyframes = options[type];
+	var complete = callback || _identity;
+
+	if( typeof keyframes == 'function' ){
+		_whenAnimationFinished( keyframes(elem), complete );
+	}
+	else if( keyframes ){
+		_whenAnimationFinished( elem.animate && elem.animate(keyframes, {
+			"duration": options["duration"] || 300,
+			"easing": options["easing"] || "ease",
+			"fill": type == "leave" ? "forwards" : "auto" //Keeping the last frame until the Node is removed
+		}), complete );
+	}
+	else if( options["name"] ){
+		var prefix = options["name"] + "-" + type;
+
+		_setTransitionClass(elem, prefix, true);
+		_setTransitionClass(elem, prefix + "-active", true);
+
+		elem.offsetWidth; //Forcing a reflow, so the starting styles are applied before transitioning to prefix-to
+
+		_setTransitionClass(elem, prefix, false);
+		_setTransitionClass(elem, prefix + "-to", true);
+
+		setTimeout(function(){
+			_setTransitionClass(elem, prefix + "-active", false);
+			_setTransitionClass(elem, prefix + "-to", false);
+
+			complete();
+		}, _getTransitionDuration(elem, options));
+	}
+	else{
+		complete();
+	}
+}
+
+/**
+ * @private
+ * @description Add/remove a class of a running transition. These are kept while diffing attributes. See _replace()
+ * @param {Element} elem
+ * @param {String} class_name
+ * @param {Boolean} is_added
+ */
+function _setTransitionClass(elem, class_name, is_added){
+	var classes = elem._transition_classes || (elem._transition_classes = []);
+	var index = classes.indexOf(class_name);
+
+	if( is_added ){
+		elem.classList.add(class_name);
+		if( index == -1 ) classes.push(class_name);
+	}
+	else{
+		elem.classList.remove(class_name);
+		if( index > -1 ) classes.splice(index, 1);
+	}
+}
+
+/**
+ * @private
+ * @param {Animation | Promise | undefined} animation
+ * @param {Function} callback Called when finished or canceled
+ */
+function _whenAnimationFinished(animation, callback){
+	var promise = animation && (animation.finished || (typeof animation.then == 'function' && animation));
+
+	if( promise ) promise.then(callback, callback);
+	else callback();
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @param {Object} options See transition()
+ * @returns {Number} Duration in milliseconds. options.duration or the longest computed CSS transition/animation including the delay
+ */
+function _getTransitionDuration(elem, options){
+	if( options["duration"] != undefined ) return options["duration"];
+
+	var style = _window.getComputedStyle(elem);
+	var max = 0;
+
+	[ "transition", "animation" ].forEach(function(type){
+		var durations = (style[type + "Duration"] || "").split(",");
+		var delays = (style[type + "Delay"] || "").split(",");
+
+		for( var i = 0; i < durations.length; i++ ){
+			max = Math.max( max, _parseCssTime(durations[i]) + _parseCssTime(delays[i % delays.length]) );
+		}
+	});
+
+	return max;
+}
+
+/**
+ * @private
+ * @param {String} time Eg: "0.3s" or "300ms"
+ * @returns {Number} Milliseconds
+ */
+function _parseCssTime(time){
+	var value = parseFloat(time) || 0;
+
+	return time.indexOf("ms") > -1 ? value : value * 1000;
+}
+
+/**
+ * @private
+ * @description Record positions of Nodes with a move animation before reordering. (FLIP: First)
+ * @param {Array<Node>} nodes
+ * @returns {Array} [ [ node, DOMRect ], ... ]
+ */
+function _getMoveRects(nodes){
+	var output = [];
+
+	for( var i = 0; i < nodes.length; i++ ){
+		if( nodes[i]["_transition"] && _getTransitionOptions(nodes[i])["move"] !== false ) output.push([ nodes[i], nodes[i].getBoundingClientRect() ]);
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @description Animate moved Nodes from their old positions. (FLIP: Last, Invert, Play)
+ * @param {Array} rects See _getMoveRects()
+ */
+function _runMoveTransitions(rects){
+	var moves = [];
+	var i;
+
+	for( i = 0; i < rects.length; i++ ){ //Reading all positions before writing styles to avoid extra reflows
+		var node = rects[i][0];
+		if( node._leaving || !node.parentNode ) continue;
+
+		var new_rect = node.getBoundingClientRect();
+		var dx = rects[i][1].left - new_rect.left;
+		var dy = rects[i][1].top - new_rect.top;
+
+		if( dx || dy ) moves.push([ node, dx, dy ]);
+	}
+
+	for( i = 0; i < moves.length; i++ ){
+		_runMoveTransition(moves[i][0], moves[i][1], moves[i][2]);
+	}
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @param {Number} dx Horizontal distance from the old position
+ * @param {Number} dy Vertical distance from the old position
+ */
+function _runMoveTransition(elem, dx, dy){
+	var options = _getTransitionOptions(elem);
+	var transform = "translate(" + dx + "px, " + dy + "px)";
+
+	if( typeof options["move"] == 'function' ){
+		options["move"](elem, dx, dy);
+	}
+	else if( options["name"] ){
+		var move_class = options["name"] + "-move";
+		var style = elem.style;
+
+		_setTransitionClass(elem, move_class, false);
+
+		style.transitionDuration = "0s";
+		style.transform = transform;
+
+		elem.offsetWidth; //Forcing a reflow, so the Node is rendered at the old position first
+
+		_setTransitionClass(elem, move_class, true);
+		style.transitionDuration = style.transform = "";
+
+		clearTimeout(elem._move_timer);
+
+		elem._move_timer = setTimeout(function(){
+			_setTransitionClass(elem, move_class, false);
+		}, _getTransitionDuration(elem, options));
+	}
+	else if( elem.animate ){
+		elem.animate([ { "transform": transform }, { "transform": "none" } ], {
+			"duration": options["duration"] || 300,
+			"easing": options["easing"] || "ease"
+		});
+	}
+}
+
+/**
+ * @private
+ * @description Compare & update child nodes of an existing Node (or a ShadowRoot) with newly rendered child nodes.
+ * @param {Node} new_dom_node
+ * @param {Node} old_dom_node
+ * @returns {Boolean} Whether new_dom_node had child nodes (diffed one by one by _replace())
+ */
+function _replaceChildNodes(new_dom_node, old_dom_node){
+	var new_dom_has_child_nodes = new_dom_node.hasChildNodes();
+
+	if( new_dom_has_child_nodes || old_dom_node.hasChildNodes() ){
+		var old_dom_node_child_nodes = _has_transitions ? _getChildNodes(old_dom_node) : (old_dom_node.childNodes);  //Keeping the live list so it adjusts automatically with Node.replaceChild()
+		var i = 0;
+
+		if( new_dom_has_child_nodes ){
+
+			var new_dom_node_child_nodes = _slice.call(new_dom_node.childNodes);  //Because enumerating live NodeList is slow
+
+			if( _isKeyedParent(new_dom_node) ){
+				_replaceKeyedChildren( new_dom_node_child_nodes, old_dom_node );
+
+				i = old_dom_node_child_nodes.length; //Keyed reconciliation removes missing children by itself
+			}
+			else{
+				var len = new_dom_node_child_nodes.length;
+
+				//If the new_dom_element or old_dom_element has children, replace() it
+				for( ; i < len; i++ ){
+
+					var old_child_node = old_dom_node_child_nodes[i];
+					var replaced_elem = _replace(new_dom_node_child_nodes[i], old_child_node, old_dom_node);
+
+					if( replaced_elem && replaced_elem["_h"] ) _updateComponentRoot(old_child_node, replaced_elem);
+				}
+			}
+		}
+
+		//Finally, if the old_dom_element is containing children not present in the new_dom_element, remove them
+		var extra_child_nodes = _slice.call(old_dom_node_child_nodes, i); //Leaving Nodes stay in the live list until their animation ends
+
+		for( var extra_i = 0; extra_i < extra_child_nodes.length; extra_i++ ){
+			_removeChild( old_dom_node, extra_child_nodes[extra_i] );
+		}
+	}
+
+	return new_dom_has_child_nodes;
+}
+
+/**
+ * @private
+ * @description Diff shadow root content & adopt constructable stylesheets of the newly rendered shadow root.
+ * @param {ShadowRoot} new_shadow_root
+ * @param {ShadowRoot} old_shadow_root
+ */
+function _replaceShadowRoot(new_shadow_root, old_shadow_root){
+	_replaceChildNodes(new_shadow_root, old_shadow_root);
+
+	var new_sheets = new_shadow_root["adoptedStyleSheets"];
+	var old_sheets = old_shadow_root["adoptedStyleSheets"];
+
+	if( new_sheets && (new_sheets.length != old_sheets.length || new_sheets.some(function(sheet, i){ return sheet !== old_sheets[i]; })) ){
+		old_shadow_root["adoptedStyleSheets"] = _slice.call(new_sheets);
+	}
+}
+
+/**
+ * @private
+ * @param {Node} elem
+ * @returns {ShadowRoot|null} Shadow root attached by shadow() (including closed ones) or an open shadow root.
+ */
+function _getShadowRoot(elem){
+	return elem._shadow_root || elem.shadowRoot;
+}
+
+/**
+ * @private
+ * @description Attach (or reuse) a shadow root & apply styles.
+ * @param {Element} elem
+ * @param {Object} options { mode, styles }. See shadow()
+ * @returns {ShadowRoot}
+ */
+function _attachShadow(elem, options){
+	var shadow_root = _getShadowRoot(elem);
+
+	if( !shadow_root ){
+		shadow_root = elem._shadow_root = elem.attachShadow({ "mode": options["mode"] || "open" });
+	}
+
+	if( options["styles"] ) _adoptStyles(shadow_root, options["styles"]);
+
+	return shadow_root;
+}
+
+/**
+ * @private
+ * @description Move rendered children of a component's root element into its shadow root. Used with config.shadowRoot at react()
+ * @param {Element} elem Rendered root element
+ * @param {Object} options { mode, styles }
+ */
+function _renderIntoShadow(elem, options){
+	var shadow_root = _attachShadow(elem, options);
+
+	while( elem.firstChild ){
+		shadow_root.appendChild(elem.firstChild);
+	}
+}
+
+/**
+ * @private
+ * @description Cached constructable stylesheets by CSS text
+ */
+var _style_sheets = {};
+
+/**
+ * @private
+ * @description Apply styles to a shadow root using constructable stylesheets. Falls back to <style> elements if not supported.
+ * @param {ShadowRoot} shadow_root
+ * @param {String | CSSStyleSheet | Array<String | CSSStyleSheet>} styles
+ */
+function _adoptStyles(shadow_root, styles){
+	var doc = shadow_root.ownerDocument;
+	var win = doc.defaultView;
+	var StyleSheet = win && win["CSSStyleSheet"];
+
+	styles = Array.isArray(styles) ? styles : [styles];
+
+	if( "adoptedStyleSheets" in shadow_root && StyleSheet && StyleSheet.prototype["replaceSync"] ){
+		shadow_root["adoptedStyleSheets"] = styles.map(function(style){
+			if( typeof style != 'string' ) return style;
+
+			var sheet = _style_sheets[style];
+
+			if( !sheet || !(sheet instanceof StyleSheet) ){ //Cached sheets can't be shared between windows
+				sheet = _style_sheets[style] = new StyleSheet();
+				sheet["replaceSync"](style);
+			}
+
+			return sheet;
+		});
+	}
+	else{
+		var old_style_elems = q("style[caldom-style]", shadow_root);
+
+		for( var i = 0; i < old_style_elems.length; i++ ) shadow_root.removeChild(old_style_elems[i]);
+
+		for( i = styles.length - 1; i >= 0; i-- ){
+			var style_elem = doc.createElement("style");
+
+			style_elem.setAttribute("caldom-style", "");
+			style_elem.textContent = typeof styles[i] == 'string' ? styles[i] : _slice.call(styles[i].cssRules).map(function(rule){ return rule.cssText; }).join("\n");
+
+			shadow_root.insertBefore(style_elem, shadow_root.firstChild);
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Compare newly rendered DOM with existing DOM and update changes.
+ * @param {Node} new_dom_node
+ * @param {Node} old_dom_node
+ * @param {Node} old_dom_node_parent
+ * @returns {Node} Returns new DOM if replaced
+ */
+ function _replace(new_dom_node, old_dom_node, old_dom_node_parent){
+	if( !new_dom_node ) return;
+
+	if( new_dom_node._original_root ) new_dom_node = new_dom_node._original_root;
+
+	if( !old_dom_node ){
+		var appended_node = old_dom_node_parent.appendChild( new_dom_node );
+
+		if( _has_transitions ) _enterNode(appended_node);
+
+		return appended_node;
+	}
+
+	if( old_dom_node._template_instance && _patchHtmlTemplateRoot(new_dom_node, old_dom_node) ) return; //Only dynamic parts of a _.html template are patched
+
+	var new_dom_node_is_a_element = new_dom_node.nodeType == 1;
+
+	var soft_replacable = new_dom_node_is_a_element 
+		&& new_dom_node.tagName == old_dom_node.tagName //Assuming a drastically different tree, thus a hard replace is efficient.
+		&& new_dom_node["_h"] === old_dom_node["_h"] //Assuming enequal Component instances and keys are different elements (with their own custome properties & event listeners), thus a hard replace is required. 
+		&& new_dom_node.getAttribute("caldom-v") === old_dom_node.getAttribute("caldom-v")
+		&& new_dom_node.getAttribute("caldom-key") === old_dom_node.getAttribute("caldom-key")
+		&& !_getShadowRoot(new_dom_node) == !_getShadowRoot(old_dom_node); //A shadow root can't be attached/detached later
+
+	if( soft_replacable ){
+		
+		var copy_props_recursively = true;
+
+		//Placed at first assuming content will change more often than attributes
+		if( !new_dom_node.isEqualNode(old_dom_node) ){
+			
+			if( old_dom_node._is_defined_element ){
+				copy_props_recursively = false; //Content is owned by the element's own component. See _.define()
+			}
+			else if( old_dom_node.hasAttribute("caldom-outlet") ){
+				copy_props_recursively = false; //Content is owned by a router. See _.router()
+			}
+			else if( _replaceChildNodes(new_dom_node, old_dom_node) ){
+				copy_props_recursively = false; //Children are diffed by _replace() one by one
+			}
+
+			//Placed at second assuming content will change more often than attributes
+			//Syncing attributes (including style);
+			if( !new_dom_node.isEqualNode(old_dom_node) ){
+
+				for(var new_attr_i = 0, new_attr_len = new_dom_node.attributes.length; new_attr_i < new_attr_len; new_attr_i++ ){
+					var new_attr = new_dom_node.attributes[new_attr_i];
+
+					if( old_dom_node.getAttribute(new_attr.name) != new_attr.value ){
+						old_dom_node.setAttribute( new_attr.name, new_attr.value );
+					}
+				}
+		
+				//TODO: Checking above set attributes again here, will a if( indexOf(key) != -1 ) continue; more efficient?
+				for(var old_attr_i = 0; old_attr_i < old_dom_node.attributes.length; old_attr_i++ ){
+					var old_attr = old_dom_node.attributes[old_attr_i];
+		
+					if( !new_dom_node.hasAttribute(old_attr.name) ){
+						old_dom_node.removeAttribute(old_attr.name);
+
+						old_attr_i--;
+					}
+				}
+
+				var transition_classes = old_dom_node._transition_classes;
+
+				for( var class_i = 0; transition_classes && class_i < transition_classes.length; class_i++ ){
+					old_dom_node.classList.add( transition_classes[class_i] ); //Classes of running transitions are not part of render()
+				}
+			}
+		}
+		
+		_copyProps( new_dom_node, old_dom_node, copy_props_recursively );
+
+		var new_shadow_root = _getShadowRoot(new_dom_node);
+		if( new_shadow_root && !old_dom_node._is_defined_element ) _replaceShadowRoot(new_shadow_root, _getShadowRoot(old_dom_node));
+	}
+	else if( !new_dom_node.isEqualNode(old_dom_node) ){
+
+		if( !new_dom_node_is_a_element && new_dom_node.nodeType == old_dom_node.nodeType ){
+			old_dom_node.nodeValue = new_dom_node.nodeValue;
+		}
+		else{ //Hard Replace
+			
+			//TODO: Need to find a better way to find deleted only
+			var unmounted_handler = _getUnmountedHandler(old_dom_node);
+
+			if( unmounted_handler ) unmounted_handler._willUnmount();
+
+			if( _has_transitions && (old_dom_node["_transition"] || new_dom_node["_transition"]) ){
+				old_dom_node.parentNode.insertBefore( new_dom_node, old_dom_node );
+				_enterNode(new_dom_node);
+
+				_removeNode(old_dom_node, function(){ //The old Node leaves after the new one is in place
+					if( unmounted_handler ) unmounted_handler._didUnmount();
+				});
+			}
+			else{
+				old_dom_node.parentNode.replaceChild( new_dom_node, old_dom_node );
+
+				if( unmounted_handler ) unmounted_handler._didUnmount();
+			}
+			
+			return new_dom_node;
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Adopt an existing Node tree (Eg: server rendered) by walking it alongside the newly rendered virtual tree.
+ * Component handlers (_h), listeners & synced properties are attached to existing Nodes.
+ * Mismatches are reported to _.onHydrationMismatch() & fixed by _replace().
+ * @param {Node} new_dom_node Newly rendered Node
+ * @param {Node} old_dom_node Existing Node
+ * @returns {Node} Returns new DOM if replaced
+ */
+function _hydrate(new_dom_node, old_dom_node){
+	if( new_dom_node._original_root ) new_dom_node = new_dom_node._original_root;
+
+	var is_element = new_dom_node.nodeType == 1;
+
+	if( new_dom_node.nodeType != old_dom_node.nodeType || (is_element && new_dom_node.tagName != old_dom_node.tagName) ){
+		_reportHydrationMismatch("tag", old_dom_node, new_dom_node);
+
+		return _replace( new_dom_node, old_dom_node, old_dom_node.parentNode );
+	}
+
+	if( !is_element ){
+		if( old_dom_node.nodeValue != new_dom_node.nodeValue ){
+			_reportHydrationMismatch("text", old_dom_node, new_dom_node);
+
+			old_dom_node.nodeValue = new_dom_node.nodeValue;
+		}
+
+		return;
+	}
+
+	if( new_dom_node["_h"] ){
+		old_dom_node["_h"] = new_dom_node["_h"];
+		new_dom_node["_h"].elems[0] = old_dom_node;
+	}
+
+	var attr_i, attr;
+
+	for( attr_i = 0; attr_i < new_dom_node.attributes.length; attr_i++ ){
+		attr = new_dom_node.attributes[attr_i];
+
+		if( old_dom_node.getAttribute(attr.name) !== attr.value ){
+			_reportHydrationMismatch("attribute", old_dom_node, new_dom_node, attr.name);
+
+			old_dom_node.setAttribute(attr.name, attr.value);
+		}
+	}
+
+	for( attr_i = 0; attr_i < old_dom_node.attributes.length; attr_i++ ){
+		attr = old_dom_node.attributes[attr_i];
+
+		if( !new_dom_node.hasAttribute(attr.name) ){
+			_reportHydrationMismatch("attribute", old_dom_node, new_dom_node, attr.name);
+
+			old_dom_node.removeAttribute(attr.name);
+			attr_i--;
+		}
+	}
+
+	var pairs = _pairHydratableChildNodes(new_dom_node, old_dom_node);
+
+	if( !pairs ){
+		_reportHydrationMismatch("children", old_dom_node, new_dom_node);
+
+		return _replace( new_dom_node, old_dom_node, old_dom_node.parentNode );
+	}
+	else{
+		for( var i = 0, len = pairs.length; i < len; i++ ){
+			var replaced_elem = _hydrate( pairs[i][0], pairs[i][1] );
+
+			if( replaced_elem && replaced_elem["_h"] ) _updateComponentRoot(pairs[i][1], replaced_elem);
+		}
+
+		_copyProps( new_dom_node, old_dom_node );
+	}
+}
+
+/**
+ * @private
+ * @description Match rendered child nodes with existing child nodes for _hydrate(). Comments are ignored & removed from the DOM.
+ * HTML parsing merges adjacent text (Eg: rendered [ "Count: ", "1" ]), so an existing text Node is split the same way as the rendered text Nodes.
+ * Whitespace-only text Nodes that aren't rendered at the same position (Eg: indentation of the server HTML) are removed. Rendered whitespace (Eg: between inline elements) is kept.
+ * @param {Node} new_dom_node Newly rendered Node
+ * @param {Node} old_dom_node Existing Node
+ * @returns {Array<Array<Node>> | null} [ [ new_child, old_child ], ... ] or null if the children don't match
+ */
+function _pairHydratableChildNodes(new_dom_node, old_dom_node){
+	var new_children = _slice.call(new_dom_node.childNodes).filter(function(child){
+		return child.nodeType != 8;
+	});
+
+	var old_children = _slice.call(old_dom_node.childNodes).filter(function(child){
+		if( child.nodeType == 8 ) old_dom_node.removeChild(child);
+		return child.nodeType != 8;
+	});
+
+	var pairs = [];
+	var old_i = 0;
+	var old_child;
+
+	var is_ignored_text = function(node){
+		return node && node.nodeType == 3 && !node.nodeValue.trim();
+	};
+
+	for( var i = 0; i < new_children.length; i++ ){
+		old_child = old_children[old_i];
+
+		if( new_children[i].nodeType != 3 ){
+			while( is_ignored_text(old_child) ){
+				old_dom_node.removeChild(old_child);
+				old_child = old_children[++old_i];
+			}
+
+			if( !old_child ) return null;
+
+			pairs.push([ new_children[i], old_child ]);
+			old_i++;
+
+			continue;
+		}
+
+		var texts = [ new_children[i] ];
+
+		while( new_children[i + 1] && new_children[i + 1].nodeType == 3 ) texts.push( new_children[++i] );
+
+		if( old_child && old_child.nodeType == 3 ){
+			old_i++;
+
+			//Text separated by removed comments
+			while( old_children[old_i] && old_children[old_i].nodeType == 3 ){
+				old_child.appendData( old_children[old_i].nodeValue );
+				old_dom_node.removeChild( old_children[old_i++] );
+			}
+		}
+		else{ //Empty rendered text isn't in the HTML
+			old_child = old_dom_node.insertBefore( old_dom_node.ownerDocument.createTextNode(""), old_child || null );
+		}
+
+		var text = texts.map(function(text_node){
+			return text_node.nodeValue;
+		}).join("");
+
+		if( old_child.nodeValue != text ){
+			_reportHydrationMismatch("text", old_child, texts[0]);
+
+			old_child.nodeValue = text;
+		}
+
+		for( var text_i = 0; text_i < texts.length; text_i++ ){
+			pairs.push([ texts[text_i], old_child ]);
+
+			if( text_i < texts.length - 1 ) old_child = old_child.splitText( texts[text_i].nodeValue.length );
+		}
+	}
+
+	for( ; old_i < old_children.length; old_i++ ){
+		if( !is_ignored_text(old_children[old_i]) ) return null;
+
+		old_dom_node.removeChild( old_children[old_i] );
+	}
+
+	return pairs;
+}
+
+/**
+ * @private
+ * @param {String} type "tag", "text", "attribute" or "children"
+ * @param {Node} existing_node
+ * @param {Node} rendered_node
+ * @param {String} [attribute_name]
+ */
+function _reportHydrationMismatch(type, existing_node, rendered_node, attribute_name){
+	if( calDom["onHydrationMismatch"] ){
+		calDom["onHydrationMismatch"]({
+			"type": type,
+			"existing": existing_node,
+			"rendered": rendered_node,
+			"attribute": attribute_name
+		});
+	}
+}
+
+/**
+ * @private
+ * @description Remove a child Node and fire unmount events if it's a component root.
+ * @param {Node} parent_node
+ * @param {Node} child_node
+ */
+function _removeChild(parent_node, child_node){
+	var unmounted_handler = _getUnmountedHandler(child_node);
+
+	if( unmounted_handler ) unmounted_handler._willUnmount();
+
+	if( _has_transitions && child_node["_transition"] ){
+		_removeNode(child_node, function(){
+			if( unmounted_handler ) unmounted_handler._didUnmount();
+		});
+
+		return;
+	}
+
+	parent_node.removeChild( child_node );
+
+	if( unmounted_handler ) unmounted_handler._didUnmount();
+}
+
+/**
+ * @private
+ * @description Component to fire unmount events for when the Node is removed/replaced.
+ * Only the first root of a multi-root component fires them & a component replacing its own roots while rendering doesn't.
+ * @param {Node} node
+ * @returns {CalDom|undefined}
+ */
+function _getUnmountedHandler(node){
+	var handler = node["_h"];
+
+	return handler && !handler._committing && handler.elems.indexOf(node) < 1 ? handler : undefined;
+}
+
+/**
+ * @private
+ * @description Point the component's elems to the Node that replaced its root while diffing.
+ * @param {Node} old_node Replaced Node
+ * @param {Node} new_node Component root
+ */
+function _updateComponentRoot(old_node, new_node){
+	var elems = new_node["_h"].elems;
+	if( elems.indexOf(new_node) > -1 ) return;
+
+	var index = elems.indexOf(old_node);
+	elems[index > -1 ? index : 0] = new_node;
+}
+
+/**
+ * @private
+ * @description Normalize render() output to an array of root Nodes. An empty output is rendered as a comment to keep the position.
+ * @param {CalDom | Node | Array} new_dom
+ * @param {Document} doc
+ * @returns {Array<Node>}
+ */
+function _getRenderedRoots(new_dom, doc){
+	var roots = new_dom instanceof CalDom
+		? new_dom.elems
+		: ( _isArrayLike(new_dom) ? _getFragmentNodes(new_dom, doc) : [new_dom] );
+
+	return roots.length ? _slice.call(roots) : [ doc.createComment("caldom-fragment") ];
+}
+
+/**
+ * @private
+ * @param {Array<CalDom | Node | String>} children See append() for all possibilities.
+ * @param {Document} doc
+ * @returns {Array<Node>} Nodes created from children. Nested components are mounted.
+ */
+function _getFragmentNodes(children, doc){
+	return _slice.call( new CalDom( doc.createElement("div"), children ).elems[0].childNodes );
+}
+
+/**
+ * @private
+ * @param {Node} node
+ * @returns {String | null} caldom-key of the Node. null for non-keyed Nodes & non-elements.
+ */
+function _getKey(node){
+	return node.nodeType == 1 ? node.getAttribute("caldom-key") : null;
+}
+
+/**
+ * @private
+ * @description Keyed lists are detected by the last element child to avoid scanning all children of non-keyed parents.
+ * (So leading non-keyed elements like a table header are fine.)
+ * @param {Node} parent_node
+ * @returns {Boolean}
+ */
+function _isKeyedParent(parent_node){
+	var last_elem = parent_node.lastElementChild;
+
+	return !!last_elem && last_elem.hasAttribute("caldom-key");
+}
+
+/**
+ * @private
+ * @description Reconcile children by caldom-key instead of the index.
+ * Keyed children are matched by key. Non-keyed children are matched in order among themselves.
+ * Matched Nodes in the longest increasing subsequence of old positions stay put, others are moved with insertBefore().
+ * Missing Nodes are removed, only truly new Nodes are inserted & matched pairs are diffed by _replace().
+ * @param {Array<Node>} new_dom_node_child_nodes
+ * @param {Node} old_dom_node Existing parent Node
+ */
+function _replaceKeyedChildren(new_dom_node_child_nodes, old_dom_node){
+	var old_dom_node_child_nodes = _has_transitions ? _getChildNodes(old_dom_node) : _slice.call(old_dom_node.childNodes);
+	var move_rects = _has_transitions ? _getMoveRects(old_dom_node_child_nodes) : null; //FLIP: First positions
+	var old_len = old_dom_node_child_nodes.length;
+	var old_keyed = {};
+	var old_non_keyed = [];
+	var old_i;
+
+	for( old_i = 0; old_i < old_len; old_i++ ){
+		var old_key = _getKey( old_dom_node_child_nodes[old_i] );
+
+		if( old_key != null ) old_keyed[old_key] = old_i;
+		else old_non_keyed.push(old_i);
+	}
+
+	var len = new_dom_node_child_nodes.length;
+	var matched = []; //Old index of n-th new child. -1 if it's a new Node
+	var used = [];
+	var non_keyed_i = 0;
+	var i;
+
+	for( i = 0; i < len; i++ ){
+		var new_key = _getKey( new_dom_node_child_nodes[i] );
+		var old_index = -1;
+
+		if( new_key != null ){
+			if( old_keyed.hasOwnProperty(new_key) ){
+				old_index = old_keyed[new_key];
+				delete old_keyed[new_key]; //Duplicate keys are treated as new Nodes
+			}
+		}
+		else if( non_keyed_i < old_non_keyed.length ){
+			old_index = old_non_keyed[non_keyed_i++];
+		}
+
+		matched.push(old_index);
+		if( old_index != -1 ) used[old_index] = true;
+	}
+
+	for( old_i = 0; old_i < old_len; old_i++ ){
+		if( !used[old_i] ) _removeChild( old_dom_node, old_dom_node_child_nodes[old_i] );
+	}
+
+	var stable = _longestIncreasingSubsequence(matched);
+	var next_sibling = null;
+
+	//Walking backwards, so next_sibling is always at its final position
+	for( i = len - 1; i >= 0; i-- ){
+		var new_child = new_dom_node_child_nodes[i];
+		var node;
+
+		if( matched[i] == -1 ){
+			node = new_child._original_root || new_child;
+			old_dom_node.insertBefore( node, next_sibling );
+
+			if( _has_transitions ) _enterNode(node);
+		}
+		else{
+			node = old_dom_node_child_nodes[ matched[i] ];
+
+			if( !stable[i] ) old_dom_node.insertBefore( node, next_sibling );
+
+			var replaced_elem = _replace( new_child, node, old_dom_node );
+
+			if( replaced_elem ){
+				if( replaced_elem["_h"] ) _updateComponentRoot(node, replaced_elem);
+				node = replaced_elem;
+			}
+		}
+
+		next_sibling = node;
+	}
+
+	if( move_rects ) _runMoveTransitions(move_rects);
+}
+
+/**
+ * @private
+ * @description Find positions that belong to the longest increasing subsequence. -1 items are ignored.
+ * @param {Array<Number>} sequence
+ * @returns {Array<Boolean>} true at positions of the subsequence
+ */
+function _longestIncreasingSubsequence(sequence){
+	var tails = []; //Position of the smallest tail for each subsequence length
+	var previous = [];
+	var output = [];
+
+	for( var i = 0, len = sequence.length; i < len; i++ ){
+		var value = sequence[i];
+		if( value == -1 ) continue;
+
+		var low = 0, high = tails.length;
+
+		while( low < high ){
+			var mid = (low + high) >> 1;
+
+			if( sequence[ tails[mid] ] < value ) low = mid + 1;
+			else high = mid;
+		}
+
+		previous[i] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = i;
+	}
+
+	for( var pos = tails.length ? tails[tails.length - 1] : -1; pos != -1; pos = previous[pos] ){
+		output[pos] = true;
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @description Collector of state reads while evaluating a computed value. [ [ watched_object, path_string ], ... ]
+ */
+var _watch_reads = null;
+
+/**
+ * @private
+ * @description Replaces component.computed definitions with an object of getters returning cached values.
+ * @param {CalDom} component
+ */
+function _setupComputed(component){
+	var definitions = component["computed"];
+	var values = {};
+
+	component._computed_definitions = definitions;
+	component._computed_cache = {};
+
+	for( var key in definitions ){
+		component._computed_cache[key] = { dirty: true, has_value: false, deps: [] };
+
+		Object.defineProperty(values, key, { //Quoted keys, so descriptors survive property mangling
+			"enumerable": true,
+			"get": _evaluateComputed.bind(null, component, key)
+		});
+	}
+
+	component._computed_values = component["computed"] = values;
+}
+
+/**
+ * @private
+ * @description Returns the cached value or re-evaluates it while collecting state reads as dependencies.
+ * @param {CalDom} component
+ * @param {String} key
+ * @returns {any}
+ */
+function _evaluateComputed(component, key){
+	var item = component._computed_cache[key];
+
+	if( item.dirty ){
+		var outer_reads = _watch_reads;
+		_watch_reads = [];
+
+		item.value = component._computed_definitions[key].call(component, component.state, component);
+		item.deps = _watch_reads;
+		item.dirty = false;
+		item.has_value = true;
+
+		_watch_reads = outer_reads;
+	}
+
+	if( _watch_reads ) _array_prototype.push.apply(_watch_reads, item.deps); //So a computed value depending on another is invalidated too
+
+	return item.value;
+}
+
+/**
+ * @private
+ * @description Mark computed values depending on the changed path as dirty. All values are marked if the path is not given.
+ * @param {CalDom} component
+ * @param {Object} [watched_object] Original state object given to watch()
+ * @param {Array} [path] Changed path
+ */
+function _invalidateComputed(component, watched_object, path){
+	var cache = component._computed_cache;
+	var changed_path = path && path.join(".");
+
+	for( var key in cache ){
+		var item = cache[key];
+		if( item.dirty ) continue;
+
+		if( !path ){
+			item.dirty = true;
+			continue;
+		}
+
+		for( var i = 0, len = item.deps.length; i < len; i++ ){
+			var dep = item.deps[i];
+
+			if( dep[0] === watched_object && _isRelatedPath(dep[1], changed_path) ){
+				item.dirty = true;
+				break;
+			}
+		}
+	}
+}
+
+/**
+ * @private
+ * @returns {Boolean} Whether one path is equal to or inside the other. Eg: "todos" & "todos.3.done"
+ */
+function _isRelatedPath(path_a, path_b){
+	return path_a == path_b
+		|| path_a.indexOf(path_b + ".") == 0
+		|| path_b.indexOf(path_a + ".") == 0;
+}
+
+/**
+ * @private
+ * @description Re-evaluate dirty computed values that were read before & collect the actually changed ones for update().
+ * @param {CalDom} component
+ * @returns {Object} { key: { old_value, value }, ... }
+ */
+function _getComputedChanges(component){
+	var cache = component._computed_cache;
+	var changes = {};
+
+	for( var key in cache ){
+		var item = cache[key];
+		if( !item.dirty || !item.has_value ) continue;
+
+		var old_value = item.value;
+		var value = _evaluateComputed(component, key);
+
+		if( value !== old_value ) changes[key] = { "old_value": old_value, "value": value };
+	}
+
+	return changes;
+}
+
+/**
+ * @private
+ * @description Add watchers from config.watch (or a watch class field) & dispose previously added ones.
+ * @param {CalDom} component
+ */
+function _setupStateWatchers(component){
+	var definitions = component["watch"];
+
+	if( component._watch_disposers ){
+		for( var i = 0; i < component._watch_disposers.length; i++ ) component._watch_disposers[i]();
+	}
+
+	component._watch_definitions = definitions;
+	component._watch_disposers = [];
+
+	for( var path in definitions ){
+		component._watch_disposers.push( component["watchState"](path, definitions[path]) );
+	}
+}
+
+/**
+ * @private
+ * @description Queue watchers matching a state change. Executed by _flushStateWatchers().
+ * @param {CalDom} component
+ * @param {Object} change State change record
+ */
+function _queueStateWatchers(component, change){
+	var watchers = component._state_watchers;
+
+	for( var i = 0, len = watchers.length; i < len; i++ ){
+		if( _isStateWatcherMatch(watchers[i], change["path"]) ){
+			(component._state_watcher_queue || (component._state_watcher_queue = [])).push([ watchers[i], change ]);
+		}
+	}
+}
+
+/**
+ * @private
+ * @param {Object} watcher
+ * @param {Array} changed_path
+ * @returns {Boolean} Whether the changed path is the watched path, a parent of it, or a descendant in deep mode.
+ */
+function _isStateWatcherMatch(watcher, changed_path){
+	var watched_path = watcher.path;
+	var len = Math.min(watched_path.length, changed_path.length);
+
+	for( var i = 0; i < len; i++ ){
+		if( watched_path[i] != "*" && watched_path[i] != changed_path[i] ) return false;
+	}
+
+	return changed_path.length <= watched_path.length || watcher.deep;
+}
+
+/**
+ * @private
+ * @description Execute queued watchers once per watcher & resolved path with the last matched change.
+ * @param {CalDom} component
+ */
+function _flushStateWatchers(component){
+	var queue = component._state_watcher_queue;
+	var calls = []; //[ [ watcher, resolved_path, change, path_string ], ... ]
+
+	component._state_watcher_queue = null;
+
+	for( var i = 0, len = queue.length; i < len; i++ ){
+		var watcher = queue[i][0];
+		var change = queue[i][1];
+		var resolved_path = _resolveStateWatcherPath(watcher.path, change["path"]);
+		var path_string = resolved_path ? resolved_path.join(".") : null;
+
+		for( var j = 0; j < calls.length; j++ ){
+			if( calls[j][0] === watcher && calls[j][3] === path_string ){
+				calls[j][2] = change; //Last change wins
+				break;
+			}
+		}
+
+		if( j == calls.length ) calls.push([ watcher, resolved_path, change, path_string ]);
+	}
+
+	for( i = 0; i < calls.length; i++ ){
+		watcher = calls[i][0];
+		if( watcher.disposed ) continue; //Disposed by a previous callback
+
+		watcher.callback.call(component, calls[i][1] ? _getStatePathValue(component.state, calls[i][1]) : undefined, calls[i][2], component);
+	}
+}
+
+/**
+ * @private
+ * @description Replace * segments of a watched path using the changed path.
+ * @returns {Array|null} Resolved path or null if a * can't be resolved.
+ */
+function _resolveStateWatcherPath(watched_path, changed_path){
+	var resolved_path = [];
+
+	for( var i = 0; i < watched_path.length; i++ ){
+		if( watched_path[i] != "*" ){
+			resolved_path.push(watched_path[i]);
+		}
+		else if( i < changed_path.length ){
+			resolved_path.push(changed_path[i]);
+		}
+		else{
+			return null;
+		}
+	}
+
+	return resolved_path;
+}
+
+/**
+ * @private
+ * @returns {any} Value at the given path or undefined if a parent is missing.
+ */
+function _getStatePathValue(state, path){
+	for( var i = 0; i < path.length; i++ ){
+		if( state == undefined ) return undefined;
+		state = state[ path[i] ];
+	}
+
+	return state;
+}
+
+/**
+ * @private
+ * @description Getter & setter of a state path. Missing parent objects are created while setting. Used by model()
+ * @param {CalDom} component
+ * @param {String} path Dot separated path
+ * @returns {Object} { get, set }
+ */
+function _getStatePathAccessor(component, path){
+	path = path.split(".");
+
+	return {
+		"get": function(){
+			return _getStatePathValue(component.state, path);
+		},
+
+		"set": function(value){
+			var target = component.state;
+
+			for( var i = 0; i < path.length - 1; i++ ){
+				if( target[ path[i] ] == undefined ) target[ path[i] ] = {};
+				target = target[ path[i] ];
+			}
+
+			target[ path[i] ] = value;
+		}
+	};
+}
+
+/**
+ * @private
+ * @description Default parse() & format() of model()
+ */
+function _identity(value){
+	return value;
+}
+
+/**
+ * @private
+ * @description Listener added by model(). Shared by all bindings, so it's kept as is while diffing.
+ */
+function _onModelEvent(){
+	_updateModelState(this);
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @returns {Array<String>} Events of _onModelEvent listeners added by model()
+ */
+function _getModelEvents(elem){
+	return (elem._listeners || []).filter(function(item){
+		return item.handler === _onModelEvent;
+	}).map(function(item){
+		return item.event;
+	});
+}
+
+/**
+ * @private
+ * @description Write the value of a form element bound by model() to the state.
+ * @param {Element} elem
+ */
+function _updateModelState(elem){
+	var model = elem["_model"];
+	var type = elem.type;
+	var parse = model.parse;
+	var value;
+
+	if( type == "checkbox" ){
+		value = model.get();
+
+		if( Array.isArray(value) ){ //Checkbox group
+			value = value.filter(function(item){
+				return model.format(item) != elem.value;
+			});
+
+			if( elem.checked ) value.push( parse(elem.value) );
+		}
+		else{
+			value = elem.checked;
+		}
+	}
+	else if( type == "radio" ){
+		if( !elem.checked ) return; //Only the checked one of the group writes
+
+		value = parse(elem.value);
+	}
+	else if( type == "select-multiple" ){
+		value = _slice.call(elem.options)
+			.filter(function(option){ return option.selected; })
+			.map(function(option){ return parse(option.value); });
+	}
+	else{
+		value = parse(elem.value);
+	}
+
+	model.set(value);
+}
+
+/**
+ * @private
+ * @description Named form controls of the elements & their descendants. Used by serialize() & populate()
+ * @param {CalDom} caldom
+ * @returns {Array<Element>}
+ */
+function _getFormControls(caldom){
+	var controls = [];
+
+	caldom.each(function(elem){
+		if( /^(INPUT|SELECT|TEXTAREA)$/.test(elem.tagName) ) controls.push(elem);
+
+		controls.push.apply( controls, _slice.call( q("input, select, textarea", elem) ) );
+	});
+
+	return controls.filter(function(control){
+		return !!control.name;
+	});
+}
+
+/**
+ * @private
+ * @description Collect [ name, value, keys ] entries of named form controls like a form submission. See serialize()
+ * @param {CalDom} caldom
+ * @param {Boolean} include_files Whether to include selected files (for FormData)
+ * @returns {Array<Array>}
+ */
+function _getFormEntries(caldom, include_files){
+	var controls = _getFormControls(caldom);
+	var checkbox_counts = {};
+	var entries = [];
+	var i;
+
+	for( i = 0; i < controls.length; i++ ){
+		if( controls[i].type == "checkbox" ) checkbox_counts[ controls[i].name ] = (checkbox_counts[ controls[i].name ] || 0) + 1;
+	}
+
+	for( i = 0; i < controls.length; i++ ){
+		var control = controls[i];
+		var type = control.type;
+		var name = control.name;
+		var keys = _getFormNameKeys(name);
+
+		if( control.disabled || /^(submit|button|reset|image)$/.test(type) ) continue;
+
+		if( (type == "select-multiple" || checkbox_counts[name] > 1) && keys[ keys.length - 1 ] !== "" ) keys.push(""); //Always an array
+
+		if( type == "checkbox" || type == "radio" ){
+			if( control.checked ) entries.push([ name, control.value, keys ]);
+		}
+		else if( type == "select-multiple" ){
+			for( var option_i = 0; option_i < control.options.length; option_i++ ){
+				if( control.options[option_i].selected ) entries.push([ name, control.options[option_i].value, keys ]);
+			}
+		}
+		else if( type == "file" ){
+			if( include_files ){
+				for( var file_i = 0; file_i < control.files.length; file_i++ ) entries.push([ name, control.files[file_i], keys ]);
+			}
+		}
+		else{
+			entries.push([ name, control.value, keys ]);
+		}
+	}
+
+	return entries;
+}
+
+/**
+ * @private
+ * @description Split a control name into keys. Eg: "a[b][]" => [ "a", "b", "" ]
+ * @param {String} name
+ * @returns {Array<String>}
+ */
+function _getFormNameKeys(name){
+	var keys = name.match(/^[^\[\]]+|\[[^\[\]]*\]/g);
+
+	if( !keys || keys.join("") != name ) return [name];
+
+	return keys.map(function(key){
+		return key[0] == "[" ? key.slice(1, -1) : key;
+	});
+}
+
+/**
+ * @private
+ * @param {String} key
+ * @returns {Boolean}
+ */
+function _isUnsafeFormKey(key){
+	return key === "__proto__" || key === "constructor" || key === "prototype";
+}
+
+/**
+ * @private
+ * @description Set a serialized value at nested keys. "" pushes to an array & repeated keys become arrays.
+ * Names with a key reaching the prototype chain (Eg: "__proto__[admin]") are ignored.
+ * @param {Object} output
+ * @param {Array<String>} keys See _getFormNameKeys()
+ * @param {any} value
+ */
+function _setFormValue(output, keys, value){
+	var target = output;
+
+	if( keys.some(_isUnsafeFormKey) ) return;
+
+	for( var i = 0; i < keys.length; i++ ){
+		var key = keys[i] === "" ? target.length : keys[i];
+		var next_key = keys[i + 1];
+		var is_own = Object.prototype.hasOwnProperty.call(target, key);
+
+		if( i == keys.length - 1 ){
+			target[key] = is_own ? [].concat(target[key], value) : value;
+		}
+		else{
+			//Inherited values like "toString" are replaced, never descended into
+			if( !is_own || target[key] == undefined ) target[key] = next_key === "" || /^\d+$/.test(next_key) ? [] : {};
+
+			target = target[key];
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Assign only if the value is different, to avoid notifying watchers of a store for nothing.
+ * @param {Object} target
+ * @param {String} key
+ * @param {any} value
+ */
+function _setIfChanged(target, key, value){
+	if( target[key] !== value ) target[key] = value;
+}
+
+/**
+ * @private
+ * @param {Object} context Validation context of validate()
+ * @param {Element} control
+ * @returns {String|null} Field name of a control at validate() rules. "name[]" controls match "name" as well.
+ */
+function _getFormFieldName(context, control){
+	var name = control && control.name;
+
+	if( !name ) return null;
+	if( context.rules.hasOwnProperty(name) ) return name;
+
+	name = name.replace(/\[\]$/, "");
+
+	return context.rules.hasOwnProperty(name) ? name : null;
+}
+
+/**
+ * @private
+ * @description Validate all fields of validate()
+ * @param {Object} context
+ * @returns {Boolean|Promise<Boolean>} A Promise if there are pending async rules
+ */
+function _validateFormFields(context){
+	var values = context.caldom.serialize();
+	var results = [];
+	var is_async = false;
+
+	for( var name in context.rules ){
+		var result = _validateFormField(context, name, values);
+
+		if( result !== true && result !== false ) is_async = true;
+		results.push(result);
+	}
+
+	if( is_async ){
+		return Promise.all(results).then(function(async_results){
+			return async_results.indexOf(false) == -1;
+		});
+	}
+
+	return results.indexOf(false) == -1;
+}
+
+/**
+ * @private
+ * @description Run native constraints & rules of a field of validate()
+ * @param {Object} context
+ * @param {String} name Field name
+ * @param {Object} values serialize() output
+ * @returns {Boolean|Promise<Boolean>} Validity. A Promise if there are pending async rules.
+ */
+function _validateFormField(context, name, values){
+	var field = context.validator["state"]["fields"][name];
+	var controls = _getFormFieldControls(context, name);
+	var keys = _getFormNameKeys( name.replace(/\[\]$/, "") );
+	var value = _getStatePathValue(values, keys);
+	var run = context.runs[name] = (context.runs[name] || 0) + 1;
+	var errors = [];
+	var pending = [];
+	var i;
+
+	for( i = 0; i < controls.length; i++ ){
+		var control = controls[i];
+		if( !control.setCustomValidity ) continue;
+
+		control.setCustomValidity(""); //Reading native errors only
+
+		if( !control.validity.valid && errors.indexOf(control.validationMessage) == -1 ) errors.push(control.validationMessage);
+	}
+
+	var rules = [].concat( context.rules[name] );
+
+	for( i = 0; i < rules.length; i++ ){
+		var result = rules[i](value, values, name);
+
+		if( result && typeof result.then == 'function' ){
+			pending.push( result.then(null, function(error){
+				return (error && error.message) || String(error);
+			}) );
+		}
+		else if( typeof result == 'string' && result ){
+			errors.push(result);
+		}
+	}
+
+	if( JSON.stringify(field["value"]) !== JSON.stringify(value) ) field["value"] = value;
+	_setIfChanged( field, "dirty", JSON.stringify(value) !== JSON.stringify(_getStatePathValue(context.initial_values, keys)) );
+
+	_setFormFieldErrors(context, name, errors); //Errors of sync rules are shown without waiting for async rules
+
+	if( !pending.length ) return !errors.length;
+
+	_setIfChanged(field, "pending", true);
+	_updateFormValidity(context);
+
+	return Promise.all(pending).then(function(results){
+		if( run != context.runs[name] ) return field["valid"]; //A newer validation is running
+
+		var all_errors = errors.concat( results.filter(function(result){
+			return typeof result == 'string' && result;
+		}) );
+
+		_setFormFieldErrors(context, name, all_errors);
+
+		return !all_errors.length;
+	});
+}
+
+/**
+ * @private
+ * @param {Object} context
+ * @param {String} name
+ * @returns {Array<Element>} Controls of a field of validate()
+ */
+function _getFormFieldControls(context, name){
+	return _getFormControls(context.caldom).filter(function(control){
+		return control.name == name || control.name == name + "[]";
+	});
+}
+
+/**
+ * @private
+ * @description Set the validation result of a field of validate() to the store, the constraint validation API & the view.
+ * @param {Object} context
+ * @param {String} name
+ * @param {Array<String>} errors
+ */
+function _setFormFieldErrors(context, name, errors){
+	var field = context.validator["state"]["fields"][name];
+	var controls = _getFormFieldControls(context, name);
+
+	if( field["errors"].join("\n") != errors.join("\n") ) field["errors"] = errors;
+
+	_setIfChanged(field, "valid", !errors.length);
+	_setIfChanged(field, "pending", false);
+
+	for( var i = 0; i < controls.length; i++ ){
+		if( controls[i].setCustomValidity ) controls[i].setCustomValidity( errors[0] || "" );
+	}
+
+	_updateFormFieldView(context, name);
+	_updateFormValidity(context);
+}
+
+/**
+ * @private
+ * @description Toggle aria-invalid & the error class of a field's controls. Errors are shown after the field is touched or the form is submitted.
+ * @param {Object} context
+ * @param {String} name
+ */
+function _updateFormFieldView(context, name){
+	var state = context.validator["state"];
+	var field = state["fields"][name];
+	var is_shown = !field["valid"] && (field["touched"] || state["submitted"]);
+	var controls = new CalDom( _getFormFieldControls(context, name), undefined, context.caldom._w );
+
+	controls.attr("aria-invalid", is_shown ? "true" : "false");
+
+	if( is_shown ) controls.addClass(context.error_class);
+	else controls.removeClass(context.error_class);
+}
+
+/**
+ * @private
+ * @description Update overall valid & pending flags of validate()
+ * @param {Object} context
+ */
+function _updateFormValidity(context){
+	var state = context.validator["state"];
+	var valid = true;
+	var pending = false;
+
+	for( var name in state["fields"] ){
+		if( !state["fields"][name]["valid"] ) valid = false;
+		if( state["fields"][name]["pending"] ) pending = true;
+	}
+
+	_setIfChanged(state, "valid", valid);
+	_setIfChanged(state, "pending", pending);
+}
+
+/**
+ * @private
+ * @description Submit handler of validate(). The submission is prevented while invalid or pending. The first invalid control is focused.
+ * state.submitting is reset after options.submit() settles, even if the validation or the submission fails.
+ * @param {Object} context
+ * @param {Event} e
+ * @param {Function} [submit] options.submit of validate()
+ */
+function _submitForm(context, e, submit){
+	var state = context.validator["state"];
+	var form = e.target;
+
+	_setIfChanged(state, "submitted", true);
+
+	for( var name in context.rules ) _setIfChanged(state["fields"][name], "touched", true);
+
+	var result = _validateFormFields(context);
+
+	var complete = function(valid){
+		if( !valid ){
+			var invalid_control = _getFormControls(context.caldom).filter(function(control){
+				var field_name = _getFormFieldName(context, control);
+				return field_name && !state["fields"][field_name]["valid"];
+			})[0];
+
+			if( invalid_control && invalid_control.focus ) invalid_control.focus();
+		}
+		else if( submit ){
+			return submit(context.caldom.serialize(), e);
+		}
+		else if( result !== true ){ //Submitting after async rules. submit() doesn't fire the submit event again
+			form.submit();
+		}
+	};
+
+	var settle = function(){
+		_setIfChanged(state, "submitting", false);
+	};
+
+	var fail = function(error){
+		settle();
+		calDom["onError"](error, null, "submit");
+	};
+
+	if( result !== true || submit ) e.preventDefault();
+
+	_setIfChanged(state, "submitting", true);
+
+	if( result !== true && result !== false ){
+		result.then(complete).then(settle, fail);
+		return;
+	}
+
+	var submitted;
+
+	try{
+		submitted = complete(result);
+	}
+	catch(error){
+		return fail(error);
+	}
+
+	if( submitted && typeof submitted.then == 'function' ) submitted.then(settle, fail);
+	else settle();
+}
+
+/**
+ * @private
+ * @param {any} values A value or an array of values
+ * @param {String} control_value
+ * @returns {Boolean} Whether the control value is in the values
+ */
+function _hasFormValue(values, control_value){
+	return [].concat(values).some(function(value){
+		return String(value) == control_value;
+	});
+}
+
+/**
+ * @private
+ * @description Write values set by val() or prop("value"/"checked") to the state, if the elements are bound by model()
+ * @param {CalDom} caldom
+ * @param {String} key Property name
+ */
+function _updateModelStates(caldom, key){
+	if( key != "value" && key != "checked" ) return;
+
+	caldom.each(function(elem){
+		if( elem["_model"] ) _updateModelState(elem);
+	});
+}
+
+/**
+ * @private
+ * @description Show the state value at a form element bound by model()
+ * @param {Element} elem
+ */
+function _applyModelValue(elem){
+	var model = elem["_model"];
+	var type = elem.type;
+	var value = model.get();
+	var format = model.format;
+
+	var is_selected = function(option_value){
+		return Array.isArray(value)
+			? value.some(function(item){ return format(item) == option_value; })
+			: format(value) == option_value;
+	};
+
+	if( type == "checkbox" ){
+		elem.checked = Array.isArray(value) ? is_selected(elem.value) : !!value;
+	}
+	else if( type == "radio" ){
+		elem.checked = is_selected(elem.value);
+	}
+	else if( type == "select-multiple" ){
+		for( var i = 0; i < elem.options.length; i++ ){
+			elem.options[i].selected = is_selected(elem.options[i].value);
+		}
+	}
+	else{
+		value = format(value);
+		value = value == null ? "" : String(value);
+
+		if( elem.value !== value ) elem.value = value; //Keeping the caret position while typing
+	}
+}
+
+/**
+ * @private
+ * @param {CalDom} component
+ * @param {Object} watcher
+ */
+function _disposeStateWatcher(component, watcher){
+	watcher.disposed = true;
+
+	var watchers = component._state_watchers;
+	var index = watchers ? watchers.indexOf(watcher) : -1;
+
+	if( index > -1 ) watchers.splice(index, 1);
+}
+
+/**
+ * @private
+ * @description Remove all state watchers. Used when the component is removed via remove().
+ * @param {CalDom} component
+ */
+function _disposeStateWatchers(component){
+	var watchers = component._state_watchers;
+
+	for( var i = 0; i < watchers.length; i++ ) watchers[i].disposed = true;
+
+	component._state_watchers = null;
+	component._state_watcher_queue = null;
+	component._watch_disposers = null;
+	component._watch_definitions = null;
+}
+
+/**
+ * @private
+ * @description Components currently executing render(). Used to resolve inject() of nested components before they're connected.
+ */
+var _rendering_components = [];
+
+/**
+ * @private
+ * @description Ancestor components, closest first. Found by walking up the DOM through _h of component roots, then through currently rendering components.
+ * @param {CalDom} component
+ * @returns {Array<CalDom>}
+ */
+function _getAncestorComponents(component){
+	var ancestors = [];
+	var node = component.elems[0];
+	var handler;
+
+	node = node && node.parentNode;
+
+	while( node ){
+		handler = node["_h"];
+		if( handler && handler !== component && ancestors.indexOf(handler) == -1 ) ancestors.push(handler);
+
+		node = node.parentNode || node.host; //Continue from a shadow root to its host
+	}
+
+	for( var i = _rendering_components.length - 1; i >= 0; i-- ){
+		handler = _rendering_components[i];
+		if( handler !== component && ancestors.indexOf(handler) == -1 ) ancestors.push(handler);
+	}
+
+	return ancestors;
+}
+
+/**
+ * @private
+ * @description Find the closest ancestor component providing the key.
+ * @param {CalDom} component
+ * @param {String} key
+ * @returns {CalDom|null}
+ */
+function _findProvider(component, key){
+	var ancestors = _getAncestorComponents(component);
+
+	for( var i = 0; i < ancestors.length; i++ ){
+		if( ancestors[i]._provided && key in ancestors[i]._provided ) return ancestors[i];
+	}
+
+	return null;
+}
+
+/**
+ * @private
+ * @description Execute render() (or fallback() if an error is captured, or pending() while loading resources) while tracking rendering components. Errors are passed to _captureError().
+ * @param {CalDom} component
+ * @returns {CalDom|Node|undefined}
+ */
+function _renderComponent(component){
+	var new_dom;
+
+	component._rendered_portals = [];
+
+	_rendering_components.push(component); //So inject() & errors of nested components can find this component before they're connected
+
+	try{
+		if( !component._error ) new_dom = ( component["pending"] && _isResourcePending(component) ? component["pending"] : component["render"] ).call(component, component.state, component);
+	}
+	catch( error ){
+		_captureError(component, error, "render");
+	}
+	finally{
+		_rendering_components.pop();
+	}
+
+	if( component._error ){ //Captured from this render() pass or an earlier one
+		try{
+			new_dom = component["fallback"](component._error["error"], component);
+		}
+		catch( error ){
+			_captureError(component, error, "fallback");
+		}
+	}
+
+	return new_dom;
+}
+
+/**
+ * @private
+ * @description Reconcile portals created at the last render() with mounted ones. Portals are matched in order per target.
+ * Unmatched mounted portals are removed.
+ * @param {CalDom} component
+ */
+function _commitPortals(component){
+	var old_portals = component._portals || [];
+	var new_portals = component._rendered_portals;
+
+	component._rendered_portals = null;
+
+	for( var i = 0; i < new_portals.length; i++ ){
+		var new_portal = new_portals[i];
+
+		for( var old_i = 0; old_i < old_portals.length; old_i++ ){
+			if( old_portals[old_i].target === new_portal.target ) break;
+		}
+
+		var old_nodes = old_i < old_portals.length ? old_portals.splice(old_i, 1)[0].nodes : [];
+
+		new_portal.nodes = _reconcileNodes(new_portal.target, new_portal.nodes, old_nodes);
+	}
+
+	for( i = 0; i < old_portals.length; i++ ){
+		_reconcileNodes(old_portals[i].target, [], old_portals[i].nodes);
+	}
+
+	component._portals = new_portals.length ? new_portals : null;
+}
+
+/**
+ * @private
+ * @description Diff a newly rendered list of sibling nodes (portal content or component roots) against mounted ones using _replace(). New nodes are inserted after the previous mounted node.
+ * @param {Node} target Parent node
+ * @param {Array<Node>} new_nodes
+ * @param {Array<Node>} old_nodes Mounted nodes
+ * @returns {Array<Node>} Mounted nodes
+ */
+function _reconcileNodes(target, new_nodes, old_nodes){
+	var mounted_nodes = [];
+
+	for( var i = 0; i < new_nodes.length; i++ ){
+		var new_node = new_nodes[i]._original_root || new_nodes[i];
+		var mounted_node;
+
+		if( old_nodes[i] ){
+			mounted_node = _replace(new_node, old_nodes[i], target) || old_nodes[i];
+		}
+		else{
+			mounted_node = target.insertBefore(new_node, i > 0 ? mounted_nodes[i - 1].nextSibling : null);
+
+			if( _has_transitions ) _enterNode(mounted_node);
+		}
+
+		if( mounted_node["_h"] ) _updateComponentRoot(old_nodes[i], mounted_node);
+
+		mounted_nodes.push(mounted_node);
+	}
+
+	for( ; i < old_nodes.length; i++ ){
+		if( old_nodes[i].parentNode ) _removeChild(old_nodes[i].parentNode, old_nodes[i]);
+	}
+
+	return mounted_nodes;
+}
+
+/**
+ * @private
+ * @description Remove mounted portal nodes. Used when the owner component is unmounted.
+ * @param {CalDom} component
+ */
+function _removePortals(component){
+	var portals = component._portals;
+
+	component._portals = null;
+
+	for( var i = 0; i < portals.length; i++ ){
+		_reconcileNodes(portals[i].target, [], portals[i].nodes);
+	}
+}
+
+/**
+ * @private
+ * @description Execute a lifecycle hook. Eg: didMount(component). Errors are passed to _captureError().
+ * @param {CalDom} component
+ * @param {String} name Hook name
+ * @param {any} [arg] Second argument. Eg: directly_removed
+ */
+function _callHook(component, name, arg){
+	try{
+		component[name](component, arg);
+	}
+	catch( error ){
+		_captureError(component, error, name);
+	}
+}
+
+/**
+ * @private
+ * @description The last error passed to _.onError(). If _.onError() re-throws it, it's not reported again while unwinding through render() of ancestors.
+ */
+var _reported_error = null;
+
+/**
+ * @private
+ * @description Pass an error to errorCaptured() of ancestors & the closest fallback() boundary. Falls back to _.onError() if it's not handled.
+ * @param {CalDom} component Failed component
+ * @param {Error} error
+ * @param {String} phase Failed function name. Eg: "render"
+ */
+function _captureError(component, error, phase){
+	if( error != null && error === _reported_error ) throw error;
+
+	var ancestors = _getAncestorComponents(component);
+
+	for( var i = 0; i < ancestors.length; i++ ){
+		var boundary = ancestors[i];
+
+		if( boundary["errorCaptured"] && boundary["errorCaptured"](error, component, phase) === false ) return;
+
+		if( boundary["fallback"] ){
+			boundary._error = { "error": error, "component": component, "phase": phase };
+
+			//A rendering boundary uses fallback() right after its render()
+			if( _rendering_components.indexOf(boundary) == -1 ) _scheduleReact(boundary);
+
+			return;
+		}
+	}
+
+	_reported_error = error;
+
+	calDom["onError"](error, component, phase);
+
+	_reported_error = null; //Handled without re-throwing
+}
+
+/**
+ * @private
+ * @description Render/update the component asynchronously through requestAnimationFrame. Multiple calls are batched.
+ * @param {CalDom} component
+ */
+function _scheduleReact(component){
+	if( component._z ) return;
+
+	component._z = _requestAnimationFramePolyfill(function(){ //Note requestAnimationFrame is using current window instead of this._w
+		component.react(undefined, undefined, undefined, undefined, undefined, undefined, true);
+	});
+}
+
+/**
+ * @private
+ * @description Reset batched state changes passed to update()
+ * @param {CalDom} component
+ */
+function _resetStateChanges(component){
+	component._watch_state_changed_keys = {};
+	component._watch_state_change_count = 0;
+	component._watch_state_changes = null;
+}
+
+/**
+ * @private
+ * @description Schedule a re-render of mounted components that injected the key. Unmounted ones are dropped.
+ * @param {CalDom} provider
+ * @param {String} key
+ */
+function _notifyInjectors(provider, key){
+	var injectors = provider._injectors && provider._injectors[key];
+	if( !injectors ) return;
+
+	var mounted_injectors = provider._injectors[key] = [];
+
+	for( var i = 0; i < injectors.length; i++ ){
+		if( !injectors[i]._mounted ) continue;
+
+		mounted_injectors.push(injectors[i]);
+		injectors[i].react(undefined, undefined, true, key, true);
+	}
+}
+
+/**
+ * @private
+ * @param {Array} injections See _injections
+ * @param {CalDom} provider
+ * @param {String} key
+ * @returns {Boolean} Whether the provider & key are already in injections
+ */
+function _hasInjection(injections, provider, key){
+	for( var i = 0; i < injections.length; i++ ){
+		if( injections[i][0] === provider && injections[i][1] === key ) return true;
+	}
+
+	return false;
+}
+
+/**
+ * @private
+ * @description Register the component at _injectors of its providers.
+ * @param {CalDom} component
+ */
+function _addInjections(component){
+	var injections = component._injections;
+
+	for( var i = 0; i < injections.length; i++ ){
+		var provider = injections[i][0];
+		var injectors = provider._injectors || (provider._injectors = {});
+		var key_injectors = injectors[ injections[i][1] ] || (injectors[ injections[i][1] ] = []);
+
+		if( key_injectors.indexOf(component) == -1 ) key_injectors.push(component);
+	}
+}
+
+/**
+ * @private
+ * @description Remove the component from _injectors of its providers, so unmounted components aren't kept by long living providers.
+ * @param {CalDom} component
+ */
+function _removeInjections(component){
+	var injections = component._injections;
+
+	for( var i = 0; i < injections.length; i++ ){
+		var key_injectors = injections[i][0]._injectors[ injections[i][1] ];
+		var index = key_injectors ? key_injectors.indexOf(component) : -1;
+
+		if( index > -1 ) key_injectors.splice(index, 1);
+	}
+}
+
+/**
+ * @private
+ * @description Add resources from config.resources (or a resources class field) & dispose previously added ones.
+ * @param {CalDom} component
+ */
+function _setupResources(component){
+	var definitions = component["resources"];
+	var old_definitions = component._resource_definitions;
+
+	for( var old_key in old_definitions ){
+		if( component._resources && component._resources[old_key] ) _disposeResource(component, component._resources[old_key]);
+	}
+
+	component._resource_definitions = definitions;
+
+	for( var key in definitions ){
+		var definition = definitions[key];
+
+		if( typeof definition == 'function' ) component["resource"](key, definition);
+		else component["resource"](key, definition["loader"], definition);
+	}
+}
+
+/**
+ * @private
+ * @description Run the loader of a resource & write the status into the state. Aborts the previous run.
+ * @param {CalDom} component
+ * @param {Object} resource See resource()
+ * @returns {Promise} Resolved after the state is updated (or the result is ignored)
+ */
+function _loadResource(component, resource){
+	if( resource.disposed ) return Promise.resolve();
+
+	if( resource.suspended ){
+		resource.stale = true;
+		return Promise.resolve();
+	}
+
+	if( resource.controller ) resource.controller.abort();
+
+	var run_id = ++resource.run_id;
+	var controller = resource.controller = _window && _window.AbortController ? new _window.AbortController() : null;
+	var result;
+
+	_setResourceStatus(component, resource, { "loading": true, "error": null });
+
+	try{
+		result = resource.loader(component.state, controller ? controller.signal : undefined, component);
+	}
+	catch( error ){
+		result = Promise.reject(error);
+	}
+
+	var complete = function(status){
+		if( run_id != resource.run_id || resource.disposed ) return; //Stale response
+
+		resource.controller = null;
+		resource.settled = true;
+
+		_setResourceStatus(component, resource, status);
+	};
+
+	return Promise.resolve(result).then(function(data){
+		complete({ "data": data, "loading": false, "error": null });
+	}, function(error){
+		complete({ "loading": false, "error": error });
+	});
+}
+
+/**
+ * @private
+ * @param {CalDom} component
+ * @param {Object} resource See resource()
+ * @param {Object} values { data, loading, error } to set
+ */
+function _setResourceStatus(component, resource, values){
+	var state = component.state;
+
+	if( !state[resource.key] ) state[resource.key] = { "data": undefined, "loading": false, "error": null }; //Replaced by a new state via react(state)
+
+	for( var name in values ) _setIfChanged(state[resource.key], name, values[name]);
+
+	if( component["watched"] == false ) component.react();
+}
+
+/**
+ * @private
+ * @param {CalDom} component
+ * @returns {Boolean} Whether the first load of a resource is not completed yet. See config.pending at react()
+ */
+function _isResourcePending(component){
+	var resources = component._resources;
+
+	for( var key in resources ){
+		if( !resources[key].settled ) return true;
+	}
+
+	return false;
+}
+
+/**
+ * @private
+ * @description Stop a resource. The running load is aborted & its result is ignored.
+ * @param {CalDom} component
+ * @param {Object} resource See resource()
+ */
+function _disposeResource(component, resource){
+	resource.disposed = true;
+
+	if( resource.controller ) resource.controller.abort();
+	resource.controller = null;
+
+	for( var i = 0; i < resource.unwatchers.length; i++ ) resource.unwatchers[i]();
+
+	if( component._resources && component._resources[resource.key] === resource ) delete component._resources[resource.key];
+}
+
+/**
+ * @private
+ * @description Abort running loads of an unmounted component (Eg: dropped by a parent's re-render) & hold new loads until it's mounted again.
+ * @param {CalDom} component
+ */
+function _suspendResources(component){
+	for( var key in component._resources ){
+		var resource = component._resources[key];
+
+		resource.suspended = true;
+
+		if( resource.controller ){
+			resource.controller.abort();
+			resource.controller = null;
+			resource.run_id++; //Ignoring the response
+			resource.stale = true;
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Reload resources of a mounted component whose loads were aborted or held while it was unmounted. See _suspendResources()
+ * @param {CalDom} component
+ */
+function _resumeResources(component){
+	for( var key in component._resources ){
+		var resource = component._resources[key];
+
+		resource.suspended = false;
+
+		if( resource.stale ){
+			resource.stale = false;
+			_loadResource(component, resource);
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Stop all resources. Used when the component is removed via remove().
+ * @param {CalDom} component
+ */
+function _disposeResources(component){
+	var resources = component._resources;
+
+	component._resources = null;
+	component._resource_definitions = null;
+
+	for( var key in resources ) _disposeResource(component, resources[key]);
+}
+
+/**
+ * @private
+ * @description Connect stores from config.stores (or a stores class field)
+ * @param {CalDom} component
+ */
+function _connectStores(component){
+	var stores = component["stores"];
+
+	if( component._store_disposers ) _disconnectStores(component);
+
+	component._connected_stores = stores;
+
+	for( var i = 0; i < stores.length; i++ ){
+		if( Array.isArray(stores[i]) ) component["connect"](stores[i][0], stores[i][1]);
+		else component["connect"](stores[i]);
+	}
+}
+
+/**
+ * @private
+ * @description Remove all store subscriptions. Used when the component is removed via remove().
+ * @param {CalDom} component
+ */
+function _disconnectStores(component){
+	var disposers = component._store_disposers;
+
+	component._store_disposers = null;
+	component._connected_stores = null;
+
+	for( var i = 0; i < disposers.length; i++ ) disposers[i]();
+}
+
+/**
+ * @private
+ * @description Evaluate a store selector while collecting state reads as dependencies.
+ * @param {Object} subscriber { selector, deps, value }
+ * @param {Object} state Store state Proxy
+ */
+function _evaluateStoreSelector(subscriber, state){
+	var outer_reads = _watch_reads;
+	_watch_reads = [];
+
+	subscriber.value = subscriber.selector(state);
+	subscriber.deps = _watch_reads;
+
+	_watch_reads = outer_reads;
+}
+
+/**
+ * @private
+ * @returns {Boolean} Whether the changed path affects state read by the subscriber's selector.
+ */
+function _isStoreSubscriberAffected(subscriber, raw_state, changed_path){
+	var deps = subscriber.deps;
+	if( !subscriber.selector || deps.length == 0 ) return true; //Whole state
+
+	changed_path = changed_path.join(".");
+
+	for( var i = 0, len = deps.length; i < len; i++ ){
+		if( deps[i][0] === raw_state && _isRelatedPath(deps[i][1], changed_path) ) return true;
+	}
+
+	return false;
+}
+
+/**
+ * @private
+ * @description Array methods reported as a single change by watch() instead of a change per index/length.
+ */
+var _array_mutators = { "push": 1, "pop": 1, "shift": 1, "unshift": 1, "splice": 1, "sort": 1, "reverse": 1, "fill": 1, "copyWithin": 1 };
+
+/**
+ * @private
+ * @param {Object} obj
+ * @param {String} key
+ * @returns {String | Number} Array indexes as numbers. Eg: ["todos", 3, "done"]
+ */
+function _getPathKey(obj, key){
+	return Array.isArray(obj) && typeof key == 'string' && /^\d+$/.test(key) ? +key : key;
+}
+
+/**
+ * @private
+ * @description Used to implement a Proxy to watch state changes. Requires a Proxy polyfill for older browsers.
+ * Proxies are cached per object, so the identity is stable (state.list === state.list).
+ * Each object remembers the parent & key it was last accessed through, to report full paths of changes.
+ * onSetCallback( key: String, is_available: Boolean, change: Object ) receives the leaf key & a change record:
+ * { path: Array, type: "set" | "delete" | Array method name, old_value: any, value: any, args: Array (Array methods only) }
+ * @param {Object} what
+ * @param {Function} onSetCallback
+ * @returns {Proxy}
+ */
+function watch(what, onSetCallback){
+	var proxies = new WeakMap(); //Object -> Proxy
+	var originals = new WeakMap(); //Proxy -> Object
+	var parents = new WeakMap(); //Object -> { parent: Object, key: String }
+
+	function getProxy(obj){
+		var proxy = proxies.get(obj);
+
+		if( !proxy ){
+			proxy = new Proxy(obj, handler);
+
+			proxies.set(obj, proxy);
+			originals.set(proxy, obj);
+		}
+
+		return proxy;
+	}
+
+	function getOriginal(value){
+		return (typeof value == 'object' && value != null && originals.get(value)) || value;
+	}
+
+	function getPath(obj, key){
+		var path = arguments.length > 1 ? [key] : [];
+		var link;
+
+		while( obj !== what && (link = parents.get(obj)) ){
+			path.unshift(link.key);
+			obj = link.parent;
+		}
+
+		return path;
+	}
+
+	function getArrayMutator(array, method_name){
+		return function(){
+			var args = _slice.call(arguments).map(getOriginal);
+
+			//Applied to the original array, so index & length changes are not reported separately
+			var result = _array_prototype[method_name].apply(array, args);
+			var path = getPath(array);
+
+			onSetCallback(path.length ? path[path.length - 1] : method_name, true, {
+				"path": path,
+				"type": method_name,
+				"value": array,
+				"args": args,
+				"result": result
+			});
+
+			return result === array ? getProxy(array) : result;
+		};
+	}
+
+	var handler = {
+		get: function(obj, key){
+			var destination = obj[key];
+
+			if( _watch_reads ) _watch_reads.push([ what, getPath(obj, _getPathKey(obj, key)).join(".") ]);
+
+			if( Object.prototype.hasOwnProperty.call(_array_mutators, key) && Array.isArray(obj) && destination === _array_prototype[key] ){
+				return getArrayMutator(obj, key);
+			}
+
+			if( typeof destination == 'object' && destination != null && !(destination instanceof CalDom) && key[0] != "_" ){
+				parents.set(destination, { parent: obj, key: _getPathKey(obj, key) });
+
+				return getProxy(destination);
+			}
+			else{
+				return destination;
+			}
+		},
+
+		set: function(obj, key, value){
+			var old_value = obj[key];
+
+			value = getOriginal(value);
+			obj[key] = value;
+
+			onSetCallback(key, true, {
+				"path": getPath(obj, _getPathKey(obj, key)),
+				"type": "set",
+				"old_value": old_value,
+				"value": value
+			});
+
+			return true;
+		},
+
+		deleteProperty: function(obj, key){
+			var old_value = obj[key];
+
+			delete obj[key];
+
+			onSetCallback(key, false, {
+				"path": getPath(obj, _getPathKey(obj, key)),
+				"type": "delete",
+				"old_value": old_value
+			});
+
+			return true;
+		}
+	};
+
+	return getProxy(what);
+}
+
+/**
+ * @private
+ * @description Core function of append/prepend.
+ * @see append() and prepend() for reference
+ * @param {any} element_or_elements_or_caldom
+ * @param {any} before_elem_or_caldom
+ * @param {Function} _insertFunc
+ */
+function insertBefore(element_or_elements_or_caldom, before_elem_or_caldom, _insertFunc){
+	if( before_elem_or_caldom instanceof CalDom ) before_elem_or_caldom = before_elem_or_caldom.elems[0];
+
+	// //TODO: Consider removing this because low pratical usage & the same can be acheived by .each()
+	// if( typeof element_or_elements_or_caldom_or_generator[0] == 'function' ){ //Generator function
+	// 	this.each(function(elem, i){
+	// 		var generated = element_or_elements_or_caldom_or_generator[0](elem, i);
+
+	// 		_insertFunc.call(
+	// 			elem,
+	// 			generated instanceof CalDom ? generated.elems[0] : generated,
+	// 			before_elem_or_caldom === undefined ? elem.firstChild : before_elem_or_caldom
+	// 		);
+	// 	});
+	// }
+	// else if(element_or_elements_or_caldom_or_generator.length != undefined){ //Can't we remove this?
+
+		for(var i = 0, len = element_or_elements_or_caldom.length; i < len; i++){
+			var this_item = element_or_elements_or_caldom[i];
+			if( !this_item ) continue;
+
+			var new_elems;
+
+			var is_caldom = !!this_item.elems;
+
+			if( is_caldom ){
+				this_item._willMount()
+
+				new_elems = this_item._v || this_item.elems;
+			}
+			else{
+				if( _isArrayLike(this_item) ){
+					new_elems = this_item;
+				 }
+				 else{
+					new_elems = [this_item];
+				 }
+			}
+
+			var elem = this.elems[0];
+			if( before_elem_or_caldom === undefined ) before_elem_or_caldom = elem.firstChild;
+
+			for( var elem_i = 0, new_elems_length = new_elems.length; elem_i < new_elems_length; elem_i++ ){
+				var new_elem = new_elems[elem_i];
+				if( !new_elem ) continue;
+
+				if( typeof new_elem != 'object' ){
+					new_elem = this._w.document.createTextNode( new_elem );
+				}
+
+				_insertFunc.call(
+					elem,
+					new_elem,
+					before_elem_or_caldom
+				);
+
+				if( _has_transitions ) _enterNode(new_elem);
+			}
+
+			if( is_caldom ){
+				this_item._v = null; //To prevent memory leaks
+				this_item._didMount()
+			}
+		}
+	// }
+
+	return this;
+}
+
+/**
+ * @private
+ * @description Core function of on(). Listeners are tracked at elem._listeners, so they can be removed precisely at off()
+ * and patched onto existing Nodes while diffing at react()/replace(). See _syncListeners().
+ * @param {Element} elem
+ * @param {String} event
+ * @param {String} [selector] CSS selector for delegated listeners
+ * @param {Function} handler
+ * @param {any} [options]
+ */
+function _addListener(elem, event, selector, handler, options){
+	var listener = selector ? _getDelegatedListener(elem, selector, handler) : handler;
+
+	(elem._listeners || (elem._listeners = [])).push({
+		event: event,
+		selector: selector,
+		handler: handler,
+		listener: listener,
+		options: options
+	});
+
+	elem.addEventListener(event, listener, options);
+}
+
+/**
+ * @private
+ * @description Core function of off(). Delegated handlers of the selector are all removed if the handler is not given.
+ * @param {Element} elem
+ * @param {Array<String>} events
+ * @param {String} [selector]
+ * @param {Function} [handler]
+ * @param {any} [options]
+ */
+function _removeListeners(elem, events, selector, handler, options){
+	var listeners = elem._listeners;
+	var event_i, events_len = events.length;
+
+	if( !selector ){ //Listeners might be added directly by addEventListener()
+		for( event_i = 0; event_i < events_len; event_i++ ){
+			elem.removeEventListener(events[event_i], handler, options);
+		}
+	}
+
+	if( !listeners ) return;
+
+	for( var i = 0; i < listeners.length; i++ ){
+		var item = listeners[i];
+
+		if(
+			item.selector == selector
+			&& events.indexOf(item.event) != -1
+			&& ( selector ? !handler || item.handler === handler : item.handler === handler && _isCapture(item.options) == _isCapture(options) )
+		){
+			if( selector ) elem.removeEventListener(item.event, item.listener, item.options);
+
+			listeners.splice(i, 1);
+			i--;
+		}
+	}
+}
+
+/**
+ * @private
+ * @param {any} options addEventListener's 3rd param
+ * @returns {Boolean}
+ */
+function _isCapture(options){
+	return !!( options && (options === true || options.capture) );
+}
+
+/**
+ * @private
+ * @description Patch listeners added by on() from a newly rendered Node onto the existing Node. (Add new, remove missing & keep the same ones)
+ * @param {Node} new_dom_node
+ * @param {Node} old_dom_node
+ */
+function _syncListeners(new_dom_node, old_dom_node){
+	var new_listeners = new_dom_node._listeners || [];
+	var old_listeners = old_dom_node._listeners || [];
+
+	var synced = [];
+	var kept = [];
+	var i, len;
+
+	for( i = 0, len = old_listeners.length; i < len; i++ ){
+		var old_item = old_listeners[i];
+		var new_index = _indexOfListener(new_listeners, old_item);
+
+		if( new_index == -1 || kept[new_index] ){
+			old_dom_node.removeEventListener(old_item.event, old_item.listener, old_item.options);
+		}
+		else{
+			kept[new_index] = true;
+			synced.push(old_item);
+		}
+	}
+
+	for( i = 0, len = new_listeners.length; i < len; i++ ){
+		if( kept[i] ) continue;
+
+		var new_item = new_listeners[i];
+		var listener = new_item.selector ? _getDelegatedListener(old_dom_node, new_item.selector, new_item.handler) : new_item.handler;
+
+		synced.push({
+			event: new_item.event,
+			selector: new_item.selector,
+			handler: new_item.handler,
+			listener: listener,
+			options: new_item.options
+		});
+
+		old_dom_node.addEventListener(new_item.event, listener, new_item.options);
+	}
+
+	old_dom_node._listeners = synced;
+}
+
+/**
+ * @private
+ * @param {Array<Object>} listeners
+ * @param {Object} item
+ * @returns {Number} Index of the matching listener. -1 if not found.
+ */
+function _indexOfListener(listeners, item){
+	for( var i = 0, len = listeners.length; i < len; i++ ){
+		var this_item = listeners[i];
+
+		if(
+			this_item.handler === item.handler
+			&& this_item.event == item.event
+			&& this_item.selector == item.selector
+			&& _isCapture(this_item.options) == _isCapture(item.options)
+		) return i;
+	}
+
+	return -1;
+}
+
+/**
+ * @private
+ * @description Walks from the event target up to the delegating element & calls the handler for each descendant matching the selector.
+ * Stops walking if the handler calls event.stopPropagation()
+ * @param {Element} elem Element with the actual listener
+ * @param {String} selector
+ * @param {Function} handler
+ * @returns {Function} Listener to be passed into addEventListener()
+ */
+function _getDelegatedListener(elem, selector, handler){
+
+	return function(e){
+		var target = e.target;
+
+		while( target && target !== elem ){
+
+			if( target.nodeType == 1 && target.matches(selector) ){
+				//currentTarget is a read-only getter of Event.prototype, shadowing it just for this handler call.
+				//Keys are quoted to survive property mangling (a non-configurable override can't be removed)
+				Object.defineProperty(e, "currentTarget", { "value": target, "configurable": true });
+				e["delegateTarget"] = elem;
+
+				try{
+					handler.call(target, e);
+				}
+				finally{
+					delete e["currentTarget"];
+				}
+
+				if( e.cancelBubble ) break;
+			}
+
+			target = target.parentNode;
+		}
+	};
+}
+
+/**
+ * @category Extensions
+ * @title _.q( query, parent_node )
+ * @description Call CalDom's query/create function directly using _.q(query)
+ * @param {String} query "+tag" creates a new Element. '<tag></tag>' creates specified HTML structure. ~svg_tag" creates a SVG element. Otherwise it can be a CSS Selector or an XPath query starting with "$"
+ * @param {Node} [parent_node] Treated as the parent node for CSS selector or XPath query. Otherwise, default to window.document. Can be a ShadowRoot. (See shadow())
+ * @returns {Array<Node>} Array with the new element or NodeList returned by the CSS selector or the XPath query
+ * (Shorten for query())
+ * @example
+ *
+ * //Get element with id "container-id" using its CSS selector
+ * var container = _.q("#container-id")[0];
+ *
+ * //Create a new <div> element
+ * var div = _.q("+div")[0];
+ *
+ * //Create a password input element using full HTML syntax
+ * var para = _.q( '<input type="password" placeholder="Type your password here" />' );
+ *
+ *  * //Create a new SVG element
+ * var svg_rectangle = _.q("~rect").attr({ width: 100, height: 100 })[0];
+ *
+ * //Get all <p> elements inside <article> using an XPath query
+ * var paragraphs_array = _.q("$//article/p");
+ */
+ function q(query, parent_node){
+	parent_node = parent_node || _window.document;
+
+	query = query.trim();
+
+	var first_char = query[0];
+
+	var doc = parent_node.ownerDocument || parent_node; //parent_node could be an Element or a ShadowRoot
+
+	if( first_char == "+" ) return [doc.createElement( query.substr(1) )];
+
+	if( first_char == "$" ){
+		var results = doc.evaluate(query.substr(1), parent_node, null, 0, null);
+		var elems = [];
+
+		var result = results.iterateNext();
+		while(result){
+			elems.push(result);
+			result = results.iterateNext();
+		}
+
+		return elems;
+	}
+
+	if( first_char == "<" ) return _slice.call( doc.createRange().createContextualFragment(query).childNodes );
+
+	// if( first_char == "`" ) return [parent_node.createTextNode( query.substr(1) )];
+
+	if( first_char == "~" ) return [doc.createElementNS( "http://www.w3.org/2000/svg", query.substr(1) )];
+
+	return _slice.call( parent_node.querySelectorAll(query) ); //Because (live?) NodeList enumeration is damn slow \_/ https://jsben.ch/1HYYe
+}
+
+/**
+ * @private
+ * @param {String|Array} values 
+ * @returns 
+ */
+function _getSpaceSeparatedArray(values){
+
+	return !Array.isArray(values) 
+		? values.split(" ") 
+		: values;
+}
+
+/**
+ * @private
+ * @param {*} obj 
+ * @returns {Boolean} 
+ */
+function _isArrayLike(obj){
+	return Array.isArray(obj)
+		|| (
+			obj
+			&& typeof obj != "string"
+			&& obj.length != undefined
+			&& obj.nodeType == undefined //Because <select> has a length property 🤷‍♂️
+		)
+}
+
+function _eachSingle(callback){
+	callback.call(this.elems[0], this.elems[0], 0);
+}
+
+function _eachMultiple(callback){
+
+	for(var i = 0, len = this.elems.length; i < len; i++){
+		if( callback.call(this.elems[i], this.elems[i], i) === false ) break;
+	}
+
+	return this;
+}
+
+/**
+ * @private
+ * @param {Element} elem
+ * @param {String} key
+ * @returns {Boolean} Whether it's an event handler property of the element like "onclick" (Not "online", "onlyMode", etc.). These are synced by react()/replace() diffing.
+ */
+function _isHandlerProp(elem, key){
+	return /^on[a-z]+$/.test(key) && key in elem;
+}
+
+function _propSingle(key_or_key_values, val_or_val_array, _is_internal_call){
+
+	if( !_is_internal_call && typeof key_or_key_values != 'string' ) {
+
+		for(var key in key_or_key_values){
+			this.elems[0][key] = key_or_key_values[key];
+			if( _isHandlerProp(this.elems[0], key) ) _markSynced(this.elems[0], key);
+		}
+	}
+	else if( val_or_val_array != undefined ) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.elems[0][key_or_key_values] = val_or_val_array[0];
+		}
+		else{
+			this.elems[0][key_or_key_values] = val_or_val_array;
+		}
+
+		if( !_is_internal_call && _isHandlerProp(this.elems[0], key_or_key_values) ) _markSynced(this.elems[0], key_or_key_values);
+
+		if( this.elems[0]["_model"] ) _updateModelStates(this, key_or_key_values);
+	}
+	else {
+		return [ this.elems[0][key_or_key_values]];
+	}
+
+	return this;
+}
+
+function _propMultiple(key_or_key_values, val_or_val_array, _is_internal_call){
+
+	if( !_is_internal_call && typeof key_or_key_values != 'string' ) {
+
+		this.each(function(elem){
+			for(var key in key_or_key_values){
+				elem[key] = key_or_key_values[key];
+				if( _isHandlerProp(elem, key) ) _markSynced(elem, key);
+			}
+		});
+	}
+	else if( val_or_val_array != undefined ) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.each(function(elem, i){
+				elem[key_or_key_values] = val_or_val_array[i];
+			});
+		}
+		else{
+			this.each(function(elem){
+				elem[key_or_key_values] = val_or_val_array;
+			});
+		}
+
+		if( !_is_internal_call ){
+			this.each(function(elem){
+				if( _isHandlerProp(elem, key_or_key_values) ) _markSynced(elem, key_or_key_values);
+			});
+		}
+
+		_updateModelStates(this, key_or_key_values);
+	}
+	else {
+
+		return this.map(function(elem){
+			return elem[key_or_key_values];
+		});
+	}
+
+	return this;
+}
+
+function _cssSingle(key_or_key_values, val_or_val_array){
+
+	if( typeof key_or_key_values != 'string' ) {
+		for(var key in key_or_key_values){
+			this.elems[0].style[key] = key_or_key_values[key];
+		}
+	}
+	else if( val_or_val_array != undefined ) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.elems[0].style[key_or_key_values] = val_or_val_array[0];
+		}
+		else{
+			this.elems[0].style[key_or_key_values] = val_or_val_array;
+		}
+	}
+	else {
+
+		return [ this.elems[0].style[key_or_key_values] ];
+	}
+
+	return this;
+}
+
+function _cssMultiple(key_or_key_values, val_or_val_array){
+
+	if( typeof key_or_key_values != 'string' ) {
+
+		this.each(function(elem){
+			for(var key in key_or_key_values){
+				elem.style[key] = key_or_key_values[key];
+			}
+		});
+	}
+	else if( val_or_val_array != undefined ) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.each(function(elem, i){
+				elem.style[key_or_key_values] = val_or_val_array[i];
+			});
+		}
+		else{
+			this.each(function(elem){
+				elem.style[key_or_key_values] = val_or_val_array;
+			});
+		}
+	}
+	else {
+
+		return this.map(function(elem){
+			return elem.style[key_or_key_values];
+		});
+	}
+
+	return this;
+}
+
+function _attrSingle(key_or_key_values, val_or_val_array){
+
+	if( typeof key_or_key_values != 'string' ) {
+		for(var key in key_or_key_values){
+			this.elems[0].setAttribute( key, key_or_key_values[key] );
+		}
+	}
+	else if(arguments.length == 2) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.elems[0].setAttribute(key_or_key_values, val_or_val_array[0]);
+		}
+		else{
+			this.elems[0].setAttribute(key_or_key_values, val_or_val_array);
+		}
+	}
+	else {
+
+		return [ this.elems[0].getAttribute(key_or_key_values) ];
+
+	}
+
+	return this;
+}
+
+function _attrMultiple(key_or_key_values, val_or_val_array){
+
+	if( typeof key_or_key_values != 'string' ) {
+		this.each(function(elem){
+			for(var key in key_or_key_values){
+				elem.setAttribute( key, key_or_key_values[key] );
+			}
+		});
+	}
+	else if(arguments.length == 2) {
+
+		if( Array.isArray(val_or_val_array) ){
+			this.each(function(elem, i){
+				elem.setAttribute(key_or_key_values, val_or_val_array[i]);
+			});
+		}
+		else{
+			this.each(function(elem){
+				elem.setAttribute(key_or_key_values, val_or_val_array);
+			});
+		}
+	}
+	else {
+
+		return this.map(function(elem){
+			return elem.getAttribute(key_or_key_values);
+		});
+
+	}
+
+	return this;
+}
+
+function _addClassListElem(elem, classes){
+	for( var class_i = 0, class_len = classes.length; class_i < class_len; class_i++ ){
+		elem.classList.add( classes[class_i] );
+	}
+}
+
+function _addClassSingle(class_names){
+	var classes = _getSpaceSeparatedArray(class_names);
+
+	_addClassListElem( this.elems[0], classes );
+
+	return this;
+}
+
+function _addClassMultiple(class_names){
+
+	this.each(function(elem){
+		_addClassListElem( elem, _getSpaceSeparatedArray(class_names) );
+	});
+
+	return this;
+}
+
+function _removeClassListElem(elem, classes){
+	for( var class_i = 0, class_len = classes.length; class_i < class_len; class_i++ ){
+		elem.classList.remove( classes[class_i] );
+	}
+}
+
+function _removeClassSingle(class_names){
+
+	_removeClassListElem( this.elems[0], _getSpaceSeparatedArray(class_names) );		
+
+	return this;
+}
+
+function _removeClassMultiple(class_names){
+	var classes = _getSpaceSeparatedArray(class_names);
+
+	this.each(function(elem){
+		_removeClassListElem(elem, classes);		
+	});
+
+	return this;
+}
+
+function _mapSingle(callback){
+	return [ callback(this.elems[0], 0) ];
+}
+
+function _mapMultiple(callback){
+	var output = [];
+
+	for(var i = 0, len = this.elems.length; i < len; i++){
+		output.push( callback(this.elems[i], i) );
+	}
+
+	return output;
+}
+
+function _findSingle(selector_or_xpath){
+	return new CalDom( q(selector_or_xpath, this.elems[0]), undefined, this._w );
+}
+
+function _findMultiple(selector_or_xpath){
+	var output = this.map(function(elem){
+		return _slice.call( q(selector_or_xpath, elem) );
+	});
+
+	return new CalDom( _array_prototype.concat.apply([], output), undefined, this._w );
+}
+
+/**
+ * @private
+ * @description Compiled _.html templates by their static strings (unique per call site)
+ */
+var _html_templates = typeof WeakMap != 'undefined' ? new WeakMap() : null;
+
+/**
+ * @private
+ * @description Matches value markers placed in attribute values while compiling _.html templates
+ */
+var _html_marker_regex = /\{\{caldom:(\d+)\}\}/g;
+
+/**
+ * @private
+ * @description Elements with raw text content. Comments can't be placed inside them, so values are marked with the same markers as attribute values
+ */
+var _html_raw_text_tags = { "textarea": 1, "title": 1, "style": 1, "script": 1 };
+
+/**
+ * @private
+ * @description Parse static strings of a _.html template once. Interpolated values are marked with comments (child positions) & markers (attribute values & raw text content).
+ * @param {Array<String>} strings Static strings of the tagged template
+ * @returns {Object} { template: HTMLTemplateElement, parts: Array<Object>, is_single_root: Boolean, key_part: Object|null }
+ */
+function _compileHtmlTemplate(strings){
+	var html = "";
+	var attribute_names = {}; //Case-sensitive names. Eg: ".textContent"
+	var in_tag = false;
+	var quote = null;
+	var tag_name = "";
+	var raw_text_tag = null; //Eg: "textarea" while inside <textarea>...</textarea>
+
+	for( var i = 0, len = strings.length; i < len; i++ ){
+		var string = i == 0 ? strings[i].replace(/^\s+/, "") : strings[i];
+		if( i == len - 1 ) string = string.replace(/\s+$/, "");
+
+		for( var char_i = 0; char_i < string.length; char_i++ ){
+			var char = string[char_i];
+
+			if( raw_text_tag ){ //Only the closing tag ends raw text
+				if( char == "<" && string.substr(char_i, raw_text_tag.length + 2).toLowerCase() == "</" + raw_text_tag ){
+					raw_text_tag = null;
+					tag_name = "";
+					in_tag = true;
+				}
+			}
+			else if( !in_tag ){
+				if( char == "<" && /[a-zA-Z!\/]/.test(string[char_i + 1] || "") ){
+					in_tag = true;
+					tag_name = (/^[a-zA-Z][^\s\/>]*/.exec( string.substr(char_i + 1) ) || [ "" ])[0].toLowerCase();
+				}
+			}
+			else if( quote ){
+				if( char == quote ) quote = null;
+			}
+			else if( char == '"' || char == "'" ){
+				quote = char;
+			}
+			else if( char == ">" ){
+				in_tag = false;
+
+				if( _html_raw_text_tags[tag_name] && string[char_i - 1] != "/" ) raw_text_tag = tag_name;
+			}
+		}
+
+		html += string;
+
+		if( i == len - 1 ) break;
+
+		if( in_tag ){
+			var name_match = /([^\s"'<>\/=]+)\s*=\s*["']?$/.exec(string);
+			if( name_match ) attribute_names[i] = name_match[1];
+
+			html += quote ? "{{caldom:" + i + "}}" : '"{{caldom:' + i + '}}"';
+		}
+		else if( raw_text_tag ){
+			html += "{{caldom:" + i + "}}"; //Kept as text. A comment would be rendered as text too
+		}
+		else{
+			html += "<!--caldom:" + i + "-->";
+		}
+	}
+
+	var template = _window.document.createElement("template");
+
+	if( !template.content ){
+		throw new Error("_.html requires HTML parsing (<template> content), which the built-in server DOM doesn't support. Use _.h() or _('+tag') instead, or set a JS-DOM window with _.setWindow().");
+	}
+
+	template.innerHTML = html;
+
+	var parts = [];
+	_collectHtmlTemplateParts(template.content, [], parts, attribute_names);
+
+	var root_nodes = template.content.childNodes;
+
+	return {
+		template: template,
+		parts: parts,
+		is_single_root: root_nodes.length == 1 && root_nodes[0].nodeType == 1,
+		key_part: parts.filter(function(part){ return part.path.length == 1 && part.attribute == "caldom-key"; })[0] || null
+	};
+}
+
+/**
+ * @private
+ * @description Find Nodes & attributes with value markers. Paths are child indexes from the template content.
+ */
+function _collectHtmlTemplateParts(node, path, parts, attribute_names){
+	var child_nodes = node.childNodes;
+
+	for( var i = 0; i < child_nodes.length; i++ ){
+		var child = child_nodes[i];
+		var child_path = path.concat(i);
+
+		if( child.nodeType == 8 ){
+			var comment_match = /^caldom:(\d+)$/.exec(child.nodeValue);
+			if( comment_match ) parts.push({ path: child_path, index: +comment_match[1] });
+		}
+		else if( child.nodeType == 1 ){
+			if( _html_raw_text_tags[ child.localName ] ){
+				var text_segments = child.textContent.split(_html_marker_regex);
+				if( text_segments.length > 1 ) parts.push({ path: child_path, text: true, segments: text_segments });
+			}
+
+			for( var attr_i = 0; attr_i < child.attributes.length; attr_i++ ){
+				var attr = child.attributes[attr_i];
+				var segments = attr.value.split(_html_marker_regex); //[ static, index, static, index, ..., static ]
+
+				if( segments.length == 1 ) continue;
+
+				var is_single_value = segments.length == 3 && segments[0] == "" && segments[2] == "";
+
+				parts.push({
+					path: child_path,
+					attribute: attr.name,
+					name: is_single_value ? (attribute_names[ segments[1] ] || attr.name) : attr.name,
+					segments: segments,
+					is_single_value: is_single_value
+				});
+			}
+
+			_collectHtmlTemplateParts(child, child_path, parts, attribute_names);
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Apply an interpolated value to an attribute position of a _.html template.
+ * on* attributes with functions are added as listeners, ".name" sets a property & others set attributes.
+ * @param {Element} elem
+ * @param {Object} part Attribute part of the compiled template
+ * @param {Array} values Interpolated values
+ * @param {Array} [old_values] (Optional) Previously applied values. Only changed values are applied if given. See _patchHtmlTemplate()
+ */
+function _setHtmlTemplateAttribute(elem, part, values, old_values){
+	if( !old_values ) elem.removeAttribute(part.attribute); //Removing the marker
+
+	var segments = part.segments;
+
+	if( part.is_single_value ){
+		var name = part.name;
+		var value = values[ segments[1] ];
+		var old_value = old_values && old_values[ segments[1] ];
+
+		if( name[0] == "." ){ //Comparing with the current property, because it might be changed by the user. Eg: value of an <input>
+			if( elem[ name.substr(1) ] !== value ) elem[ name.substr(1) ] = value;
+			_markSynced(elem, name.substr(1));
+
+			return;
+		}
+
+		if( old_values && value === old_value ) return;
+
+		if( name.indexOf("on") == 0 && (typeof value == 'function' || typeof old_value == 'function') ){
+			var event = name.substr(2).toLowerCase();
+
+			if( typeof old_value == 'function' ) _removeListeners(elem, [event], undefined, old_value);
+			if( typeof value == 'function' ) _addListener(elem, event, undefined, value);
+		}
+		else if( value === true ){
+			elem.setAttribute(name, "");
+		}
+		else if( value !== false && value != null ){
+			elem.setAttribute(name, value);
+		}
+		else if( old_values ){
+			elem.removeAttribute(name);
+		}
+
+		return;
+	}
+
+	if( old_values && !_isHtmlTemplateSegmentChanged(segments, values, old_values) ) return;
+
+	elem.setAttribute(part.name, _joinHtmlTemplateSegments(segments, values));
+}
+
+/**
+ * @private
+ * @description Apply interpolated values to the raw text content of a _.html template element. Eg: <textarea>${ value }</textarea>
+ * Values are set as text (Not parsed as HTML).
+ * @param {Element} elem
+ * @param {Object} part Text part of the compiled template
+ * @param {Array} values Interpolated values
+ * @param {Array} [old_values] (Optional) Previously applied values. Only applied if a value is changed. See _patchHtmlTemplate()
+ */
+function _setHtmlTemplateText(elem, part, values, old_values){
+	if( old_values && !_isHtmlTemplateSegmentChanged(part.segments, values, old_values) ) return;
+
+	elem.textContent = _joinHtmlTemplateSegments(part.segments, values);
+}
+
+/**
+ * @private
+ * @param {Array} segments [ static, index, static, index, ..., static ]. See _collectHtmlTemplateParts()
+ * @param {Array} values
+ * @param {Array} old_values
+ * @returns {Boolean} Whether any value of the segments is changed
+ */
+function _isHtmlTemplateSegmentChanged(segments, values, old_values){
+	for( var i = 1; i < segments.length; i += 2 ){
+		if( values[ segments[i] ] !== old_values[ segments[i] ] ) return true;
+	}
+
+	return false;
+}
+
+/**
+ * @private
+ * @param {Array} segments [ static, index, static, index, ..., static ]. See _collectHtmlTemplateParts()
+ * @param {Array} values Interpolated values
+ * @returns {String}
+ */
+function _joinHtmlTemplateSegments(segments, values){
+	var output = "";
+
+	for( var i = 0; i < segments.length; i++ ){
+		var segment = i % 2 == 0 ? segments[i] : values[ segments[i] ];
+		output += segment == null ? "" : segment;
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @description Flatten interpolated child values of a _.html template. Numbers are converted to text. null, undefined & booleans are ignored.
+ * @returns {Array<CalDom | Node | String>}
+ */
+function _flattenHtmlTemplateChildren(value, output){
+	if( value == null || typeof value == 'boolean' ) return output;
+
+	if( Array.isArray(value) ){
+		for( var i = 0; i < value.length; i++ ) _flattenHtmlTemplateChildren(value[i], output);
+	}
+	else{
+		output.push( typeof value == 'object' ? value : String(value) );
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @description Create Nodes of a compiled _.html template & apply values.
+ * A single root element remembers its dynamic parts (slots) at _template_instance ({ compiled, values, slots }), so re-rendering the same template patches only them. See _patchHtmlTemplate()
+ * @param {Object} compiled See _compileHtmlTemplate()
+ * @param {Array} values Interpolated values
+ * @returns {Array<Node>} Root Nodes
+ */
+function _renderHtmlTemplate(compiled, values){
+	var doc = _window.document;
+	var fragment = doc.importNode(compiled.template.content, true);
+	var parts = compiled.parts;
+	var part_nodes = [];
+	var slots = [];
+	var i;
+
+	//Resolving all Nodes first, because inserting values changes child indexes
+	for( i = 0; i < parts.length; i++ ){
+		var node = fragment;
+
+		for( var path_i = 0; path_i < parts[i].path.length; path_i++ ){
+			node = node.childNodes[ parts[i].path[path_i] ];
+		}
+
+		part_nodes.push(node);
+	}
+
+	for( i = 0; i < parts.length; i++ ){
+		var part = parts[i];
+		var part_node = part_nodes[i];
+
+		if( part.attribute ){
+			_setHtmlTemplateAttribute(part_node, part, values);
+
+			slots.push({ part: part, node: part_node });
+		}
+		else if( part.text ){
+			_setHtmlTemplateText(part_node, part, values);
+
+			slots.push({ part: part, node: part_node });
+		}
+		else{
+			var parent_node = part_node.parentNode;
+			var previous_sibling = part_node.previousSibling;
+			var slot_nodes = [];
+
+			insertBefore.call( new CalDom( parent_node ), _flattenHtmlTemplateChildren(values[ part.index ], []), part_node, _insertFunc_insertBefore );
+
+			for( var slot_node = previous_sibling ? previous_sibling.nextSibling : parent_node.firstChild; slot_node != part_node; slot_node = slot_node.nextSibling ){
+				slot_nodes.push(slot_node);
+			}
+
+			if( slot_nodes.length ){
+				parent_node.removeChild(part_node);
+			}
+			else{ //An empty Text Node keeps the position of an empty slot
+				var placeholder = doc.createTextNode("");
+
+				parent_node.replaceChild(placeholder, part_node);
+				slot_nodes.push(placeholder);
+			}
+
+			slots.push({ part: part, nodes: slot_nodes });
+		}
+	}
+
+	var roots = _slice.call(fragment.childNodes);
+
+	if( roots.length == 1 && roots[0].nodeType == 1 ){
+		roots[0]._template_instance = { compiled: compiled, values: values, slots: slots };
+	}
+
+	return roots;
+}
+
+/**
+ * @private
+ * @description Replace the lazy elems of a _.html output with a plain property. See _.html
+ * @param {CalDom} caldom
+ * @param {Array<Node>} elems
+ * @returns {Array<Node>} elems
+ */
+function _setHtmlTemplateElems(caldom, elems){
+	caldom._template = null; //Nodes might be changed from here on, so they can't be skipped while diffing
+
+	Object.defineProperty(caldom, "elems", { "value": elems, "writable": true, "enumerable": true, "configurable": true });
+
+	return elems;
+}
+
+/**
+ * @private
+ * @param {Object} template { compiled, values } of a _.html output or a template instance
+ * @returns {String|null} caldom-key of the root element
+ */
+function _getHtmlTemplateKey(template){
+	var key_part = template.compiled.key_part;
+
+	return key_part ? _joinHtmlTemplateSegments(key_part.segments, template.values) : null;
+}
+
+/**
+ * @private
+ * @description Check whether an existing Node is the root of the same template (& key), so it can be patched by _patchHtmlTemplate()
+ * @param {Object} template { compiled, values } of a _.html output or a template instance
+ * @param {Node} node Existing Node
+ * @param {CalDom} [handler] Expected component handler (_h) of the Node
+ * @returns {Boolean}
+ */
+function _canPatchHtmlTemplate(template, node, handler){
+	var instance = node && node._template_instance;
+
+	return !!instance
+		&& instance.compiled === template.compiled
+		&& node["_h"] === handler
+		&& _getHtmlTemplateKey(instance) === _getHtmlTemplateKey(template);
+}
+
+/**
+ * @private
+ * @description Patch an existing _.html template root using a newly created root of the same template, instead of diffing the whole tree. Used by _replace() & _copyProps()
+ * @param {Node} new_dom_node Newly rendered Node
+ * @param {Node} old_dom_node Existing Node with a _template_instance
+ * @returns {Boolean} Whether it's patched
+ */
+function _patchHtmlTemplateRoot(new_dom_node, old_dom_node){
+	var new_instance = new_dom_node._template_instance;
+
+	if( new_instance && _canPatchHtmlTemplate(new_instance, old_dom_node, new_dom_node["_h"]) ){
+		_patchHtmlTemplate(old_dom_node._template_instance, new_instance.values);
+
+		return true;
+	}
+
+	old_dom_node._template_instance = null; //Slots might be changed by diffing from here on
+
+	return false;
+}
+
+/**
+ * @private
+ * @description Apply new values to an existing template instance. Only slots with changed values are touched & no Nodes are created for unchanged structure.
+ * @param {Object} instance Template instance. See _renderHtmlTemplate()
+ * @param {Array} values New interpolated values
+ */
+function _patchHtmlTemplate(instance, values){
+	var old_values = instance.values;
+	var slots = instance.slots;
+
+	for( var i = 0, len = slots.length; i < len; i++ ){
+		var slot = slots[i];
+		var part = slot.part;
+
+		if( part.attribute ){
+			_setHtmlTemplateAttribute(slot.node, part, values, old_values);
+			continue;
+		}
+
+		if( part.text ){
+			_setHtmlTemplateText(slot.node, part, values, old_values);
+			continue;
+		}
+
+		var value = values[ part.index ];
+
+		if( value === old_values[ part.index ] && (value === null || typeof value != 'object') ) continue; //Same primitive value
+
+		slot.nodes = _patchHtmlTemplateSlot(slot.nodes, value);
+	}
+
+	instance.values = values;
+}
+
+/**
+ * @private
+ * @description Update Nodes of a child slot. Text Nodes & roots of the same template are patched in place in order.
+ * The rest are created & diffed by _reconcileNodes() (or _replaceKeyedChildren() if the slot holds all keyed children of its parent)
+ * @param {Array<Node>} old_nodes Existing Nodes of the slot (At least 1. An empty Text Node for an empty slot)
+ * @param {any} value New value
+ * @returns {Array<Node>} Mounted Nodes of the slot
+ */
+function _patchHtmlTemplateSlot(old_nodes, value){
+	var items = _flattenHtmlTemplateChildren(value, []);
+	var parent_node = old_nodes[0].parentNode;
+	var len = items.length;
+	var i = 0;
+
+	for( ; i < len && i < old_nodes.length; i++ ){
+		var item = items[i];
+		var old_node = old_nodes[i];
+
+		if( typeof item == 'string' && old_node.nodeType == 3 ){
+			if( old_node.nodeValue !== item ) old_node.nodeValue = item;
+		}
+		else if( item._template && _canPatchHtmlTemplate(item._template, old_node) ){
+			_patchHtmlTemplate(old_node._template_instance, item._template.values);
+		}
+		else{
+			break;
+		}
+	}
+
+	if( i == len && i == old_nodes.length ) return old_nodes;
+
+	var doc = parent_node.ownerDocument;
+	var fragment = doc.createDocumentFragment();
+
+	insertBefore.call( new CalDom( fragment ), items.slice(i), null, _insertFunc_appendChild );
+
+	if( !fragment.firstChild && i == 0 ) fragment.appendChild( doc.createTextNode("") ); //Keeping the position of the empty slot
+
+	var new_nodes = _slice.call(fragment.childNodes);
+	var mounted_nodes = old_nodes.slice(0, i);
+
+	if( parent_node.childNodes.length == old_nodes.length && _isKeyedParent(fragment.firstChild ? fragment : parent_node) ){
+		_replaceKeyedChildren( mounted_nodes.concat(new_nodes), parent_node );
+
+		return _slice.call(parent_node.childNodes);
+	}
+
+	if( i < old_nodes.length ){
+		return mounted_nodes.concat( _reconcileNodes(parent_node, new_nodes, old_nodes.slice(i)) );
+	}
+
+	var next_sibling = old_nodes[i - 1].nextSibling;
+
+	for( var new_i = 0; new_i < new_nodes.length; new_i++ ){
+		mounted_nodes.push( parent_node.insertBefore(new_nodes[new_i]._original_root || new_nodes[new_i], next_sibling) );
+	}
+
+	return mounted_nodes;
+}
+
+var _svg_namespace = "http://www.w3.org/2000/svg";
+
+/**
+ * @private
+ * @description Tags created in the SVG namespace by _.h() even before they're appended to an <svg>
+ */
+var _svg_tags = {};
+
+"svg g defs symbol use path rect circle ellipse line polyline polygon text tspan textPath linearGradient radialGradient stop clipPath mask pattern marker foreignObject filter feBlend feColorMatrix feComposite feFlood feGaussianBlur feImage feMerge feMergeNode feMorphology feOffset feTurbulence animate animateMotion animateTransform".split(" ").forEach(function(tag){
+	_svg_tags[tag] = 1;
+});
+
+/**
+ * @private
+ * @description Props set as properties by _.h() instead of attributes
+ */
+var _h_props = { "value": 1, "checked": 1, "selected": 1, "indeterminate": 1 };
+
+/**
+ * @private
+ * @description Map _.h() props onto an element. See _.h()
+ * @param {Element} elem
+ * @param {Object} props
+ */
+function _setHyperscriptProps(elem, props){
+	for( var name in props ){
+		var value = props[name];
+
+		if( name == "children" || name == "ref" ) continue;
+
+		if( name == "key" ){
+			elem.setAttribute("caldom-key", value);
+		}
+		else if( name.indexOf("on") == 0 && typeof value == 'function' ){
+			_addListener(elem, name.substr(2).toLowerCase(), undefined, value);
+		}
+		else if( name == "style" && typeof value == 'object' ){
+			for( var style_key in value ) elem.style[style_key] = value[style_key]; //Same as css()
+		}
+		else if( _h_props[name] || name[0] == "." ){
+			var prop_name = name[0] == "." ? name.substr(1) : name;
+
+			elem[prop_name] = value;
+			_markSynced(elem, prop_name);
+		}
+		else if( value === true ){
+			elem.setAttribute(name == "className" ? "class" : name == "htmlFor" ? "for" : name, "");
+		}
+		else if( value !== false && value != null ){
+			elem.setAttribute(name == "className" ? "class" : name == "htmlFor" ? "for" : name, value);
+		}
+	}
+}
+
+/**
+ * @private
+ * @description Re-create HTML namespaced descendants of an SVG element in the SVG namespace. (Children are created before their <svg> parent in JSX)
+ * Attributes, children & listeners added by on() are moved. Descendants of <foreignObject> are kept as HTML.
+ * @param {Element} svg_elem
+ */
+function _convertToSvgChildren(svg_elem){
+	var children = _slice.call(svg_elem.children);
+
+	for( var i = 0; i < children.length; i++ ){
+		var child = children[i];
+
+		if( child.namespaceURI != _svg_namespace ){
+			var svg_child = child.ownerDocument.createElementNS(_svg_namespace, child.localName);
+
+			for( var attr_i = 0; attr_i < child.attributes.length; attr_i++ ){
+				svg_child.setAttribute( child.attributes[attr_i].name, child.attributes[attr_i].value );
+			}
+
+			while( child.firstChild ) svg_child.appendChild(child.firstChild);
+
+			for( var listener_i = 0; child._listeners && listener_i < child._listeners.length; listener_i++ ){
+				var listener = child._listeners[listener_i];
+				_addListener(svg_child, listener.event, listener.selector, listener.handler, listener.options);
+			}
+
+			if( child["_h"] ){ //Root of a nested component
+				svg_child["_h"] = child["_h"];
+				_updateComponentRoot(child, svg_child);
+			}
+
+			svg_elem.replaceChild(svg_child, child);
+			child = svg_child;
+		}
+
+		if( child.localName != "foreignObject" ) _convertToSvgChildren(child);
+	}
+}
+
+/**
+ * @private
+ * @description Core function of _.h() & _.jsx()
+ * @param {String | Function} tag
+ * @param {Object} props
+ * @param {Array} children Flattened children
+ * @returns {CalDom}
+ */
+function _createHyperscript(tag, props, children){
+	if( typeof tag == 'function' ){
+		var component_props = {};
+		for( var name in props ) component_props[name] = props[name];
+		component_props["children"] = children;
+
+		if( tag.prototype instanceof CalDom ) return new tag(component_props);
+
+		var output = tag(component_props);
+		return output instanceof CalDom ? output : new CalDom(output);
+	}
+
+	var doc = _window.document;
+	var is_svg = tag[0] == "~" || _svg_tags[tag];
+	var elem = is_svg ? doc.createElementNS(_svg_namespace, tag.replace(/^~/, "")) : doc.createElement(tag);
+
+	_setHyperscriptProps(elem, props);
+
+	var output_caldom = new CalDom(elem, children);
+
+	if( is_svg && elem.localName != "foreignObject" ) _convertToSvgChildren(elem);
+
+	if( typeof props["ref"] == 'function' ) props["ref"](output_caldom);
+
+	return output_caldom;
+}
+
+/**
+ * @private
+ * @param {String} attribute_name Eg: "due-date"
+ * @returns {String} camelCase state key. Eg: "dueDate"
+ */
+function _attributeToStateKey(attribute_name){
+	return attribute_name.replace(/-([a-z])/g, function(match, char){
+		return char.toUpperCase();
+	});
+}
+
+var calDom = function(selector_xpath_caldom_elems, children, parentWindow){
+	return new CalDom( selector_xpath_caldom_elems, children, parentWindow );
+};
+
+//Attaching q() directly, so it can be accessed without initiating a new CalDom instance. Eg: _.q("#container-id") or _.q("+div") or _.q("$//article/p")
+calDom["q"] = q;
+
+//Attaching CalDom constructor directly. So it can be sub-classed as a Component
+/**
+ * @category Extensions
+ * @title _.Component.prototype
+ * @description Extend and modify core functionality of CalDom by accessing its prototype.
+ * @example
+ *
+ * //Adding a custom core function
+ * _.Component.prototype.customFunction = function(){
+ * 		for( var i = 0, count = this.elems.length; i < count; i++ ){
+ * 			//Do something
+ * 		}
+ * }
+ */
+calDom["Component"] = CalDom;
+
+/**
+ * @category Extensions
+ * @title _.version: String
+ * @description Get version of CalDom.
+ * @example
+ *
+ * var version = _.version;
+ */
+ calDom["version"] = "1.0.6"
+
+/**
+ * @category Extensions
+ * @title _.store( state, options )
+ * @description Create a shared state store that multiple reactive components can subscribe to via connect() or config.stores at react().
+ * store.state is watched using a Proxy, same as a component's state. Changing it re-renders only the connected components whose selected slice changed.
+ * @param {Object} state Initial state object.
+ * @param {Object} [options] (Optional)
+ * @param {Object} [options.actions] (Optional) { name: function(state, ...args){}, ... }. Available as store.actions.name(...args) with the state as the first argument.
+ * @returns {Object} { state: Proxy, actions: Object, subscribe: Function }
+ * subscribe(callback, selector) executes callback(selected_value, change, store) synchronously at every change affecting the selector & returns an unsubscribe function.
+ * Changes are skipped if the selector returns the same primitive value as before. (Eg: (state) => state.count > 5)
+ * @example
+ *
+ * var todo_store = _.store(
+ * 		{ todos: [], filter: "all" },
+ * 		{
+ * 			actions: {
+ * 				add: (state, text) => state.todos.push( { text: text, done: false } ),
+ * 				setFilter: (state, filter) => state.filter = filter
+ * 			}
+ * 		}
+ * );
+ *
+ * var list = _().react( {}, {
+ * 		stores: [ [ todo_store, (state) => state.todos ] ],
+ * 		render: () => _("+ul", todo_store.state.todos.map( (todo) => _("+li", [ todo.text ]) ) )
+ * } );
+ *
+ * var filter_label = _().react( {}, {
+ * 		stores: [ [ todo_store, (state) => state.filter ] ],
+ * 		render: () => _("+span", [ todo_store.state.filter ])
+ * } );
+ *
+ * todo_store.actions.add( "Buy milk" ); //Only the list is re-rendered
+ */
+calDom["store"] = function(state, options){
+	var actions = (options && options["actions"]) || {};
+	var subscribers = [];
+
+	var store = {
+		_raw_state: state,
+
+		"actions": {},
+
+		"subscribe": function(callback, selector){
+			var subscriber = { callback: callback, selector: selector, deps: [], value: undefined };
+
+			if( selector ) _evaluateStoreSelector(subscriber, store["state"]);
+
+			subscribers.push(subscriber);
+
+			return function(){
+				var index = subscribers.indexOf(subscriber);
+				if( index > -1 ) subscribers.splice(index, 1);
+			};
+		}
+	};
+
+	store["state"] = watch(state, function(key, is_available, change){
+		var current_subscribers = subscribers.slice(); //Subscribers might unsubscribe while iterating
+
+		for( var i = 0; i < current_subscribers.length; i++ ){
+			var subscriber = current_subscribers[i];
+
+			if( _isStoreSubscriberAffected(subscriber, state, change["path"]) ){
+
+				if( subscriber.selector ){
+					var old_value = subscriber.value;
+
+					_evaluateStoreSelector(subscriber, store["state"]); //Dependencies might change. Eg: state.lists[ state.selected ]
+
+					//Same result. Eg: (state) => state.count > 5. Objects are compared by content changes (read paths) as they're mutated in place
+					if( subscriber.value === old_value && (typeof old_value != 'object' || old_value === null) ) continue;
+				}
+
+				subscriber.callback(subscriber.value, change, store);
+			}
+		}
+	});
+
+	for( var name in actions ){
+		store["actions"][name] = (function(action){
+			return function(){
+				return action.apply(store, [ store["state"] ].concat( _slice.call(arguments) ));
+			};
+		})(actions[name]);
+	}
+
+	return store;
+};
+
+/**
+ * @category Extensions
+ * @title _.validators
+ * @description Built-in rule factories for validate(). Each returns a rule function. Empty values (except for required()) are considered valid.
+ * message is optional in all of them.
+ * required(message), minLength(length, message), maxLength(length, message), pattern(regex, message), min(number, message), max(number, message)
+ * minLength() & maxLength() also check the number of selected values of checkbox groups & <select multiple>
+ * @example
+ *
+ * var v = _.validators;
+ *
+ * _("form").validate( {
+ * 		name: [ v.required("Name is required"), v.maxLength(50) ],
+ * 		age: [ v.min(18, "Adults only") ],
+ * 		zip: v.pattern( /^\d{5}$/ )
+ * } );
+ */
+calDom["validators"] = {
+	"required": function(message){
+		return function(value){
+			if( _isEmptyFormValue(value) ) return message || "This field is required";
+		};
+	},
+
+	"minLength": function(length, message){
+		return function(value){
+			if( !_isEmptyFormValue(value) && value.length < length ) return message || "Enter at least " + length + " characters";
+		};
+	},
+
+	"maxLength": function(length, message){
+		return function(value){
+			if( !_isEmptyFormValue(value) && value.length > length ) return message || "Enter at most " + length + " characters";
+		};
+	},
+
+	"pattern": function(regex, message){
+		return function(value){
+			regex.lastIndex = 0; //test() of global/sticky regexes continues from the last match
+
+			if( !_isEmptyFormValue(value) && !regex.test(value) ) return message || "Invalid format";
+		};
+	},
+
+	"min": function(number, message){
+		return function(value){
+			if( !_isEmptyFormValue(value) && Number(value) < number ) return message || "Enter " + number + " or more";
+		};
+	},
+
+	"max": function(number, message){
+		return function(value){
+			if( !_isEmptyFormValue(value) && Number(value) > number ) return message || "Enter " + number + " or less";
+		};
+	}
+};
+
+/**
+ * @private
+ * @param {any} value Serialized value of a field
+ * @returns {Boolean}
+ */
+function _isEmptyFormValue(value){
+	return value == null || value === "" || (Array.isArray(value) && !value.length);
+}
+
+/**
+ * @category Extensions
+ * @title _.router( options )
+ * @description Client side router for single page apps. Matches the current URL against routes & mounts the route component into the outlet via append(). The previous route component is removed via remove(), so lifecycle hooks are fired as usual.
+ * Route patterns support :params (Eg: "/users/:id") & a * wildcard (Eg: "*" for a not found page). Routes are matched in the given order. The query string is parsed into an object (Bracket names are nested, same as serialize()).
+ * A route can be a component or { component, beforeEnter, children }. A component is a _.Component subclass (constructed with the route) or a function(route) returning a CalDom instance, a Node, or a Promise of them/a component (Eg: () => import("./page.js"). Default exports are used). Resolved lazy components are cached.
+ * children are nested routes with patterns relative to the parent. Child components are mounted into the element with a caldom-outlet attribute inside the parent component (or its root element). Elements with a caldom-outlet attribute keep their children while the parent is re-rendered.
+ * Components of parent routes with the same params are kept while navigating between their children.
+ * beforeEnter(to, from, router) is called before entering a route (including parents). Return false (or a Promise of it) to cancel the navigation or a path to redirect. A navigation fails after 10 redirects (Eg: a parent route redirecting to its own child).
+ * Clicks on <a data-link href="..."> anywhere in the document are navigated by the router (unless a modifier key is pressed, the link has a target or the href is an absolute URL. Eg: "https://..." or "mailto:...").
+ * Errors thrown by guards, lazy components & mounting cancel the navigation (the location is restored) & are passed to _.onError() with the "navigate" phase.
+ * @param {Object} options
+ * @param {Object} options.routes { pattern: component | { component, beforeEnter, children }, ... }
+ * @param {String} [options.mode="history"] (Optional) "history" to use the path of the URL (History API) or "hash" to use the URL fragment. Eg: "/#/users/1"
+ * @param {String} [options.base] (Optional) Base path of the app in history mode. Eg: "/app"
+ * @param {Node | String | CalDom} [options.outlet=document.body] (Optional) Element to mount route components into.
+ * @returns {Object} Router store: { state: { path, params, query }, subscribe(), navigate(), href(), resolve(), destroy() }
+ * navigate(path, { replace }) navigates to a path (relative to the base) & returns a Promise of whether the navigation is completed. href(path) returns the href of a path including the base or "#".
+ * resolve() matches the current URL again & destroy() removes listeners & mounted components. route objects passed to components & guards are { path, params, query }.
+ * @example
+ *
+ * var router = _.router( {
+ * 		outlet: "#app",
+ * 		routes: {
+ * 			"/": HomePage,
+ * 			"/users/:id": UserPage, //new UserPage( { path: "/users/1", params: { id: "1" }, query: {} } )
+ * 			"/admin": {
+ * 				component: (route) => _.html`<div><h1>Admin</h1><main caldom-outlet></main></div>`,
+ * 				beforeEnter: (to, from) => session.user ? true : "/login",
+ * 				children: {
+ * 					"/": AdminDashboard,
+ * 					"/reports": () => import("./reports.js")
+ * 				}
+ * 			},
+ * 			"*": NotFoundPage
+ * 		}
+ * } );
+ *
+ * _("#nav").append( _.html`<a data-link href=${ router.href("/users/1") }>Profile</a>` );
+ *
+ * router.navigate("/admin/reports?year=2024");
+ *
+ * //Components can re-render at query/param changes via connect()
+ * var page_title = _().react( {}, {
+ * 		stores: [ [ router, (state) => state.path ] ],
+ * 		render: () => _("+h1", [ router.state.path ])
+ * } );
+ */
+calDom["router"] = function(options){
+	var doc = _window.document;
+	var mode = options["mode"] == "hash" ? "hash" : "history";
+
+	var router = calDom["store"]({ "path": null, "params": {}, "query": {} });
+
+	var context = {
+		router: router,
+		mode: mode,
+		base: mode == "history" ? (options["base"] || "").replace(/\/+$/, "") : "",
+		routes: _compileRoutes(options["routes"], "", []),
+		outlet: new CalDom(options["outlet"] || doc.body),
+		entries: [], //Mounted routes, parents first: { route, params_key, instance }
+		route: null, //Current { path, params, query }
+		url: null, //Current path & query, relative to the base
+		navigation_id: 0 //Results of older navigations (Eg: waiting for a guard or a lazy component) are ignored
+	};
+
+	var on_location_change = function(){
+		_resolveRoute(context, _getRouterUrl(context), null);
+	};
+
+	var on_link_click = function(e){
+		if( e.defaultPrevented || e.button || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey ) return;
+		if( this.target && this.target != "_self" ) return;
+
+		var url = _getRouterLinkUrl(context, this.getAttribute("href") || "");
+		if( url === null ) return;
+
+		e.preventDefault();
+		router["navigate"](url);
+	};
+
+	var location_events = mode == "hash" ? ["popstate", "hashchange"] : ["popstate"];
+
+	location_events.forEach(function(event){
+		_window.addEventListener(event, on_location_change);
+	});
+
+	_addListener(doc, "click", "a[data-link]", on_link_click);
+
+	router["navigate"] = function(path, navigate_options){
+		return new Promise(function(resolve){ //Errors re-thrown by _.onError() reject it
+			resolve( _resolveRoute(context, path, navigate_options && navigate_options["replace"] ? "replace" : "push") );
+		});
+	};
+
+	router["href"] = function(path){
+		return (mode == "hash" ? "#" : context.base) + path;
+	};
+
+	router["resolve"] = function(){
+		context.url = null;
+
+		return new Promise(function(resolve){
+			resolve( _resolveRoute(context, _getRouterUrl(context), null) );
+		});
+	};
+
+	router["destroy"] = function(){
+		context.navigation_id++;
+
+		location_events.forEach(function(event){
+			_window.removeEventListener(event, on_location_change);
+		});
+
+		_removeListeners(doc, ["click"], "a[data-link]", on_link_click);
+
+		_unmountRoutes(context, 0);
+	};
+
+	_resolveRoute(context, _getRouterUrl(context), null);
+
+	return router;
+};
+
+/**
+ * @private
+ * @description Flatten nested routes into a list of matchers in the matching order. (Children are matched before their parent)
+ * @param {Object} routes { pattern: component | { component, beforeEnter, children } }
+ * @param {String} parent_pattern
+ * @param {Array<Object>} parent_chain Compiled parent routes
+ * @returns {Array<Object>} [ { regex, keys, chain: [ route, ... ] } ]
+ */
+function _compileRoutes(routes, parent_pattern, parent_chain){
+	var output = [];
+
+	for( var pattern in routes ){
+		var config = typeof routes[pattern] == 'function' ? { "component": routes[pattern] } : routes[pattern];
+		var full_pattern = ( parent_pattern + "/" + pattern ).replace(/\/+/g, "/").replace(/(.)\/$/, "$1");
+		var keys = [];
+
+		var source = full_pattern.replace(/\/$/, "").replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/:(\w+)|\*/g, function(match, key){
+			keys.push(key || "*");
+			return key ? "([^/]+)" : "(.*)";
+		});
+
+		var route = {
+			component: config["component"],
+			before_enter: config["beforeEnter"],
+			keys: keys
+		};
+
+		var chain = parent_chain.concat([route]);
+
+		if( config["children"] ) output = output.concat( _compileRoutes(config["children"], full_pattern, chain) );
+
+		if( route.component ) output.push({ regex: new RegExp("^" + source + "/?$"), keys: keys, chain: chain });
+	}
+
+	return output;
+}
+
+/**
+ * @private
+ * @param {Object} context See _.router()
+ * @returns {String} Current path & query of the location, relative to the base
+ */
+function _getRouterUrl(context){
+	var location = _window.location;
+
+	if( context.mode == "hash" ) return location.hash.slice(1) || "/";
+
+	var path = location.pathname;
+
+	if( context.base && (path + "/").indexOf(context.base + "/") == 0 ) path = path.slice(context.base.length);
+
+	return (path || "/") + location.search;
+}
+
+/**
+ * @private
+ * @param {Object} context See _.router()
+ * @param {String} href href attribute of a link. Eg: "/app/users/1" or "#/users/1"
+ * @returns {String | null} Path relative to the base or null if the browser should follow the link (Eg: "https://example.com/", "//cdn.example.com/file", "mailto:...")
+ */
+function _getRouterLinkUrl(context, href){
+	if( /^([a-z][a-z\d+.-]*:|\/\/)/i.test(href) ) return null;
+	if( href[0] == "#" ) return href.slice(1) || "/";
+
+	if( context.base && (href + "/").indexOf(context.base + "/") == 0 ) href = href.slice(context.base.length);
+
+	return href[0] == "/" ? href : "/" + href;
+}
+
+/**
+ * @private
+ * @param {String} url Path & query. Eg: "/users/1?tab=posts"
+ * @param {Array<Object>} routes See _compileRoutes()
+ * @returns {Object} { route: { path, params, query }, match: { regex, keys, chain } | undefined }
+ */
+function _matchRoute(url, routes){
+	var query_index = url.indexOf("?");
+	var path = query_index == -1 ? url : url.slice(0, query_index);
+	var query = {};
+
+	if( query_index != -1 ){
+		url.slice(query_index + 1).split("&").forEach(function(pair){
+			if( !pair ) return;
+
+			pair = pair.replace(/\+/g, " "); //"+" is a space in the query only
+
+			var equal_index = pair.indexOf("=");
+			var key = _decodeRouterComponent( equal_index == -1 ? pair : pair.slice(0, equal_index) );
+			var value = equal_index == -1 ? "" : _decodeRouterComponent( pair.slice(equal_index + 1) );
+
+			_setFormValue(query, _getFormNameKeys(key), value);
+		});
+	}
+
+	var route = { "path": path, "params": {}, "query": query };
+
+	for( var i = 0; i < routes.length; i++ ){
+		var result = routes[i].regex.exec(path);
+
+		if( result ){
+			for( var key_i = 0; key_i < routes[i].keys.length; key_i++ ){
+				route["params"][ routes[i].keys[key_i] ] = _decodeRouterComponent( result[key_i + 1] );
+			}
+
+			return { route: route, match: routes[i] };
+		}
+	}
+
+	return { route: route };
+}
+
+/**
+ * @private
+ * @param {String} value URL encoded value
+ * @returns {String}
+ */
+function _decodeRouterComponent(value){
+	try{
+		return decodeURIComponent(value);
+	}
+	catch(e){ //Malformed URI sequence
+		return value;
+	}
+}
+
+/**
+ * @private
+ * @description Call the callback with the value, right away if it's not a Promise.
+ * @param {any} value
+ * @param {Function} callback
+ * @returns {any | Promise} Return value of the callback
+ */
+function _whenResolved(value, callback){
+	return value && typeof value.then == 'function' ? value.then(callback) : callback(value);
+}
+
+/**
+ * @private
+ * @description Navigate to the url. Mounting happens synchronously unless a guard or a lazy component returns a Promise.
+ * Errors cancel the navigation & are passed to _.onError().
+ * @param {Object} context See _.router()
+ * @param {String} url Path & query relative to the base
+ * @param {String} history_action "push", "replace" or null if the location is already changed. (Eg: back button)
+ * @returns {Boolean | Promise<Boolean>} Whether the navigation is completed
+ */
+function _resolveRoute(context, url, history_action){
+	if( url === context.url ) return true;
+
+	var navigation_id = ++context.navigation_id;
+	var previous_url = context.url;
+	var result;
+
+	var fail = function(error){
+		if( navigation_id == context.navigation_id ){
+			if( context.url !== previous_url ) context.url = null; //Failed while mounting. The next navigation starts over
+			else if( !history_action && context.url !== null ) _setRouterUrl(context, context.url, "replace"); //Restoring the location
+		}
+
+		calDom["onError"](error, null, "navigate");
+
+		return false;
+	};
+
+	try{
+		result = _runNavigation(context, url, history_action, navigation_id, 0);
+	}
+	catch(error){
+		return fail(error);
+	}
+
+	return result && typeof result.then == 'function' ? result.then(null, fail) : result;
+}
+
+/**
+ * @private
+ * @description Maximum guard redirects of a navigation.
+ */
+var _max_route_redirects = 10;
+
+/**
+ * @private
+ * @description Match the url, run guards, load components & mount them. See _resolveRoute()
+ * @param {Object} context See _.router()
+ * @param {String} url Path & query relative to the base
+ * @param {String} history_action
+ * @param {Number} navigation_id
+ * @param {Number} redirect_count Redirects by guards so far. Redirect loops (Eg: a parent route redirecting to its own child) fail after _max_route_redirects
+ * @returns {Boolean | Promise<Boolean>} Whether the navigation is completed
+ */
+function _runNavigation(context, url, history_action, navigation_id, redirect_count){
+	var matched = _matchRoute(url, context.routes);
+	var to = matched.route;
+	var chain = matched.match ? matched.match.chain : [];
+	var entries = context.entries;
+
+	//Parent routes with the same params are kept
+	var depth = 0;
+
+	while( depth < entries.length && depth < chain.length && entries[depth].route === chain[depth] && entries[depth].params_key == _getRouteParamsKey(chain[depth], to) ){
+		depth++;
+	}
+
+	var cancel = function(){
+		if( !history_action && context.url !== null ) _setRouterUrl(context, context.url, "replace"); //Restoring the location
+		return false;
+	};
+
+	return _whenResolved( _runRouteGuards(context, chain, depth, to), function(guard_result){
+		if( navigation_id != context.navigation_id ) return false;
+
+		if( guard_result === false ) return cancel();
+		if( typeof guard_result == 'string' ){
+			if( redirect_count >= _max_route_redirects ) throw new Error('Navigation to "' + url + '" exceeded ' + _max_route_redirects + ' redirects. Check beforeEnter() guards for a redirect loop');
+
+			return _runNavigation(context, guard_result, history_action || "replace", navigation_id, redirect_count + 1);
+		}
+
+		return _whenResolved( _loadRouteComponents(chain, depth, to), function(components){
+			if( navigation_id != context.navigation_id ) return false;
+
+			if( history_action ) _setRouterUrl(context, url, history_action);
+
+			context.url = url;
+			context.route = to;
+
+			_unmountRoutes(context, depth);
+
+			for( var i = depth; i < chain.length; i++ ){
+				var component = components[i - depth];
+				var instance = component.prototype instanceof CalDom ? new component(to) : component;
+				var outlet = i == 0 ? context.outlet : _getRouteOutlet(entries[i - 1].instance);
+
+				entries.push({ route: chain[i], params_key: _getRouteParamsKey(chain[i], to), instance: instance });
+
+				outlet.append(instance);
+			}
+
+			var state = context.router["state"];
+
+			_setIfChanged(state, "path", to["path"]);
+
+			if( JSON.stringify(state["params"]) != JSON.stringify(to["params"]) ) state["params"] = to["params"];
+			if( JSON.stringify(state["query"]) != JSON.stringify(to["query"]) ) state["query"] = to["query"];
+
+			return true;
+		});
+	});
+}
+
+/**
+ * @private
+ * @param {Object} route Compiled route
+ * @param {Object} to { path, params, query }
+ * @returns {String} Values of the params used by the route & its parents
+ */
+function _getRouteParamsKey(route, to){
+	return JSON.stringify( route.keys.map(function(key){
+		return to["params"][key];
+	}) );
+}
+
+/**
+ * @private
+ * @description Call beforeEnter() of the entering routes one after another.
+ * @param {Object} context See _.router()
+ * @param {Array<Object>} chain Compiled routes, parents first
+ * @param {Number} index Index of the first entering route
+ * @param {Object} to { path, params, query }
+ * @returns {any | Promise} false to cancel, a path to redirect or true to continue
+ */
+function _runRouteGuards(context, chain, index, to){
+	for( ; index < chain.length; index++ ){
+		if( !chain[index].before_enter ) continue;
+
+		var result = chain[index].before_enter(to, context.route, context.router);
+
+		if( result && typeof result.then == 'function' ){
+			return result.then(function(async_result){
+				return async_result === false || typeof async_result == 'string' ? async_result : _runRouteGuards(context, chain, index + 1, to);
+			});
+		}
+
+		if( result === false || typeof result == 'string' ) return result;
+	}
+
+	return true;
+}
+
+/**
+ * @private
+ * @description Get components of the entering routes. Lazy components are resolved & cached at the route.
+ * @param {Array<Object>} chain Compiled routes, parents first
+ * @param {Number} depth Index of the first entering route
+ * @param {Object} to { path, params, query }
+ * @returns {Array | Promise<Array>} _.Component subclasses or CalDom instances
+ */
+function _loadRouteComponents(chain, depth, to){
+	var components = chain.slice(depth).map(function(route){
+		return _loadRouteComponent(route, to);
+	});
+
+	for( var i = 0; i < components.length; i++ ){
+		if( components[i] && typeof components[i].then == 'function' ) return Promise.all(components);
+	}
+
+	return components;
+}
+
+/**
+ * @private
+ * @param {Object} route Compiled route
+ * @param {Object} to { path, params, query }
+ * @returns {Function | CalDom | Promise} A _.Component subclass or a CalDom instance
+ */
+function _loadRouteComponent(route, to){
+	var component = route.component;
+
+	if( component.prototype instanceof CalDom ) return component;
+
+	return _whenResolved( component(to), function(output){
+		if( output && !(output instanceof CalDom) && output.nodeType == undefined ){
+			route.component = output["default"] || output; //A lazy loaded component or a module
+
+			return _loadRouteComponent(route, to);
+		}
+
+		return output instanceof CalDom ? output : new CalDom(output);
+	});
+}
+
+/**
+ * @private
+ * @param {CalDom} instance Component of a parent route
+ * @returns {CalDom} The element with a caldom-outlet attribute or the root element
+ */
+function _getRouteOutlet(instance){
+	var elems = instance.elems;
+
+	for( var i = 0; i < elems.length; i++ ){
+		if( elems[i].nodeType != 1 ) continue;
+		if( elems[i].hasAttribute("caldom-outlet") ) return new CalDom(elems[i]);
+
+		var outlet = elems[i].querySelector("[caldom-outlet]");
+		if( outlet ) return new CalDom(outlet);
+	}
+
+	return new CalDom(elems[0]);
+}
+
+/**
+ * @private
+ * @description Remove mounted route components from the deepest up to the depth.
+ * @param {Object} context See _.router()
+ * @param {Number} depth
+ */
+function _unmountRoutes(context, depth){
+	while( context.entries.length > depth ){
+		context.entries.pop().instance.remove();
+	}
+}
+
+/**
+ * @private
+ * @param {Object} context See _.router()
+ * @param {String} url Path & query relative to the base
+ * @param {String} history_action "push" or "replace"
+ */
+function _setRouterUrl(context, url, history_action){
+	var history = _window.history;
+
+	history[ history_action == "push" ? "pushState" : "replaceState" ](null, "", context.mode == "hash" ? "#" + url : context.base + url);
+}
+
+/**
+ * @category Extensions
+ * @title _.html`template`
+ * @description Build Nodes using a tagged template literal. Static parts are parsed once per call site & interpolated values are inserted safely.
+ * Values at child positions are inserted as text Nodes (escaped), CalDom instances, Nodes or arrays of them. null, undefined & booleans are ignored.
+ * Values at attribute positions are set via setAttribute(). on* attributes with a function are added as listeners (same as on()), ".name" sets a property (same as prop()) & false/null removes the attribute.
+ * Values inside raw text elements (<textarea>, <title>, <style> & <script>) are set as their text content.
+ * _.html needs HTML parsing, so it throws on the built-in server DOM (caldom.server.js). Use _.h() there or set a JS-DOM window with _.setWindow().
+ * The output is plain Nodes, so it can be returned from render() & diffed by react(). Multiple root Nodes are returned as a multi-root CalDom instance.
+ * Templates with a single root element remember their dynamic parts. When render() returns the same template again (including nested templates in the same order or with the same caldom-key),
+ * only changed values are patched onto the existing Nodes, skipping the creation of new Nodes & the full diff. Nodes of a single root template are created at the first access of elems.
+ * Because of that, changes made to the existing Nodes outside interpolated values (Eg: via addClass() after rendering) are not reverted while re-rendering.
+ * @returns {CalDom} A new CalDom instance with the root Node(s)
+ * @example
+ *
+ * var item = _.html`<li class=${ todo.done ? "done" : "" } onclick=${ () => toggle(todo) }>${ todo.text }</li>`;
+ *
+ * //Properties, nested CalDom instances & arrays
+ * render: (state) => _.html`
+ * 		<div>
+ * 			<input .value=${ state.query } oninput=${ (e) => app.state.query = e.target.value }>
+ * 			<ul>${ state.todos.map( (todo) => _.html`<li>${ todo.text }</li>` ) }</ul>
+ * 			${ state.loading ? _("+p", [ "Loading..." ]) : null }
+ * 		</div>
+ * `
+ */
+calDom["html"] = function(strings){
+	var compiled = _html_templates && _html_templates.get(strings);
+
+	if( !compiled ){
+		compiled = _compileHtmlTemplate(strings);
+		if( _html_templates ) _html_templates.set(strings, compiled);
+	}
+
+	var values = _slice.call(arguments, 1);
+
+	if( !compiled.is_single_root ) return new CalDom( _renderHtmlTemplate(compiled, values) );
+
+	//Nodes are created at the first access of elems. Until then, react() & parent templates patch existing Nodes of the same template using the values.
+	var output = new CalDom();
+	output._template = { compiled: compiled, values: values };
+
+	//Descriptor keys are quoted. Mangled ones would define a non-configurable property that can't be replaced by _setHtmlTemplateElems()
+	Object.defineProperty(output, "elems", {
+		"configurable": true,
+		"get": function(){
+			return _setHtmlTemplateElems( output, _renderHtmlTemplate(compiled, values) );
+		},
+		"set": function(elems){
+			_setHtmlTemplateElems(output, elems);
+		}
+	});
+
+	return output;
+};
+
+/**
+ * @category Extensions
+ * @title _.h( tag, props, ...children )
+ * @description Hyperscript/JSX factory creating CalDom instances. Use it directly or as the JSX pragma. (See caldom/jsx-runtime for the automatic runtime)
+ * props are mapped as follows: on* functions are added as listeners (same as on()), style objects via css(), value/checked/selected/indeterminate & ".name" via prop(), key via key() & others via attr(). false/null props are ignored.
+ * A ref function prop is called with the created CalDom instance.
+ * SVG elements (Eg: <svg>, <circle>) are created in the SVG namespace automatically, including other children of an <svg>. A "~" prefix forces the SVG namespace like _("~tag").
+ * @param {String | Function} tag Tag name, a _.Component subclass (constructed with props including children), a function component (called with props) or _.Fragment.
+ * @param {Object} [props] (Optional) Attributes, properties, listeners, style & key.
+ * @param {...(CalDom | Node | String | Number | Array)} [children] (Optional) null, undefined & booleans are ignored. Arrays are flattened.
+ * @returns {CalDom} A new CalDom instance (or the Component instance if tag is a Component subclass)
+ * @example
+ *
+ * /** @jsx _.h *\/
+ * var app = _().react( { count: 0 }, {
+ * 		render: (state) => (
+ * 			<div class="counter" style={ { color: state.count > 5 ? "red" : "black" } }>
+ * 				<button onClick={ () => app.state.count++ }>+</button>
+ * 				<svg width="20" height="20"><circle cx="10" cy="10" r={ state.count } /></svg>
+ * 				<Label text={ "Count: " + state.count } />
+ * 			</div>
+ * 		)
+ * } );
+ *
+ * //Without JSX
+ * _.h( "ul", { class: "list" }, items.map( (item) => _.h( "li", { key: item.id }, item.name ) ) );
+ */
+calDom["h"] = function(tag, props){
+	var children = _flattenHtmlTemplateChildren( _slice.call(arguments, 2), [] );
+
+	return _createHyperscript(tag, props || {}, children);
+};
+
+/**
+ * @category Extensions
+ * @title _.jsx( tag, props, key )
+ * @description JSX automatic runtime factory. props.children is a child or an array of children. Exported as jsx, jsxs & jsxDEV by caldom/jsx-runtime.
+ * @example
+ *
+ * //tsconfig.json or Babel: { "jsx": "react-jsx", "jsxImportSource": "caldom" }
+ * //Compiled: jsx( "p", { class: "note", children: "Hello" } )
+ */
+calDom["jsx"] = function(tag, props, key){
+	props = props || {};
+
+	var children = _flattenHtmlTemplateChildren( props["children"], [] );
+
+	if( key !== undefined ){
+		var props_with_key = {};
+		for( var name in props ) props_with_key[name] = props[name];
+		props_with_key["key"] = key;
+
+		props = props_with_key;
+	}
+
+	return _createHyperscript(tag, props, children);
+};
+
+/**
+ * @category Extensions
+ * @title _.Fragment
+ * @description Fragment tag for JSX. <>...</> renders multiple root Nodes. (Same as _.fragment())
+ */
+calDom["Fragment"] = function(props){
+	return calDom["fragment"]( props["children"] || [] );
+};
+
+/**
+ * @category Extensions
+ * @title _.fragment( children )
+ * @description Group multiple Nodes without a wrapper element. Useful to return multiple root Nodes from render(). (Same as returning an array)
+ * @param {Array<CalDom | Node | String>} children Same as children_array of _(). See append() for all possibilities.
+ * @returns {CalDom} A new CalDom instance with the created Nodes.
+ * @example
+ *
+ * //A table row component rendering cells directly into the parent <tr>
+ * var Cells = (user) => _().react( user, {
+ * 		render: (state) => _.fragment([ _("+td", [ state.name ]), _("+td", [ state.email ]) ])
+ * } );
+ *
+ * _("#users-table").append( _("+tr", [ Cells( { name: "Jane", email: "jane@example.com" } ) ]) );
+ */
+calDom["fragment"] = function(children){
+	return new CalDom( _getFragmentNodes(children, _window.document) );
+};
+
+/**
+ * @category Extensions
+ * @title _.portal( target, children )
+ * @description Render children into a different container (Eg: document.body for modals, tooltips & dropdowns) while being owned by the rendering component.
+ * Use it inside render(). It returns an empty placeholder (a comment Node) to be placed in the render() output.
+ * Portal content is diffed by the same algorithm as react() when the owner re-renders & removed when the owner is unmounted or stops rendering the portal.
+ * Multiple portals can share a target. Portals of the same target are matched in their render() order.
+ * @param {String | Node | CalDom} target Container or its CSS selector.
+ * @param {Array<CalDom | Node | String> | CalDom | Node} children Same as children_array of _(). See append() for all possibilities.
+ * @returns {CalDom} A new CalDom instance with the placeholder.
+ * @example
+ *
+ * var app = _().react( { modal_open: false, message: "Hello" }, {
+ * 		render: (state) => _("+div", [
+ * 			_("+button", [ "Open" ]).on( "click", () => app.state.modal_open = true ),
+ *
+ * 			state.modal_open
+ * 				? _.portal( document.body, [ _("+div", [ state.message ]).addClass("modal") ] )
+ * 				: null
+ * 		])
+ * } );
+ */
+calDom["portal"] = function(target, children){
+	var doc = _window.document;
+
+	if( typeof target == 'string' ) target = q(target, doc)[0];
+	else if( target instanceof CalDom ) target = target.elems[0];
+
+	var nodes = _getFragmentNodes( Array.isArray(children) ? children : [children], doc );
+	var owner = _rendering_components[_rendering_components.length - 1];
+
+	if( owner ){
+		owner._rendered_portals.push({ target: target, nodes: nodes });
+	}
+	else{
+		new CalDom(target).append(nodes); //Not owned by a component
+	}
+
+	return new CalDom( doc.createComment("caldom-portal") );
+};
+
+/**
+ * @private
+ * @description Set up store connections, state watchers & resources from the config again after they're disposed at disconnectedCallback. See _.define()
+ * @param {CalDom} component
+ */
+function _restoreSubscriptions(component){
+	if( component["watch"] && component["watch"] !== component._watch_definitions ) _setupStateWatchers(component);
+	if( component["stores"] && component["stores"] !== component._connected_stores ) _connectStores(component);
+	if( component["resources"] && component["resources"] !== component._resource_definitions && component.state ) _setupResources(component);
+}
+
+/**
+ * @category Extensions
+ * @title _.define( name, ComponentClass, options )
+ * @description Register a _.Component subclass as a native Custom Element, so it can be used without knowing CalDom. Eg: in plain HTML or other frameworks.
+ * A new ComponentClass instance is created when an element is connected for the first time & it's rendered inside the element (or its shadow root). Access it via element.component.
+ * Observed attributes are mapped to state keys in camelCase (Eg: "due-date" to state.dueDate) & attribute changes are set to the state. Removing an attribute deletes the state key.
+ * Moving/removing the element executes willUnmount(), didUnmount(), willMount() & didMount() of the component.
+ * Disconnecting the element disposes store connections, state watchers & resources the same as remove(). The ones defined at react()'s config are set up again when it's connected.
+ * Defined elements rendered inside other components keep their content while diffing. Only their attributes are synced.
+ * @param {String} name Custom element name containing a hyphen. Eg: "todo-item"
+ * @param {Function} ComponentClass A _.Component subclass. It's constructed without arguments. If it doesn't call react(), react({}) is called.
+ * @param {Object} [options] (Optional)
+ * @param {Array<String>} [options.observedAttributes] (Optional) Attribute names to map into the state.
+ * @param {Object} [options.shadow] (Optional) { mode, styles } Render into a shadow root. See shadow().
+ * @returns {Function | undefined} Custom element constructor. Undefined without Custom Elements support (Eg: the built-in server DOM), so the same code can render on the server.
+ * @example
+ *
+ * class TodoItem extends _.Component{
+ * 		constructor(){
+ * 			super();
+ * 			this.react( { label: "", done: null } );
+ * 		}
+ *
+ * 		render(state){
+ * 			return _("+label", [ _("+input").attr( "type", "checkbox" ).prop( "checked", state.done != null ), state.label ]);
+ * 		}
+ * }
+ *
+ * _.define( "todo-item", TodoItem, { observedAttributes: [ "label", "done" ], shadow: { styles: "label { display: block; }" } } );
+ *
+ * //Usage in HTML: <todo-item label="Buy milk" done></todo-item>
+ */
+calDom["define"] = function(name, ComponentClass, options){
+	options = options || {};
+
+	var win = _window;
+	if( !win || !win["customElements"] ) return; //Elements are rendered as plain tags. Eg: _.renderToString()
+
+	var HTMLElement = win["HTMLElement"];
+	var observed_attributes = options["observedAttributes"] || [];
+
+	var CustomElement = function(){
+		var elem = Reflect.construct(HTMLElement, [], CustomElement);
+
+		//Attached early, so virtual & existing elements are consistent while diffing
+		if( options["shadow"] ) _attachShadow(elem, options["shadow"]);
+
+		return elem;
+	};
+
+	Object.setPrototypeOf(CustomElement, HTMLElement);
+
+	CustomElement.prototype = Object.create(HTMLElement.prototype);
+	CustomElement.prototype.constructor = CustomElement;
+	CustomElement["observedAttributes"] = observed_attributes;
+
+	CustomElement.prototype._is_defined_element = true;
+
+	CustomElement.prototype["connectedCallback"] = function(){
+		var component = this["component"];
+
+		if( component ){ //Re-connected
+			_restoreSubscriptions(component);
+
+			component._willMount();
+			component._didMount();
+
+			return;
+		}
+
+		component = this["component"] = new ComponentClass();
+
+		if( component.state == undefined ) component.react({});
+
+		for( var i = 0; i < observed_attributes.length; i++ ){
+			if( this.hasAttribute(observed_attributes[i]) ) component.state[ _attributeToStateKey(observed_attributes[i]) ] = this.getAttribute(observed_attributes[i]);
+		}
+
+		new CalDom( _getShadowRoot(this) || this, [ component ], win );
+	};
+
+	CustomElement.prototype["disconnectedCallback"] = function(){
+		var component = this["component"];
+		if( !component ) return;
+
+		component._willUnmount(true);
+		component._didUnmount(true);
+	};
+
+	CustomElement.prototype["attributeChangedCallback"] = function(attribute_name, old_value, value){
+		var component = this["component"];
+		if( !component || old_value === value ) return; //Initial attributes are set at connectedCallback
+
+		var key = _attributeToStateKey(attribute_name);
+
+		if( value == null ) delete component.state[key];
+		else component.state[key] = value;
+
+		if( component["watched"] == false ) component.react();
+	};
+
+	win["customElements"].define(name, CustomElement);
+
+	return CustomElement;
+};
+
+/**
+ * @category Extensions
+ * @title _.onHydrationMismatch( mismatch )
+ * @description Called when existing DOM doesn't match the first render() output while hydrating. See config.hydrate at react().
+ * Logs a console warning by default. Override it to collect or silence mismatches. Mismatches are fixed after reporting.
+ * @param {Object} mismatch { type: "tag" | "text" | "attribute" | "children", existing: Node, rendered: Node, attribute: String }
+ * @example
+ *
+ * _.onHydrationMismatch = function(mismatch){
+ * 		reportToServer( mismatch.type, mismatch.existing.outerHTML );
+ * }
+ */
+calDom["onHydrationMismatch"] = function(mismatch){
+	if( typeof console != 'undefined' ) console.warn("CalDom hydration mismatch (" + mismatch["type"] + ")", mismatch["existing"], mismatch["rendered"]);
+};
+
+/**
+ * @category Extensions
+ * @title _.onError( error, component, phase )
+ * @description Called when render(), update() or a lifecycle hook of a reactive component throws & no ancestor component handles it via errorCaptured() or fallback(). See react().
+ * Also called when a submission of validate() fails (phase: "submit") or a navigation of _.router() fails (phase: "navigate"). component is null for them.
+ * Re-throws the error by default, so unhandled errors escape react() (or the requestAnimationFrame callback) the same as without error boundaries.
+ * Override it to log or report errors instead.
+ * @param {Error} error
+ * @param {CalDom | null} component Failed component
+ * @param {String} phase Failed function name. Eg: "render", "update", "didMount", "submit", "navigate"
+ * @example
+ *
+ * _.onError = function(error, component, phase){
+ * 		reportToServer( phase + ": " + error.message );
+ * }
+ */
+calDom["onError"] = function(error, component, phase){
+	throw error;
+};
+
+/**
+ * @category Extensions
+ * @title _.setWindow( window )
+ * @description Set the default window used by CalDom when a parentWindow is not given at _(). Default to the current window.
+ * This is useful to run CalDom with a different DOM implementation, Eg: JS-DOM or the built-in server DOM. (See caldom.server.js)
+ * @param {Window} window Window-like object with a document.
+ * @example
+ *
+ * //Use a JS-DOM window on Node JS
+ * const { JSDOM } = require("jsdom");
+ * const _ = require("caldom");
+ *
+ * _.setWindow( new JSDOM().window );
+ */
+calDom["setWindow"] = function(window){
+	_window = window;
+};
+
+if( typeof module != 'undefined' && module.exports ){
+	module.exports = calDom;
+}
+else if( typeof define == 'function' ){
+	define(function(){
+		return calDom;
+	});
+}
+else{
+
+	//Attaching CalDom to window/global using declared separator
+
+	// if( _window[alias] ){
+	// 	throw("_ is taken."); // CalDom is using '_' variable as a global short-hand by default. To use a different alias, define window['_cal_dom_alias'] = 'different_alias' before loading CalDom.
+	// }
+
+	_window[_window["_caldom_alias"] || "_"] = calDom;
+}
+
+return calDom;
+
 })();
\ No newline at end of file
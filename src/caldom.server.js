@@ -0,0 +1,859 @@
+/*
+ * CalDom Server 1.0.6 - Server-side rendering without a browser
+ * Copyright (c) 2021 Dumi Jay
+ * Released under the MIT license - https://github.com/dumijay/CalDom/
+ */
+
+// A minimal built-in DOM implementation, just enough to run render() of components on Node JS & serialise the result to HTML.
+// Use JS-DOM with _.setWindow() instead if you need a complete DOM (HTML parsing, XPath, events, etc.)
+
+var calDom = require("./caldom.js");
+
+var _slice = Array.prototype.slice;
+
+var _html_namespace = "http://www.w3.org/1999/xhtml";
+
+var _void_elements = { area: 1, base: 1, br: 1, col: 1, embed: 1, hr: 1, img: 1, input: 1, link: 1, meta: 1, param: 1, source: 1, track: 1, wbr: 1 };
+var _raw_text_elements = { script: 1, style: 1 };
+
+/**
+ * @private
+ * @description Base of all server Nodes. childNodes is a plain array mutated in place, so it behaves like a live NodeList.
+ */
+function ServerNode(){}
+
+ServerNode.prototype = {
+	ELEMENT_NODE: 1,
+	TEXT_NODE: 3,
+	COMMENT_NODE: 8,
+	DOCUMENT_NODE: 9,
+	DOCUMENT_FRAGMENT_NODE: 11,
+
+	parentNode: null,
+	ownerDocument: null,
+	nodeValue: null,
+
+	get firstChild(){
+		return this.childNodes[0] || null;
+	},
+
+	get lastChild(){
+		return this.childNodes[ this.childNodes.length - 1 ] || null;
+	},
+
+	get nextSibling(){
+		return _sibling(this, 1);
+	},
+
+	get previousSibling(){
+		return _sibling(this, -1);
+	},
+
+	get children(){
+		return this.childNodes.filter(_isElement);
+	},
+
+	get firstElementChild(){
+		return this.children[0] || null;
+	},
+
+	get lastElementChild(){
+		var children = this.children;
+
+		return children[ children.length - 1 ] || null;
+	},
+
+	get parentElement(){
+		return this.parentNode && this.parentNode.nodeType == 1 ? this.parentNode : null;
+	},
+
+	get isConnected(){
+		var node = this;
+
+		while( node.parentNode ) node = node.parentNode;
+
+		return node.nodeType == 9;
+	},
+
+	get textContent(){
+		if( this.nodeValue != null ) return this.nodeValue;
+
+		return this.childNodes.map(function(child){
+			return child.nodeType == 8 ? "" : child.textContent;
+		}).join("");
+	},
+
+	set textContent(text){
+		if( this.nodeValue != null ){
+			this.nodeValue = String(text);
+		}
+		else{
+			_removeAllChildren(this);
+
+			if( text != null && text !== "" ) this.appendChild( this.ownerDocument.createTextNode(text) );
+		}
+	},
+
+	hasChildNodes: function(){
+		return this.childNodes.length > 0;
+	},
+
+	appendChild: function(node){
+		return this.insertBefore(node, null);
+	},
+
+	insertBefore: function(node, before_node){
+		if( node.nodeType == 11 ){
+			var fragment_children = node.childNodes.slice();
+
+			for( var i = 0; i < fragment_children.length; i++ ){
+				this.insertBefore(fragment_children[i], before_node);
+			}
+
+			return node;
+		}
+
+		if( node.parentNode ) node.parentNode.removeChild(node);
+
+		var index = before_node ? this.childNodes.indexOf(before_node) : -1;
+
+		if( index == -1 ) this.childNodes.push(node);
+		else this.childNodes.splice(index, 0, node);
+
+		node.parentNode = this;
+
+		return node;
+	},
+
+	removeChild: function(node){
+		var index = this.childNodes.indexOf(node);
+		if( index == -1 ) throw new Error("The node to be removed is not a child of this node.");
+
+		this.childNodes.splice(index, 1);
+		node.parentNode = null;
+
+		return node;
+	},
+
+	replaceChild: function(new_node, old_node){
+		this.insertBefore(new_node, old_node);
+
+		return this.removeChild(old_node);
+	},
+
+	contains: function(node){
+		while( node ){
+			if( node === this ) return true;
+			node = node.parentNode;
+		}
+
+		return false;
+	},
+
+	cloneNode: function(deep){
+		var clone = this._cloneSelf();
+
+		if( deep ){
+			for( var i = 0; i < this.childNodes.length; i++ ){
+				clone.appendChild( this.childNodes[i].cloneNode(true) );
+			}
+		}
+
+		return clone;
+	},
+
+	isEqualNode: function(node){
+		if( !node || node.nodeType != this.nodeType || node.nodeName != this.nodeName || node.nodeValue != this.nodeValue ) return false;
+
+		if( this.nodeType == 1 ){
+			if( node.namespaceURI != this.namespaceURI || node.attributes.length != this.attributes.length ) return false;
+
+			for( var attr_i = 0; attr_i < this.attributes.length; attr_i++ ){
+				var attr = this.attributes[attr_i];
+
+				if( node.getAttribute(attr.name) !== attr.value ) return false;
+			}
+		}
+
+		if( node.childNodes.length != this.childNodes.length ) return false;
+
+		for( var i = 0; i < this.childNodes.length; i++ ){
+			if( !this.childNodes[i].isEqualNode(node.childNodes[i]) ) return false;
+		}
+
+		return true;
+	},
+
+	//Events are not dispatched on the server. These are here to keep on()/off() working at render().
+	addEventListener: function(){},
+	removeEventListener: function(){},
+	dispatchEvent: function(){
+		return true;
+	}
+};
+
+/**
+ * @private
+ */
+function ServerText(document, text){
+	this.ownerDocument = document;
+	this.childNodes = [];
+	this.nodeValue = String(text);
+}
+
+ServerText.prototype = _extend(ServerNode.prototype, {
+	nodeType: 3,
+	nodeName: "#text",
+
+	get data(){
+		return this.nodeValue;
+	},
+
+	set data(text){
+		this.nodeValue = String(text);
+	},
+
+	_cloneSelf: function(){
+		var clone = new ServerText(this.ownerDocument, this.nodeValue);
+		clone._raw = this._raw;
+
+		return clone;
+	}
+});
+
+/**
+ * @private
+ */
+function ServerComment(document, text){
+	this.ownerDocument = document;
+	this.childNodes = [];
+	this.nodeValue = String(text);
+}
+
+ServerComment.prototype = _extend(ServerNode.prototype, {
+	nodeType: 8,
+	nodeName: "#comment",
+
+	_cloneSelf: function(){
+		return new ServerComment(this.ownerDocument, this.nodeValue);
+	}
+});
+
+/**
+ * @private
+ */
+function ServerDocumentFragment(document){
+	this.ownerDocument = document;
+	this.childNodes = [];
+}
+
+ServerDocumentFragment.prototype = _extend(ServerNode.prototype, {
+	nodeType: 11,
+	nodeName: "#document-fragment",
+
+	querySelectorAll: _querySelectorAll,
+	querySelector: _querySelector,
+
+	_cloneSelf: function(){
+		return new ServerDocumentFragment(this.ownerDocument);
+	}
+});
+
+/**
+ * @private
+ * @description Attributes are stored as an array of { name, value }. id, className, classList, style, value, checked, selected & disabled are reflected to attributes,
+ * so they are included in the serialised HTML.
+ */
+function ServerElement(document, namespace, tag_name){
+	this.ownerDocument = document;
+	this.childNodes = [];
+	this.attributes = [];
+	this.namespaceURI = namespace;
+	this.localName = namespace == _html_namespace ? tag_name.toLowerCase() : tag_name;
+	this.tagName = this.nodeName = namespace == _html_namespace ? tag_name.toUpperCase() : tag_name;
+}
+
+ServerElement.prototype = _extend(ServerNode.prototype, {
+	nodeType: 1,
+
+	getAttribute: function(name){
+		var attr = _findAttribute(this, name);
+
+		return attr ? attr.value : null;
+	},
+
+	setAttribute: function(name, value){
+		var attr = _findAttribute(this, name);
+
+		if( attr ) attr.value = String(value);
+		else this.attributes.push({ name: this.namespaceURI == _html_namespace ? String(name).toLowerCase() : String(name), value: String(value) });
+	},
+
+	removeAttribute: function(name){
+		var attr = _findAttribute(this, name);
+
+		if( attr ) this.attributes.splice( this.attributes.indexOf(attr), 1 );
+	},
+
+	hasAttribute: function(name){
+		return !!_findAttribute(this, name);
+	},
+
+	get id(){
+		return this.getAttribute("id") || "";
+	},
+
+	set id(id){
+		this.setAttribute("id", id);
+	},
+
+	get className(){
+		return this.getAttribute("class") || "";
+	},
+
+	set className(class_name){
+		this.setAttribute("class", class_name);
+	},
+
+	get classList(){
+		return new ServerClassList(this);
+	},
+
+	get style(){
+		return _getStyleProxy(this);
+	},
+
+	get innerHTML(){
+		return _serializeChildren(this);
+	},
+
+	//HTML is not parsed. It's kept as a raw text node & serialised as it is.
+	set innerHTML(html){
+		_removeAllChildren(this);
+
+		if( html != null && html !== "" ){
+			var raw = this.ownerDocument.createTextNode(html);
+			raw._raw = true;
+
+			this.appendChild(raw);
+		}
+	},
+
+	get outerHTML(){
+		return _serialize(this);
+	},
+
+	get value(){
+		if( this.localName == "textarea" ) return this.textContent;
+		if( this.localName == "select" ) return _getSelectValue(this);
+
+		var value = this.getAttribute("value");
+
+		return value == null ? (this.localName == "option" ? this.textContent : "") : value;
+	},
+
+	set value(value){
+		if( this.localName == "textarea" ) this.textContent = value;
+		else if( this.localName == "select" ) _setSelectValue(this, value);
+		else this.setAttribute("value", value == null ? "" : value);
+	},
+
+	get checked(){
+		return this.hasAttribute("checked");
+	},
+
+	set checked(checked){
+		_setBooleanAttribute(this, "checked", checked);
+	},
+
+	get selected(){
+		return this.hasAttribute("selected");
+	},
+
+	set selected(selected){
+		_setBooleanAttribute(this, "selected", selected);
+	},
+
+	get disabled(){
+		return this.hasAttribute("disabled");
+	},
+
+	set disabled(disabled){
+		_setBooleanAttribute(this, "disabled", disabled);
+	},
+
+	matches: function(selector){
+		return _matches(this, selector);
+	},
+
+	closest: function(selector){
+		var node = this;
+
+		while( node && node.nodeType == 1 ){
+			if( node.matches(selector) ) return node;
+			node = node.parentNode;
+		}
+
+		return null;
+	},
+
+	querySelectorAll: _querySelectorAll,
+	querySelector: _querySelector,
+
+	_cloneSelf: function(){
+		var clone = new ServerElement(this.ownerDocument, this.namespaceURI, this.localName);
+
+		for( var i = 0; i < this.attributes.length; i++ ){
+			clone.attributes.push({ name: this.attributes[i].name, value: this.attributes[i].value });
+		}
+
+		return clone;
+	}
+});
+
+/**
+ * @private
+ */
+function ServerDocument(){
+	this.ownerDocument = null;
+	this.childNodes = [];
+
+	this.documentElement = this.createElement("html");
+	this.head = this.documentElement.appendChild( this.createElement("head") );
+	this.body = this.documentElement.appendChild( this.createElement("body") );
+
+	this.appendChild( this.documentElement );
+}
+
+ServerDocument.prototype = _extend(ServerNode.prototype, {
+	nodeType: 9,
+	nodeName: "#document",
+
+	createElement: function(tag_name){
+		return new ServerElement(this, _html_namespace, tag_name);
+	},
+
+	createElementNS: function(namespace, tag_name){
+		return new ServerElement(this, namespace || _html_namespace, tag_name);
+	},
+
+	createTextNode: function(text){
+		return new ServerText(this, text);
+	},
+
+	createComment: function(text){
+		return new ServerComment(this, text);
+	},
+
+	createDocumentFragment: function(){
+		return new ServerDocumentFragment(this);
+	},
+
+	createRange: function(){
+		return {
+			createContextualFragment: function(){
+				throw new Error("HTML parsing is not supported by the built-in server DOM. Use _('+tag') or set a JS-DOM window with _.setWindow().");
+			}
+		};
+	},
+
+	evaluate: function(){
+		throw new Error("XPath is not supported by the built-in server DOM. Use a CSS selector or set a JS-DOM window with _.setWindow().");
+	},
+
+	querySelectorAll: _querySelectorAll,
+	querySelector: _querySelector
+});
+
+/**
+ * @private
+ * @description Element.classList backed by the class attribute.
+ */
+function ServerClassList(elem){
+	this._elem = elem;
+}
+
+ServerClassList.prototype = {
+	_get: function(){
+		return this._elem.className.split(/\s+/).filter(Boolean);
+	},
+
+	contains: function(class_name){
+		return this._get().indexOf(class_name) != -1;
+	},
+
+	add: function(){
+		var classes = this._get();
+
+		for( var i = 0; i < arguments.length; i++ ){
+			if( classes.indexOf(arguments[i]) == -1 ) classes.push(arguments[i]);
+		}
+
+		this._elem.className = classes.join(" ");
+	},
+
+	remove: function(){
+		var removed = _slice.call(arguments);
+
+		var classes = this._get().filter(function(class_name){
+			return removed.indexOf(class_name) == -1;
+		});
+
+		if( classes.length ) this._elem.className = classes.join(" ");
+		else this._elem.removeAttribute("class");
+	},
+
+	toggle: function(class_name, force){
+		var add = force === undefined ? !this.contains(class_name) : !!force;
+
+		if( add ) this.add(class_name);
+		else this.remove(class_name);
+
+		return add;
+	},
+
+	get length(){
+		return this._get().length;
+	}
+};
+
+/**
+ * @private
+ * @description Element.style backed by the style attribute. Accepts both camelCase & kebab-case property names.
+ */
+function _getStyleProxy(elem){
+
+	return new Proxy({}, {
+		get: function(target, key){
+			var rules = _parseStyle(elem.getAttribute("style"));
+
+			if( key == "cssText" ) return _stringifyStyle(rules);
+			if( key == "getPropertyValue" ) return function(name){ return rules[name] || ""; };
+			if( key == "setProperty" ) return function(name, value){ elem.style[name] = value; };
+			if( key == "removeProperty" ) return function(name){ elem.style[name] = ""; };
+			if( typeof key != 'string' ) return undefined;
+
+			return rules[ _toKebabCase(key) ] || "";
+		},
+
+		set: function(target, key, value){
+			if( key == "cssText" ){
+				elem.setAttribute("style", value);
+
+				return true;
+			}
+
+			var rules = _parseStyle(elem.getAttribute("style"));
+			var name = _toKebabCase(key);
+
+			if( value == null || value === "" ) delete rules[name];
+			else rules[name] = String(value);
+
+			var css_text = _stringifyStyle(rules);
+
+			if( css_text ) elem.setAttribute("style", css_text);
+			else elem.removeAttribute("style");
+
+			return true;
+		}
+	});
+}
+
+/**
+ * @private
+ * @param {String} css_text
+ * @returns {Object} { property: value, ... }
+ */
+function _parseStyle(css_text){
+	var rules = {};
+	if( !css_text ) return rules;
+
+	var declarations = css_text.split(";");
+
+	for( var i = 0; i < declarations.length; i++ ){
+		var colon_i = declarations[i].indexOf(":");
+		if( colon_i == -1 ) continue;
+
+		rules[ declarations[i].substr(0, colon_i).trim() ] = declarations[i].substr(colon_i + 1).trim();
+	}
+
+	return rules;
+}
+
+function _stringifyStyle(rules){
+	var output = [];
+
+	for( var name in rules ){
+		output.push( name + ": " + rules[name] + ";" );
+	}
+
+	return output.join(" ");
+}
+
+function _toKebabCase(name){
+	if( name.indexOf("-") != -1 ) return name;
+
+	return name.replace(/[A-Z]/g, function(char){
+		return "-" + char.toLowerCase();
+	});
+}
+
+function _getSelectValue(select){
+	var options = _querySelectorAll.call(select, "option");
+
+	for( var i = 0; i < options.length; i++ ){
+		if( options[i].selected ) return options[i].value;
+	}
+
+	return options.length ? options[0].value : "";
+}
+
+function _setSelectValue(select, value){
+	var options = _querySelectorAll.call(select, "option");
+
+	for( var i = 0; i < options.length; i++ ){
+		options[i].selected = options[i].value == value;
+	}
+}
+
+function _setBooleanAttribute(elem, name, value){
+	if( value ) elem.setAttribute(name, "");
+	else elem.removeAttribute(name);
+}
+
+function _findAttribute(elem, name){
+	name = elem.namespaceURI == _html_namespace ? String(name).toLowerCase() : String(name);
+
+	for( var i = 0; i < elem.attributes.length; i++ ){
+		if( elem.attributes[i].name == name ) return elem.attributes[i];
+	}
+}
+
+function _sibling(node, direction){
+	if( !node.parentNode ) return null;
+
+	var siblings = node.parentNode.childNodes;
+
+	return siblings[ siblings.indexOf(node) + direction ] || null;
+}
+
+function _removeAllChildren(node){
+	while( node.childNodes.length ) node.removeChild( node.childNodes[0] );
+}
+
+function _isElement(node){
+	return node.nodeType == 1;
+}
+
+/**
+ * @private
+ * @description Supports comma separated groups of compound selectors (tag, *, #id, .class, [attr], [attr=value]) with descendant (space) & child (>) combinators.
+ */
+function _matches(elem, selector){
+	var groups = selector.split(",");
+
+	for( var i = 0; i < groups.length; i++ ){
+		var parts = groups[i].trim().replace(/\s*>\s*/g, " > ").split(/\s+/);
+
+		if( _matchesParts(elem, parts, parts.length - 1) ) return true;
+	}
+
+	return false;
+}
+
+function _matchesParts(elem, parts, part_i){
+	if( !_matchesCompound(elem, parts[part_i]) ) return false;
+	if( part_i == 0 ) return true;
+
+	var is_child_combinator = parts[part_i - 1] == ">";
+	var next_part_i = is_child_combinator ? part_i - 2 : part_i - 1;
+	var parent = elem.parentNode;
+
+	while( parent && parent.nodeType == 1 ){
+		if( _matchesParts(parent, parts, next_part_i) ) return true;
+		if( is_child_combinator ) return false;
+
+		parent = parent.parentNode;
+	}
+
+	return false;
+}
+
+function _matchesCompound(elem, compound){
+	var match = /^(\*|[a-zA-Z][\w-]*)?((?:#[\w-]+|\.[\w-]+|\[[^\]]+\])*)$/.exec(compound);
+	if( !match ) throw new Error("Selector '" + compound + "' is not supported by the built-in server DOM.");
+
+	if( match[1] && match[1] != "*" && match[1].toLowerCase() != elem.localName.toLowerCase() ) return false;
+
+	var conditions = match[2].match(/#[\w-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+
+	for( var i = 0; i < conditions.length; i++ ){
+		var condition = conditions[i];
+		var first_char = condition[0];
+
+		if( first_char == "#" ){
+			if( elem.id != condition.substr(1) ) return false;
+		}
+		else if( first_char == "." ){
+			if( !elem.classList.contains(condition.substr(1)) ) return false;
+		}
+		else{
+			var attr = /^\[\s*([^\s=\]]+)\s*(?:=\s*["']?([^"'\]]*)["']?\s*)?\]$/.exec(condition);
+			var value = elem.getAttribute(attr[1]);
+
+			if( value == null || (attr[2] !== undefined && value != attr[2]) ) return false;
+		}
+	}
+
+	return true;
+}
+
+function _querySelectorAll(selector){
+	var output = [];
+
+	(function walk(node){
+		for( var i = 0; i < node.childNodes.length; i++ ){
+			var child = node.childNodes[i];
+
+			if( child.nodeType == 1 ){
+				if( _matches(child, selector) ) output.push(child);
+
+				walk(child);
+			}
+		}
+	})(this);
+
+	return output;
+}
+
+function _querySelector(selector){
+	return this.querySelectorAll(selector)[0] || null;
+}
+
+function _escapeText(text){
+	return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function _escapeAttribute(value){
+	return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+}
+
+/**
+ * @private
+ * @param {ServerNode} node
+ * @returns {String} HTML
+ */
+function _serialize(node){
+	if( node.nodeType == 3 ){
+		var parent = node.parentNode;
+
+		return node._raw || (parent && _raw_text_elements[parent.localName])
+			? node.nodeValue
+			: _escapeText(node.nodeValue);
+	}
+
+	if( node.nodeType == 8 ) return "<!--" + node.nodeValue + "-->";
+
+	if( node.nodeType != 1 ) return _serializeChildren(node);
+
+	var html = "<" + node.localName;
+
+	for( var i = 0; i < node.attributes.length; i++ ){
+		html += " " + node.attributes[i].name + '="' + _escapeAttribute(node.attributes[i].value) + '"';
+	}
+
+	if( node.namespaceURI == _html_namespace && _void_elements[node.localName] ) return html + ">";
+
+	return html + ">" + _serializeChildren(node) + "</" + node.localName + ">";
+}
+
+function _serializeChildren(node){
+	return node.childNodes.map(_serialize).join("");
+}
+
+function _extend(prototype, properties){
+	var output = Object.create(prototype);
+
+	Object.defineProperties(output, Object.keys(properties).reduce(function(descriptors, key){
+		descriptors[key] = Object.getOwnPropertyDescriptor(properties, key);
+
+		return descriptors;
+	}, {}));
+
+	return output;
+}
+
+/**
+ * @category Server
+ * @title _.createWindow()
+ * @description Create a minimal window with the built-in server DOM. (Automatically created & set as the default window when caldom.server.js is loaded.)
+ * @returns {Object} Window-like object with document, Node, Element & Proxy.
+ */
+function createWindow(){
+	var window = {
+		"document": new ServerDocument(),
+		"Node": ServerNode,
+		"Element": ServerElement,
+		"Proxy": Proxy,
+		"setTimeout": setTimeout,
+		"clearTimeout": clearTimeout
+	};
+
+	window["document"]["defaultView"] = window;
+	window["window"] = window;
+
+	return window;
+}
+
+/**
+ * @category Server
+ * @title _.renderToString( component_or_caldom_or_node )
+ * @description Render a component (or any CalDom instance/Node) to an HTML string.
+ * The component is mounted into a detached container to execute render(), serialised & then removed. So willMount(), didMount(), willUnmount() & didUnmount() are called.
+ * Avoid starting timers or network requests at didMount() on the server, or clean them up at didUnmount().
+ * Event listeners are ignored. Text & attributes are escaped, HTML set by html() is kept as it is.
+ * @param {CalDom | Node | Array<CalDom | Node | String>} component_or_caldom_or_node Anything accepted by append().
+ * @returns {String} HTML
+ * @example
+ *
+ * const _ = require("caldom/dist/caldom.server.js");
+ *
+ * class HelloWorld extends _.Component{
+ * 		constructor(state){
+ * 			super();
+ * 			this.react(state);
+ * 		}
+ *
+ * 		render(state){
+ * 			return _("+h1").text( "Hello " + state.name );
+ * 		}
+ * }
+ *
+ * var html = _.renderToString( new HelloWorld({ name: "Server!" }) ); //<h1>Hello Server!</h1>
+ */
+function renderToString(component_or_caldom_or_node){
+	var container = calDom("+div");
+
+	container.append(component_or_caldom_or_node);
+
+	var html = container.html()[0];
+
+	var is_component = component_or_caldom_or_node instanceof calDom["Component"]
+		&& ( component_or_caldom_or_node["render"] || component_or_caldom_or_node["update"] );
+
+	if( is_component ){
+		component_or_caldom_or_node.remove(); //To fire unmount events
+	}
+	else{
+		container.children().remove();
+	}
+
+	return html;
+}
+
+calDom["setWindow"]( createWindow() );
+
+calDom["createWindow"] = createWindow;
+calDom["renderToString"] = renderToString;
+
+module.exports = calDom;
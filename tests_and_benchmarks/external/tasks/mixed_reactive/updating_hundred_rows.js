@@ -263,6 +263,35 @@ _pfreak.tasks.push({
                 return new_app;
             },
 
+            "caldom.template": function(config){
+                var container = document.createElement("div");
+                document.body.appendChild( container );
+
+                class App extends _.Component{
+                    
+                    constructor(values){
+                        super();
+
+                        this.react({
+                            values: values
+                        });
+                    }
+
+                    render(){
+                        return _.html`<table><tbody>${
+                            this.state.values.map(
+                                (value) => _.html`<tr><td style=${ "background-color: rgb(" + value.r + ", " + value.g + ", " + value.b + ")" } onclick=${ config.clickEventListener }>${ value.text }</td></tr>`
+                            )
+                        }</tbody></table>`;
+                    }
+                }
+
+                var new_app = new App( config.values );
+                _(container).append( new_app );
+
+                return new_app;
+            },
+
             "react_keyed": function(config){
                 var container = document.createElement("div");
                 document.body.appendChild( container );
@@ -503,6 +532,10 @@ _pfreak.tasks.push({
             // console.log("CalDom: After new state");
         },
 
+        "caldom.template": function(config){
+            config.preExecutedInstance.state.values = config.new_values;
+        },
+
         "react_keyed": function(config){
             // console.log("React: Before new state");
             config.preExecutedInstance.setState({
@@ -0,0 +1,65 @@
+_pfreak.tasks.push({
+
+    short_name: "populate_form",
+    display_order: 116,
+    category: "content",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<form>'
+                + '<input type="text" name="name" value="Jane Doe" />'
+                + '<input type="text" name="address[city]" value="Colombo" />'
+                + '<input type="checkbox" name="newsletter" value="yes" />'
+                + '<input type="checkbox" name="tags" value="a" checked />'
+                + '<input type="checkbox" name="tags" value="b" />'
+                + '<input type="radio" name="color" value="red" />'
+                + '<input type="radio" name="color" value="blue" checked />'
+                + '<select name="sizes" multiple><option value="s" selected>S</option><option value="l">L</option></select>'
+                + '<input type="text" name="phones[]" value="1" />'
+                + '<input type="text" name="phones[]" value="2" />'
+                + '<textarea name="bio">Unchanged</textarea>'
+            + '</form>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( "form" );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance.populate({
+                name: "John",
+                address: { city: "Kandy" },
+                newsletter: true,
+                tags: [ "b" ],
+                color: "red",
+                sizes: [ "l" ],
+                phones: [ "9", "8" ]
+            });
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !(test_return instanceof _.Component) ) throw "Returned is not an instance of CalDOM";
+
+        var object = JSON.stringify( _("form").serialize() );
+
+        if( object != '{"name":"John","address":{"city":"Kandy"},"newsletter":"yes","tags":["b"],"color":"red","sizes":["l"],"phones":["9","8"],"bio":"Unchanged"}' ) throw object;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+})
@@ -0,0 +1,62 @@
+_pfreak.tasks.push({
+
+    short_name: "serialize_form",
+    display_order: 115,
+    category: "content",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<form>'
+                + '<input type="text" name="name" value="Jane Doe" />'
+                + '<input type="text" name="address[city]" value="Colombo" />'
+                + '<input type="checkbox" name="tags" value="a" checked />'
+                + '<input type="checkbox" name="tags" value="b" />'
+                + '<input type="radio" name="color" value="red" />'
+                + '<input type="radio" name="color" value="blue" checked />'
+                + '<select name="sizes" multiple><option value="s" selected>S</option><option value="l" selected>L</option></select>'
+                + '<input type="text" name="phones[]" value="1" />'
+                + '<input type="text" name="disabled" value="no" disabled />'
+                + '<input type="submit" name="submit" value="Save" />'
+            + '</form>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( "form" );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            return [
+                config.caldomInstance.serialize(),
+                config.caldomInstance.serialize("string"),
+                config.caldomInstance.serialize("formData")
+            ];
+        }
+    },
+
+    assert: function(config, test_return){
+        var object = JSON.stringify( test_return[0] );
+
+        if( object != '{"name":"Jane Doe","address":{"city":"Colombo"},"tags":["a"],"color":"blue","sizes":["s","l"],"phones":["1"]}' ) throw object;
+
+        if( test_return[1] != "name=Jane+Doe&address%5Bcity%5D=Colombo&tags=a&color=blue&sizes=s&sizes=l&phones%5B%5D=1" ) throw test_return[1];
+
+        if( !(test_return[2] instanceof FormData) || test_return[2].getAll("sizes").join(",") != "s,l" ) throw false;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+})
@@ -0,0 +1,56 @@
+_pfreak.tasks.push({
+
+    short_name: "serialize_form_prototype",
+    display_order: 124,
+    category: "content",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        var div = document.createElement("div");
+
+        div.innerHTML =
+            '<form>'
+                + '<input type="text" name="__proto__[polluted]" value="yes" />'
+                + '<input type="text" name="constructor[prototype][polluted]" value="yes" />'
+                + '<input type="text" name="toString[polluted]" value="yes" />'
+                + '<input type="text" name="name" value="Jane Doe" />'
+            + '</form>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( "form" );
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance.serialize();
+        }
+    },
+
+    assert: function(config, test_return){
+        var polluted = ({}).polluted;
+
+        delete Object.prototype.polluted;
+        delete Object.prototype.toString.polluted;
+
+        if( polluted !== undefined ) throw "Object.prototype is polluted";
+
+        //Inherited names become own values instead of writing into the shared function
+        var object = JSON.stringify( test_return );
+
+        if( object != '{"toString":{"polluted":"yes"},"name":"Jane Doe"}' ) throw object;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+});
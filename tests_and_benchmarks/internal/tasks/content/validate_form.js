@@ -0,0 +1,145 @@
+_pfreak.tasks.push({
+
+    short_name: "validate_form",
+    display_order: 117,
+    category: "content",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<form novalidate>'
+                + '<input type="text" name="username" />'
+                + '<input type="email" name="email" />'
+                + '<button>Submit</button>'
+            + '</form>';
+
+        document.body.appendChild( div );
+
+        window.pfreak_submitted = [];
+
+        var is_taken = function(value){
+            return new Promise(function(resolve){
+                setTimeout(function(){
+                    resolve( value == "admin" ? "Already taken" : null );
+                }, 50);
+            });
+        };
+
+        config.validator = _("form").validate(
+            {
+                username: [ _.validators.required(), _.validators.minLength(3), is_taken ],
+                email: _.validators.required("Email is required")
+            },
+            {
+                submit: function(values){
+                    window.pfreak_submitted.push(values);
+
+                    if( window.pfreak_submit_error ) return Promise.reject( new Error("Server error") );
+                }
+            }
+        );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var username = document.querySelector('[name="username"]');
+            var email = document.querySelector('[name="email"]');
+            var form = document.querySelector("form");
+
+            config.initial_valid = config.validator.state.valid;
+            config.initial_class = username.className;
+
+            form.dispatchEvent( new Event("submit", { bubbles: true, cancelable: true }) );
+
+            config.errors_after_submit = config.validator.state.fields.email.errors.join();
+            config.aria_after_submit = email.getAttribute("aria-invalid");
+            config.class_after_submit = email.className;
+            config.email_validity = email.checkValidity();
+
+            username.value = "admin";
+            username.dispatchEvent( new Event("input", { bubbles: true }) );
+
+            email.value = "jane@example.com";
+            email.dispatchEvent( new Event("input", { bubbles: true }) );
+
+            setTimeout(function(){
+                config.async_errors = config.validator.state.fields.username.errors.join();
+
+                username.value = "jane";
+                username.dispatchEvent( new Event("input", { bubbles: true }) );
+
+                form.dispatchEvent( new Event("submit", { bubbles: true, cancelable: true }) );
+                config.submitting = config.validator.state.submitting;
+
+                setTimeout(function(){
+                    config.submitted_count = window.pfreak_submitted.length;
+                    config.submitting_after = config.validator.state.submitting;
+
+                    //A rejected submission resets submitting & is reported
+                    window.pfreak_submit_error = true;
+                    window.pfreak_on_error = _.onError;
+
+                    _.onError = function(error, component, phase){
+                        config.submit_error = phase + ":" + error.message;
+                    };
+
+                    form.dispatchEvent( new Event("submit", { bubbles: true, cancelable: true }) );
+
+                    setTimeout(function(){
+                        _.onError = window.pfreak_on_error;
+                        config.submitting_after_error = config.validator.state.submitting;
+                    }, 150);
+                }, 150);
+            }, 200);
+
+            //Global regexes give the same result for repeated values
+            var is_number = _.validators.pattern(/^\d+$/g);
+            config.pattern_results = [ is_number("123"), is_number("123"), is_number("12a") ].join(",");
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_valid !== false || config.initial_class != "" ) throw "Errors are shown before touching";
+
+        if( config.errors_after_submit != "Email is required" ) throw config.errors_after_submit;
+        if( config.aria_after_submit != "true" || config.class_after_submit != "caldom-invalid" ) throw "Errors are not shown";
+        if( config.email_validity !== false ) throw "Custom validity is not set";
+
+        if( config.async_errors != "Already taken" ) throw config.async_errors;
+
+        if( config.pattern_results != ",,Invalid format" ) throw config.pattern_results;
+
+        if( config.submitted_count != 1 ) throw "Submitted " + config.submitted_count + " times";
+        if( JSON.stringify(window.pfreak_submitted[0]) != '{"username":"jane","email":"jane@example.com"}' ) throw JSON.stringify(window.pfreak_submitted[0]);
+
+        var state = config.validator.state;
+
+        if( !state.valid || !state.submitted || !state.fields.username.dirty ) throw JSON.stringify(state);
+        if( document.querySelector('[name="email"]').getAttribute("aria-invalid") != "false" ) throw false;
+
+        if( config.submitting !== true || config.submitting_after !== false ) throw "submitting: " + config.submitting + " " + config.submitting_after;
+        if( config.submit_error != "submit:Server error" ) throw config.submit_error;
+        if( config.submitting_after_error !== false ) throw "submitting is not reset after a rejected submission";
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        if( window.pfreak_on_error ) _.onError = window.pfreak_on_error;
+
+        delete window.pfreak_submitted;
+        delete window.pfreak_submit_error;
+        delete window.pfreak_on_error;
+    }
+})
@@ -0,0 +1,100 @@
+_pfreak.tasks.push({
+
+    short_name: "define",
+    display_order: 108,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_events = [];
+
+        var TestItem = function(){
+            _.Component.call(this);
+
+            this.react({ label: "Default" }, {
+                render: function(state){
+                    return _("+span", [ state.label + (state.dueDate ? " @" + state.dueDate : "") ]);
+                },
+
+                watch: {
+                    label: function(label){ window.pfreak_events.push("watch:" + label); }
+                },
+
+                didMount: function(){ window.pfreak_events.push("didMount"); },
+                didUnmount: function(){ window.pfreak_events.push("didUnmount"); }
+            });
+        };
+
+        TestItem.prototype = Object.create(_.Component.prototype);
+
+        if( !window.customElements.get("caldom-test-item") ){
+            _.define("caldom-test-item", TestItem, { observedAttributes: [ "label", "due-date" ] });
+        }
+
+        config.list = _().react({ label: "A" }, {
+            render: function(state){
+                var item = _("+caldom-test-item").attr("label", state.label);
+                if( state.due ) item.attr("due-date", state.due);
+
+                return _("+div", [ item ]);
+            }
+        });
+
+        _("body").append( config.list );
+
+        config.item = _("caldom-test-item");
+        config.item_elem = config.item.elems[0];
+        config.initial_html = config.item.html();
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            //Diffed by the parent without losing the content
+            config.list.state.label = "B";
+            config.list.state.due = "Friday";
+
+            setTimeout(function(){
+                config.updated_html = config.item.html();
+
+                //Moving disconnects & re-connects. Watchers from the config are set up again
+                document.body.appendChild( config.item_elem );
+
+                config.item.attr("label", "C");
+
+                setTimeout(function(){
+                    config.direct_html = config.item.html();
+
+                    config.item.remove();
+
+                    //Watchers are disposed at disconnectedCallback
+                    config.item_elem.component.state.label = "D";
+                }, 200);
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_html != "<span>A</span>" ) throw config.initial_html;
+        if( config.updated_html != "<span>B @Friday</span>" ) throw config.updated_html;
+        if( config.direct_html != "<span>C @Friday</span>" ) throw config.direct_html;
+
+        if( !(config.item_elem.component instanceof _.Component) ) throw false;
+
+        if( window.pfreak_events.join() != "watch:A,didMount,watch:B,didUnmount,didMount,watch:C,didUnmount" ) throw window.pfreak_events.join();
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_events;
+    }
+});
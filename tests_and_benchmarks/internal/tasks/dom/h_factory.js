@@ -0,0 +1,95 @@
+_pfreak.tasks.push({
+
+    short_name: "h_factory",
+    display_order: 112,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_clicks = 0;
+
+        var h = _.h;
+
+        class Badge extends _.Component{
+            constructor(props){
+                super();
+                this.react({ text: props.text });
+            }
+
+            render(state){
+                return h("b", null, state.text);
+            }
+        }
+
+        var Label = function(props){
+            return h("label", { htmlFor: "name" }, props.children);
+        };
+
+        config.app = _().react({ count: 1, query: "abc" }, {
+            render: function(state){
+                return h("div", { className: "app", style: { color: "red" } },
+                    h(Label, null, "Name"),
+                    h("input", { id: "name", value: state.query, disabled: false }),
+                    h("button", { onClick: function(){ window.pfreak_clicks++; } }, "Count: ", state.count),
+                    h("svg", { width: 20, height: 20 },
+                        h("circle", { cx: 10, cy: 10, r: state.count }),
+                        h("title", null, "Circle")
+                    ),
+                    h(Badge, { text: "New" }),
+                    _.jsx(_.Fragment, { children: [ h("i", null, "A"), h("i", null, "B") ] }),
+                    _.jsx("ul", { children: [ 1, 2 ].map(function(n){ return _.jsx("li", { children: n }, n); }) })
+                );
+            }
+        });
+
+        _("body").append( config.app );
+
+        config.initial_html = _("body").html()[0];
+        config.initial_button = _("button").elems[0];
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            _("button").elems[0].click();
+
+            config.app.state.count = 5;
+            config.app.state.query = "xyz";
+        }
+    },
+
+    assert: function(config, test_return){
+        var expected = '<div class="app" style="color: red;">'
+            + '<label for="name">Name</label><input id="name"><button>Count: 1</button>'
+            + '<svg width="20" height="20"><circle cx="10" cy="10" r="1"></circle><title>Circle</title></svg>'
+            + '<b>New</b><i>A</i><i>B</i><ul><li caldom-key="1">1</li><li caldom-key="2">2</li></ul></div>';
+
+        if( config.initial_html != expected ) throw config.initial_html;
+
+        if( _("circle").elems[0].namespaceURI != "http://www.w3.org/2000/svg" ) throw false;
+        if( _("title").elems[0].namespaceURI != "http://www.w3.org/2000/svg" ) throw false;
+
+        if( _("circle").attr("r") != "5" ) throw _("circle").attr("r");
+        if( _("button").text() != "Count: 5" ) throw _("button").text();
+        if( _("button").elems[0] !== config.initial_button ) throw "h() output is replaced instead of diffed";
+        if( _("input").elems[0].value != "xyz" ) throw _("input").elems[0].value;
+
+        _("button").elems[0].click();
+
+        if( window.pfreak_clicks != 2 ) throw "Click count is " + window.pfreak_clicks;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_clicks;
+    }
+});
@@ -0,0 +1,80 @@
+_pfreak.tasks.push({
+
+    short_name: "html_template",
+    display_order: 111,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_clicks = 0;
+
+        config.app = _().react({ query: "abc", todos: [ { text: "<b>Bold</b>", done: true }, { text: "Plain", done: false } ] }, {
+            render: function(state){
+                return _.html`
+                    <div class="app ${ state.todos.length ? "has-items" : "" }">
+                        <input .value=${ state.query } disabled=${ false }>
+                        <textarea>Query: ${ state.query }</textarea>
+                        <ul>${ state.todos.map(function(todo){
+                            return _.html`<li class=${ todo.done ? "done" : null } onclick=${ function(){ window.pfreak_clicks++; } }>${ todo.text }</li>`;
+                        }) }</ul>
+                        <p>${ 0 } ${ null }${ _("+span", [ "Nested" ]) }</p>
+                    </div>
+                `;
+            }
+        });
+
+        _("body").append( config.app );
+
+        config.initial_html = _("body").html()[0];
+        config.initial_li = _("li").elems[0];
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            _("li").elems[1].click();
+
+            config.app.state.todos[1].text = "Changed";
+            config.app.state.query = "xyz";
+        }
+    },
+
+    assert: function(config, test_return){
+        var expected = '<div class="app has-items"><input><textarea>Query: abc</textarea>'
+            + '<ul><li class="done">&lt;b&gt;Bold&lt;/b&gt;</li><li>Plain</li></ul>'
+            + '<p>0 <span>Nested</span></p></div>';
+
+        if( config.initial_html.replace(/>\s+</g, "><") != expected ) throw config.initial_html;
+
+        if( _("li").elems[1].textContent != "Changed" ) throw _("li").html();
+        if( _("li").elems[0] !== config.initial_li ) throw "Template output is replaced instead of diffed";
+
+        if( _("input").elems[0].value != "xyz" ) throw _("input").elems[0].value;
+        if( _("textarea").elems[0].value != "Query: xyz" ) throw _("textarea").elems[0].value;
+
+        _("li").elems[0].click();
+
+        if( window.pfreak_clicks != 2 ) throw "Click count is " + window.pfreak_clicks;
+
+        var multiple = _.html`<td>${ "A" }</td><td>B</td>`;
+        if( multiple.elems.length != 2 ) throw false;
+
+        //Raw text content isn't parsed as HTML
+        var raw_text = _.html`<div><title>${ "<b>" } & ${ 1 }</title><style>p { color: ${ "red" }; }</style></div>`;
+        if( raw_text.html() != "<title>&lt;b&gt; &amp; 1</title><style>p { color: red; }</style>" ) throw raw_text.html();
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_clicks;
+    }
+});
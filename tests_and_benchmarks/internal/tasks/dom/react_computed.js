@@ -0,0 +1,92 @@
+_pfreak.tasks.push({
+
+    short_name: "react_computed",
+    display_order: 102,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_evaluations = { remaining: 0, title: 0 };
+        window.pfreak_updates = [];
+
+        config.app = _().react(
+            {
+                name: "Todos",
+                todos: [ { done: false }, { done: false }, { done: false } ]
+            },
+            {
+                computed: {
+                    remaining: function(state){
+                        window.pfreak_evaluations.remaining++;
+                        return state.todos.filter(function(todo){ return !todo.done; }).length;
+                    },
+
+                    title: function(state, component){
+                        window.pfreak_evaluations.title++;
+                        return state.name + " (" + component.computed.remaining + ")";
+                    }
+                },
+
+                render: function(state, component){
+                    return _("+h1", [ component.computed.title ]);
+                },
+
+                update: function(state, component, changed_keys, change_count, changes, computed_changes){
+                    window.pfreak_updates.push(computed_changes);
+                    return true;
+                }
+            }
+        );
+
+        _("body").append( config.app );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var state = config.app.state;
+
+            //Cached, not evaluated again
+            config.app.computed.title;
+            config.app.computed.remaining;
+
+            state.todos[1].done = true;
+        }
+    },
+
+    assert: function(config, test_return){
+        var evaluations = window.pfreak_evaluations;
+
+        if( evaluations.remaining != 2 || evaluations.title != 2 ) throw JSON.stringify(evaluations);
+
+        if( window.pfreak_updates.length != 1 ) throw "Update count is " + window.pfreak_updates.length;
+
+        var computed_changes = window.pfreak_updates[0];
+
+        if( !computed_changes.remaining || computed_changes.remaining.old_value != 3 || computed_changes.remaining.value != 2 ) throw false;
+        if( computed_changes.title.value != "Todos (2)" ) throw false;
+
+        if( _("h1").text() != "Todos (2)" ) throw _("h1").text();
+
+        //Unrelated change doesn't invalidate remaining
+        config.app.state.extra = 1;
+        config.app.computed.remaining;
+
+        if( evaluations.remaining != 2 ) throw "Re-evaluated on an unrelated change";
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_evaluations;
+        delete window.pfreak_updates;
+    }
+});
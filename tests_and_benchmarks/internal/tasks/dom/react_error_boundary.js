@@ -0,0 +1,148 @@
+_pfreak.tasks.push({
+
+    short_name: "react_error_boundary",
+    display_order: 106,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_captured = [];
+        window.pfreak_global_errors = [];
+
+        window.pfreak_original_on_error = _.onError;
+
+        _.onError = function(error, component, phase){
+            window.pfreak_global_errors.push(phase + ":" + error.message);
+        };
+
+        config.widget = _().react({ fail: false }, {
+            render: function(state){
+                if( state.fail ) throw new Error("Widget failed");
+                return _("+p", [ "Widget" ]);
+            }
+        });
+
+        config.boundary = _().react({}, {
+            render: function(){
+                return _("+section", [ config.widget ]);
+            },
+
+            errorCaptured: function(error, component, phase){
+                window.pfreak_captured.push(phase + ":" + error.message + ":" + (component === config.widget));
+            },
+
+            fallback: function(error, component){
+                return _("+section", [ "Fallback: " + error.message ]);
+            }
+        });
+
+        config.app = _().react({}, {
+            render: function(){
+                return _("+div", [ config.boundary ]);
+            },
+
+            errorCaptured: function(){
+                window.pfreak_captured.push("Handled by the boundary");
+            }
+        });
+
+        _("body").append( config.app );
+
+        //No boundary
+        _("body").append(
+            _().react({}, {
+                render: function(){ return _("+b"); },
+                didMount: function(){ throw new Error("Mount failed"); }
+            })
+        );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.widget.state.fail = true;
+
+            setTimeout(function(){
+                config.fallback_html = _("div").html();
+
+                config.widget.state.fail = false;
+                config.boundary.retry();
+            }, 300);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.fallback_html != "<section>Fallback: Widget failed</section>" ) throw config.fallback_html;
+
+        if( _("div").html() != "<section><p>Widget</p></section>" ) throw _("div").html();
+
+        if( window.pfreak_captured.join() != "render:Widget failed:true" ) throw window.pfreak_captured.join();
+        if( window.pfreak_global_errors.join() != "didMount:Mount failed" ) throw window.pfreak_global_errors.join();
+
+        //Unhandled errors are re-thrown by the default _.onError()
+        _.onError = window.pfreak_original_on_error;
+
+        var thrown;
+
+        try{
+            _("body").append(
+                _().react({}, {
+                    render: function(){ throw new Error("Unhandled"); }
+                })
+            );
+        }
+        catch( error ){
+            thrown = error.message;
+        }
+
+        if( thrown != "Unhandled" ) throw "Not re-thrown: " + thrown;
+
+        //Re-thrown errors of nested components are reported once, not again by each ancestor they unwind through
+        var report_count = 0;
+
+        _.onError = function(error, component, phase){
+            report_count++;
+            window.pfreak_original_on_error(error, component, phase);
+        };
+
+        thrown = null;
+
+        try{
+            _("body").append(
+                _().react({}, {
+                    render: function(){
+                        return _("+div", [
+                            _().react({}, {
+                                render: function(){ throw new Error("Nested"); }
+                            })
+                        ]);
+                    }
+                })
+            );
+        }
+        catch( error ){
+            thrown = error.message;
+        }
+
+        if( thrown != "Nested" ) throw "Nested error is not re-thrown: " + thrown;
+        if( report_count != 1 ) throw "Nested error is reported " + report_count + " times";
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        _.onError = window.pfreak_original_on_error;
+
+        delete window.pfreak_captured;
+        delete window.pfreak_global_errors;
+        delete window.pfreak_original_on_error;
+    }
+});
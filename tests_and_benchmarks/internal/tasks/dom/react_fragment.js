@@ -0,0 +1,89 @@
+_pfreak.tasks.push({
+
+    short_name: "react_fragment",
+    display_order: 110,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_events = [];
+
+        config.cells = _().react({ values: [ "A", "B" ] }, {
+            render: function(state){
+                return _.fragment( state.values.map(function(value){
+                    return _("+td", [ value ]);
+                }) );
+            },
+
+            didUnmount: function(){
+                window.pfreak_events.push("didUnmount");
+            }
+        });
+
+        config.list = _().react({ items: [ "X" ] }, {
+            render: function(state){
+                return state.items.map(function(item){
+                    return _("+li", [ item ]);
+                });
+            }
+        });
+
+        _("body").append([
+            _("+table", [ _("+tr", [ _("+th", [ "Head" ]), config.cells ]) ]),
+            _("+ul", [ config.list ])
+        ]);
+
+        config.initial_html = _("tr").html();
+        config.initial_cell = _("td").elems[0];
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.cells.state.values = [ "A", "B2", "C" ];
+            config.list.state.items.push("Y", "Z");
+
+            setTimeout(function(){
+                config.updated_html = _("tr").html();
+                config.updated_cell = _("td").elems[0];
+                config.updated_list_html = _("ul").html();
+
+                config.list.state.items = [];
+
+                setTimeout(function(){
+                    config.empty_list_html = _("ul").html();
+
+                    config.cells.remove();
+                }, 100);
+            }, 100);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_html != "<th>Head</th><td>A</td><td>B</td>" ) throw config.initial_html;
+        if( config.updated_html != "<th>Head</th><td>A</td><td>B2</td><td>C</td>" ) throw config.updated_html;
+        if( config.updated_cell !== config.initial_cell ) throw "Cells are replaced instead of diffed";
+
+        if( _("td").elems.length != 0 ) throw "Cells are not removed";
+        if( _("tr").html() != "<th>Head</th>" ) throw _("tr").html();
+
+        if( config.updated_list_html != "<li>X</li><li>Y</li><li>Z</li>" ) throw config.updated_list_html;
+        if( config.empty_list_html != "<!--caldom-fragment-->" ) throw config.empty_list_html;
+
+        if( window.pfreak_events.join() != "didUnmount" ) throw window.pfreak_events.join();
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_events;
+    }
+});
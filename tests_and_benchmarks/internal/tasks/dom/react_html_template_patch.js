@@ -0,0 +1,84 @@
+_pfreak.tasks.push({
+
+    short_name: "react_html_template_patch",
+    display_order: 113,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_clicked = [];
+
+        config.app = _().react({ theme: "light", items: [ { id: 1, text: "One" }, { id: 2, text: "Two" }, { id: 3, text: "Three" } ] }, {
+            render: function(state){
+                return _.html`<div class=${ state.theme }><ul>${ state.items.map(function(item){
+                    return _.html`<li caldom-key=${ item.id } onclick=${ function(){ window.pfreak_clicked.push(item.text); } }>${ item.text }</li>`;
+                }) }</ul><p>${ state.items.length > 3 ? "Many" : null }</p></div>`;
+            }
+        });
+
+        _("body").append( config.app );
+
+        config.initial_li = _("li").elems.slice();
+
+        window.pfreak_import_count = 0;
+        window.pfreak_import_node = document.importNode;
+
+        document.importNode = function(){
+            window.pfreak_import_count++;
+
+            return window.pfreak_import_node.apply(document, arguments);
+        };
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            config.app.state.theme = "dark";
+            config.app.state.items[0].text = "First";
+
+            setTimeout(function(){
+                config.import_count_after_update = window.pfreak_import_count;
+
+                config.app.state.items.reverse();
+                config.app.state.items.push({ id: 4, text: "Four" });
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.import_count_after_update !== 0 ) throw "New Nodes are created for an unchanged template: " + config.import_count_after_update;
+
+        var expected = '<div class="dark"><ul>'
+            + '<li caldom-key="3">Three</li><li caldom-key="2">Two</li><li caldom-key="1">First</li><li caldom-key="4">Four</li>'
+            + '</ul><p>Many</p></div>';
+
+        if( _("body").html() != expected ) throw _("body").html();
+
+        var li = _("li").elems;
+
+        if( li[0] !== config.initial_li[2] || li[1] !== config.initial_li[1] || li[2] !== config.initial_li[0] ) throw "Keyed items are not moved";
+
+        li[2].click();
+        li[3].click();
+
+        if( window.pfreak_clicked.join(",") != "First,Four" ) throw window.pfreak_clicked;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        if( window.pfreak_import_node ) document.importNode = window.pfreak_import_node;
+
+        delete window.pfreak_clicked;
+        delete window.pfreak_import_count;
+        delete window.pfreak_import_node;
+    }
+});
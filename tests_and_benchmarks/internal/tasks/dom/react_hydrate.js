@@ -0,0 +1,112 @@
+_pfreak.tasks.push({
+
+    short_name: "react_hydrate",
+    display_order: 100,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+        
+        var div = document.createElement("div");
+
+        //Server rendered markup
+        div.innerHTML = 
+            '<div class="app">\n'
+                + '<h1>Hello World</h1>\n'
+                + '<button>Count: 0</button>\n'
+                + '<p title="Old">Server Text</p>\n'
+                + '<span class="inline"><b>a</b> <i>b</i></span>\n'
+                + '<span class="items">Items: 0</span>\n'
+            + '</div>';
+
+        document.body.appendChild( div );
+
+        config.oldNodes = {
+            app: document.querySelector(".app"),
+            h1: document.querySelector("h1"),
+            button: document.querySelector("button"),
+            p: document.querySelector("p"),
+            inline: document.querySelector(".inline"),
+            items: document.querySelector(".items")
+        };
+
+        window.pfreak_mismatches = [];
+
+        config.onHydrationMismatch = _.onHydrationMismatch;
+
+        _.onHydrationMismatch = function(mismatch){
+            window.pfreak_mismatches.push( mismatch );
+        };
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var app = _(".app").react(
+                { count: 0 },
+                {
+                    render: function(state){
+                        return _("+div", [
+                            _("+h1", ["Hello World"]),
+                            _("+button", ["Count: " + state.count])
+                                .on("click", function(){
+                                    state.count++;
+                                }),
+                            _("+p", ["Client Text"]),
+                            _("+span", [ _("+b", ["a"]), " ", _("+i", ["b"]) ]).addClass("inline"), //Rendered whitespace
+                            _("+span", [ "Items: ", String(state.count) ]).addClass("items") //Adjacent text Nodes
+                        ])
+                        .addClass("app");
+                    },
+
+                    hydrate: true
+                }
+            );
+
+            config.oldNodes.button.click();
+
+            return app;
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !(test_return instanceof _.Component) ) throw "Returned is not an instance of CalDOM";
+
+        var mismatches = window.pfreak_mismatches;
+
+        _.onHydrationMismatch = config.onHydrationMismatch;
+
+        if( document.querySelector(".app") !== config.oldNodes.app ) throw "Root is replaced";
+        if( document.querySelector("h1") !== config.oldNodes.h1 ) throw "H1 is replaced";
+        if( document.querySelector("button") !== config.oldNodes.button ) throw "Button is replaced";
+        if( document.querySelector("p") !== config.oldNodes.p ) throw "P is replaced";
+
+        if( test_return.elems[0] !== config.oldNodes.app ) throw false;
+        if( config.oldNodes.app["_h"] !== test_return ) throw "Handler is not attached";
+
+        if( config.oldNodes.button.textContent != "Count: 1" ) throw "Button text is " + config.oldNodes.button.textContent;
+        if( config.oldNodes.p.textContent != "Client Text" ) throw false;
+        if( config.oldNodes.p.hasAttribute("title") ) throw false;
+
+        if( document.querySelector(".inline") !== config.oldNodes.inline || config.oldNodes.inline.innerHTML != "<b>a</b> <i>b</i>" ) throw "Inline whitespace: " + config.oldNodes.inline.innerHTML;
+        if( document.querySelector(".items") !== config.oldNodes.items ) throw "Span with adjacent text is replaced";
+        if( config.oldNodes.items.textContent != "Items: 1" || config.oldNodes.items.childNodes.length != 2 ) throw "Adjacent text: " + config.oldNodes.items.textContent;
+
+        if( mismatches.length != 2 ) throw "Mismatch count is " + mismatches.length;
+        if( mismatches[0].type != "attribute" || mismatches[0].attribute != "title" ) throw false;
+        if( mismatches[1].type != "text" || mismatches[1].existing.nodeValue != "Client Text" ) throw false;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_mismatches;
+    }
+});
@@ -0,0 +1,93 @@
+_pfreak.tasks.push({
+
+    short_name: "react_keyed_list",
+    display_order: 96,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_unmount_count = 0;
+
+        var Row = function(id){
+            return _().react(
+                { id: id },
+                {
+                    render: function(state){
+                        return _( "+li", [ "Row " + state.id ] ).key( state.id );
+                    },
+
+                    didUnmount: function(){
+                        window.pfreak_unmount_count++;
+                    }
+                }
+            );
+        }
+
+        var rows = [];
+
+        for( var i = 0; i < 100; i++ ){
+            rows.push( Row(i) );
+        }
+
+        config.rows = rows;
+
+        config.app = _().react(
+            { rows: rows.slice() },
+            {
+                render: function(state){
+                    return _( "+ul", state.rows );
+                }
+            }
+        );
+
+        _("body").append( config.app );
+
+        config.oldItems = Array.prototype.slice.call( document.querySelectorAll("li") );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.app.state.rows.reverse();
+            config.app.state.rows.splice(50, 1);
+            config.app.state.rows.unshift( _().react(
+                { id: "new" },
+                {
+                    render: function(state){
+                        return _( "+li", [ "Row " + state.id ] ).key( state.id );
+                    }
+                }
+            ));
+        }
+    },
+
+    assert: function(config, test_return){
+        var items = document.querySelectorAll("li");
+
+        if( items.length != 100 ) throw "Item count is " + items.length;
+        if( items[0].textContent != "Row new" ) throw "First row is " + items[0].textContent;
+
+        for( var i = 1; i < 100; i++ ){
+            var id = i <= 50 ? 100 - i : 99 - i;
+
+            if( items[i] !== config.oldItems[id] ) throw "Row " + id + " is not preserved at " + i;
+            if( items[i].textContent != "Row " + id ) throw "Row text is " + items[i].textContent;
+        }
+
+        if( window.pfreak_unmount_count != 1 ) throw "Unmount count is " + window.pfreak_unmount_count;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_unmount_count;
+    }
+});
@@ -0,0 +1,118 @@
+_pfreak.tasks.push({
+
+    short_name: "react_model",
+    display_order: 114,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        var input = function(type, value){
+            return _("+input").attr({ type: type, value: value }).elems[0];
+        };
+
+        config.app = _().react({ user: { name: "Jane" }, age: 18, color: "blue", tags: [ "b" ], sizes: [ "s" ] }, {
+            render: function(state){
+                return _("+form", [
+                    _("+input").attr("id", "name").model("user.name"),
+                    _("+input").attr({ id: "age", type: "number" }).model("age", { parse: Number }),
+                    _([ input("radio", "red"), input("radio", "blue") ]).model("color"),
+                    _([ input("checkbox", "a"), input("checkbox", "b") ]).addClass("tag").model("tags"),
+                    _("+select", [ _("+option", [ "S" ]).attr("value", "s"), _("+option", [ "L" ]).attr("value", "l") ]).attr("multiple", "").model("sizes"),
+                    _("+p", [ state.user.name + " " + state.age ])
+                ]);
+            }
+        });
+
+        _("body").append( config.app );
+
+        //Outside render(). Binding again replaces the previous watcher
+        window.pfreak_formats = 0;
+
+        var format = function(age){
+            window.pfreak_formats++;
+            return age;
+        };
+
+        config.outside = _("+input").attr("id", "outside");
+        _("body").append( config.outside );
+
+        config.outside.model("age", { component: config.app, format: format });
+        config.outside.model("age", { component: config.app, format: format });
+
+        try{
+            _("+input").model("age");
+        }
+        catch( error ){
+            config.no_component_error = error.message;
+        }
+
+        config.initial_name_input = _("#name").elems[0];
+        config.initial_checked = _('input:not(#outside)').map(function(elem){ return elem.checked; }).join(",");
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            var name_input = _("#name").elems[0];
+
+            name_input.value = "John";
+            name_input.dispatchEvent( new Event("input", { bubbles: true }) );
+
+            _("#age").val("30");
+            _('input[type="radio"]').elems[0].click();
+            _(".tag").elems[0].click();
+
+            var select = _("select").elems[0];
+            select.options[1].selected = true;
+            select.dispatchEvent( new Event("change", { bubbles: true }) );
+
+            setTimeout(function(){
+                config.state_after_input = JSON.stringify( config.app.state );
+                config.outside_after_input = _("#outside").val()[0];
+
+                window.pfreak_formats = 0;
+                config.text_after_input = _("p").text()[0];
+
+                config.app.state.user.name = "Ann";
+                config.app.state.tags = [];
+                config.app.state.sizes = [ "l" ];
+                config.app.state.age = 40;
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_checked != "false,false,false,true,false,true" ) throw config.initial_checked;
+
+        if( !/requires a reactive component/.test(config.no_component_error) ) throw "No component error: " + config.no_component_error;
+        if( config.outside_after_input != "30" ) throw config.outside_after_input;
+
+        if( config.state_after_input != '{"user":{"name":"John"},"age":30,"color":"red","tags":["b","a"],"sizes":["s","l"]}' ) throw config.state_after_input;
+        if( config.text_after_input != "John 30" ) throw config.text_after_input;
+
+        if( _("#name").elems[0] !== config.initial_name_input ) throw "Input is replaced";
+        if( _("#name").val()[0] != "Ann" ) throw _("#name").val();
+
+        if( _("#outside").val()[0] != "40" || window.pfreak_formats != 1 ) throw "Outside input is updated " + window.pfreak_formats + " times";
+
+        var checked = _('input:not(#outside)').map(function(elem){ return elem.checked; }).join(",");
+        if( checked != "false,false,true,false,false,false" ) throw checked;
+
+        var selected = _("option").map(function(elem){ return elem.selected; }).join(",");
+        if( selected != "false,true" ) throw selected;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_formats;
+    }
+});
@@ -0,0 +1,62 @@
+_pfreak.tasks.push({
+
+    short_name: "react_portal",
+    display_order: 109,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        _("body").append( _("+div").attr("id", "portal-target") );
+
+        config.app = _().react({ message: "Hello", tooltip: true }, {
+            render: function(state){
+                return _("+div", [
+                    _("+span", [ "Owner" ]),
+                    _.portal("#portal-target", [ _("+p", [ state.message ]).addClass("modal") ]),
+                    state.tooltip ? _.portal("#portal-target", _("+i", [ "Tooltip" ])) : null
+                ]);
+            }
+        });
+
+        _("body").append( config.app );
+
+        config.initial_html = _("#portal-target").html();
+        config.initial_modal = _(".modal").elems[0];
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.app.state.message = "World";
+            config.app.state.tooltip = false;
+
+            setTimeout(function(){
+                config.updated_html = _("#portal-target").html();
+                config.updated_modal = _(".modal").elems[0];
+
+                config.app.remove();
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_html != '<p class="modal">Hello</p><i>Tooltip</i>' ) throw config.initial_html;
+        if( config.updated_html != '<p class="modal">World</p>' ) throw config.updated_html;
+
+        if( config.updated_modal !== config.initial_modal ) throw "Portal content is replaced instead of diffed";
+
+        if( _("#portal-target").html() != "" ) throw "Portal content is not removed at unmount";
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+});
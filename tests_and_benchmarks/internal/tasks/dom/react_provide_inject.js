@@ -0,0 +1,69 @@
+_pfreak.tasks.push({
+
+    short_name: "react_provide_inject",
+    display_order: 105,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_render_count = 0;
+
+        var Label = function(){
+            return _().react({}, {
+                render: function(state, component){
+                    window.pfreak_render_count++;
+                    return _("+span", [ component.inject("theme") + "-" + component.inject("locale", "en") ]);
+                }
+            });
+        };
+
+        var Toolbar = function(){
+            return _().react({ label: Label() }, {
+                render: function(state, component){
+                    window.pfreak_render_count++;
+                    return _("+nav", [ state.label ]).addClass( component.inject("theme") );
+                }
+            });
+        };
+
+        config.app = _().react({ toolbar: Toolbar() }, {
+            render: function(state){
+                return _("+div", [ state.toolbar ]);
+            }
+        }).provide({ theme: "dark" });
+
+        _("body").append( config.app );
+
+        config.initial_html = _("body").html();
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.app.provide("theme", "light");
+            config.app.provide("unused", 1);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.initial_html != '<div><nav class="dark"><span>dark-en</span></nav></div>' ) throw config.initial_html;
+
+        if( _("body").html() != '<div><nav class="light"><span>light-en</span></nav></div>' ) throw _("body").html();
+
+        if( window.pfreak_render_count != 4 ) throw "Render count is " + window.pfreak_render_count;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_render_count;
+    }
+});
@@ -0,0 +1,160 @@
+_pfreak.tasks.push({
+
+    short_name: "react_resource",
+    display_order: 119,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_signals = [];
+
+        //Local stub of fetch(). The 1st user responds after the 2nd one
+        window.pfreak_fetch = function(id, signal){
+            window.pfreak_signals.push(signal);
+
+            return new Promise(function(resolve, reject){
+                setTimeout(function(){
+                    if( id == 3 ) reject( new Error("Not found") );
+                    else resolve({ name: "User " + id });
+                }, id == 1 ? 100 : id == 3 ? 60 : 20);
+            });
+        };
+
+        config.app = _().react({ userId: 1 }, {
+            resources: {
+                user: {
+                    loader: function(state, signal){
+                        return window.pfreak_fetch(state.userId, signal);
+                    },
+                    deps: "userId"
+                }
+            },
+            pending: function(){
+                return _("+p", [ "Loading" ]);
+            },
+            render: function(state){
+                return _("+p", [ state.user.error ? "Error: " + state.user.error.message : state.user.data.name ]);
+            }
+        });
+
+        _("body").append( config.app );
+
+        config.html_initial = _("body").html();
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            config.app.state.userId = 2;
+
+            setTimeout(function(){
+                config.html_loaded = _("body").html();
+                config.first_aborted = window.pfreak_signals[0].aborted;
+
+                config.app.state.userId = 3;
+
+                //pending is only rendered for the first load
+                setTimeout(function(){
+                    config.html_reloading = _("body").html();
+                    config.reloading = config.app.state.user.loading;
+                }, 30);
+
+                setTimeout(function(){
+                    config.html_error = _("body").html();
+                    config.error_status = config.app.state.user.loading + " " + config.app.state.user.data.name;
+
+                    var list = _().react({}, {
+                        render: function(state){
+                            return _("+ul");
+                        }
+                    });
+
+                    _("body").append( list );
+
+                    config.list = list;
+                    list.resource("items", function(state, signal){
+                        return window.pfreak_fetch(4, signal);
+                    }, { initial: [] });
+
+                    list.remove();
+
+                    //Child dropped by a re-render of its parent, not via remove()
+                    var child = _().react({}, {
+                        resources: {
+                            item: {
+                                loader: function(state, signal){
+                                    return window.pfreak_fetch(5, signal);
+                                }
+                            }
+                        },
+                        render: function(state){
+                            return _("+i");
+                        }
+                    });
+
+                    var parent = _().react({ show: true }, {
+                        render: function(state){
+                            return _("+div", state.show ? [ child ] : []);
+                        }
+                    });
+
+                    _("body").append( parent );
+
+                    config.child = child;
+                    parent.state.show = false;
+
+                    setTimeout(function(){
+                        config.child_aborted = window.pfreak_signals[4].aborted;
+                        config.child_item = JSON.stringify(child.state.item);
+
+                        parent.state.show = true; //Loads again when mounted again
+                    }, 100);
+
+                    try{
+                        _("+div").resource("items", function(){ return []; });
+                    }
+                    catch(e){
+                        config.stateless_error = e.message;
+                    }
+                }, 200);
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.html_initial != "<p>Loading</p>" ) throw config.html_initial;
+        if( config.html_loaded != "<p>User 2</p>" ) throw config.html_loaded;
+        if( config.first_aborted !== true ) throw "Stale load is not aborted";
+
+        if( config.html_reloading != "<p>User 2</p>" || config.reloading !== true ) throw config.html_reloading + " " + config.reloading;
+
+        if( config.html_error != "<p>Error: Not found</p>" ) throw config.html_error;
+        if( config.error_status != "false User 2" ) throw config.error_status;
+
+        var items = config.list.state.items;
+
+        if( !items.loading || items.data.length !== 0 ) throw "Response is applied after remove(): " + JSON.stringify(items);
+        if( window.pfreak_signals[3].aborted !== true ) throw "Load is not aborted at remove()";
+
+        if( config.child_aborted !== true ) throw "Load is not aborted when dropped by the parent";
+        if( config.child_item != '{"loading":true,"error":null}' ) throw "Response is applied after unmounting: " + config.child_item;
+        if( config.child.state.item.data.name != "User 5" || window.pfreak_signals.length != 6 ) throw "Not reloaded after mounting again: " + JSON.stringify(config.child.state.item);
+
+        if( !/^resource\("items"\) requires a reactive component/.test(config.stateless_error) ) throw config.stateless_error;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_signals;
+        delete window.pfreak_fetch;
+    }
+});
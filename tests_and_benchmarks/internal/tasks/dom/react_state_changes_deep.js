@@ -0,0 +1,101 @@
+_pfreak.tasks.push({
+
+    short_name: "react_state_changes_deep",
+    display_order: 101,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_updates = [];
+
+        config.app = _().react(
+            {
+                a: { name: "A" },
+                b: { name: "B" },
+                todos: [ { done: false }, { done: false }, { done: false }, { done: false } ]
+            },
+            {
+                render: function(state){
+                    return _("+ul", state.todos.map(function(todo){
+                        return _("+li", [ todo.done ? "Done" : "Pending" ]);
+                    }));
+                },
+
+                update: function(state, component, changed_keys, change_count, changes){
+                    window.pfreak_updates.push([ changed_keys, change_count, changes ]);
+                }
+            }
+        );
+
+        window.pfreak_list_renders = 0;
+
+        //Inherited methods of arrays (toString, hasOwnProperty, etc.) are not mutators
+        config.list_app = _().react({ list: [ 1, 2 ] }, {
+            render: function(state){
+                window.pfreak_list_renders++;
+
+                return _("+p", [ "Items: " + state.list + " " + state.list.hasOwnProperty(0) ]);
+            }
+        });
+
+        _("body").append([ config.app, config.list_app ]);
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var state = config.app.state;
+
+            window.pfreak_identity = state.todos === state.todos && state.todos[3] === state.todos[3];
+
+            state.b.name = "New B";
+            state.todos[3].done = true;
+            state.todos.push({ done: true }, { done: false });
+            delete state.a.name;
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !window.pfreak_identity ) throw "Proxy identity is not stable";
+
+        if( window.pfreak_updates.length != 1 ) throw "Update count is " + window.pfreak_updates.length;
+
+        var changed_keys = window.pfreak_updates[0][0];
+        var change_count = window.pfreak_updates[0][1];
+        var changes = window.pfreak_updates[0][2];
+
+        if( !("name" in changed_keys) || !("done" in changed_keys) || !("todos" in changed_keys) ) throw false;
+        if( change_count != 4 ) throw "Change count is " + change_count;
+        if( changes.length != 4 ) throw "Changes length is " + changes.length;
+
+        if( changes[0].path.join() != "b,name" ) throw changes[0].path.join();
+        if( changes[0].type != "set" || changes[0].old_value != "B" || changes[0].value != "New B" ) throw false;
+
+        if( changes[1].path[0] != "todos" || changes[1].path[1] !== 3 || changes[1].path[2] != "done" ) throw changes[1].path.join();
+        if( changes[1].old_value !== false || changes[1].value !== true ) throw false;
+
+        if( changes[2].path.join() != "todos" ) throw changes[2].path.join();
+        if( changes[2].type != "push" || changes[2].args.length != 2 || changes[2].result != 6 ) throw false;
+
+        if( changes[3].path.join() != "a,name" || changes[3].type != "delete" || changes[3].old_value != "A" ) throw false;
+
+        if( window.pfreak_list_renders != 1 ) throw "List render count is " + window.pfreak_list_renders;
+        if( document.querySelector("p").textContent != "Items: 1,2 true" ) throw document.querySelector("p").textContent;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_updates;
+        delete window.pfreak_identity;
+        delete window.pfreak_list_renders;
+    }
+});
@@ -0,0 +1,97 @@
+_pfreak.tasks.push({
+
+    short_name: "react_store",
+    display_order: 104,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_renders = { list: 0, label: 0, all: 0 };
+
+        config.store = _.store(
+            { todos: [ { text: "A" } ], filter: "all" },
+            {
+                actions: {
+                    add: function(state, text){
+                        return state.todos.push({ text: text });
+                    }
+                }
+            }
+        );
+
+        var store = config.store;
+
+        config.list = _().react({}, {
+            stores: [ [ store, function(state){ return state.todos; } ] ],
+
+            render: function(){
+                window.pfreak_renders.list++;
+
+                return _("+ul", store.state.todos.map(function(todo){
+                    return _("+li", [ todo.text ]);
+                }));
+            }
+        });
+
+        config.label = _().react({}, {
+            render: function(){
+                window.pfreak_renders.label++;
+                return _("+span", [ store.state.filter ]);
+            }
+        });
+
+        config.label.connect(store, function(state){ return state.filter; });
+
+        config.all = _().react({}, {
+            stores: [ store ],
+
+            render: function(){
+                window.pfreak_renders.all++;
+                return _("+b", [ store.state.todos.length + ":" + store.state.filter ]);
+            }
+        });
+
+        _("body").append([ config.list, config.label, config.all ]);
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.result = config.store.actions.add("B");
+            config.store.state.todos[0].text = "A2";
+
+            setTimeout(function(){
+                config.list_renders_before_remove = window.pfreak_renders.list;
+
+                config.list.remove();
+                config.store.actions.add("C"); //Disconnected at remove()
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        var renders = window.pfreak_renders;
+
+        if( config.result != 2 ) throw "Action result is " + config.result;
+
+        if( config.list_renders_before_remove != 2 ) throw "List render count is " + config.list_renders_before_remove;
+        if( renders.list != 2 || renders.label != 1 || renders.all != 3 ) throw JSON.stringify(renders);
+
+        if( _("ul").elems.length != 0 ) throw false;
+        if( _("b").text() != "3:all" ) throw _("b").text();
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_renders;
+    }
+});
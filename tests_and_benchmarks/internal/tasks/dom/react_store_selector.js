@@ -0,0 +1,86 @@
+_pfreak.tasks.push({
+
+    short_name: "react_store_selector",
+    display_order: 123,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_renders = { badge: 0, items: 0 };
+        window.pfreak_selected = [];
+
+        config.store = _.store({ count: 0, items: [] });
+
+        var store = config.store;
+
+        config.badge = _().react({}, {
+            stores: [ [ store, function(state){ return state.count > 5; } ] ],
+
+            render: function(){
+                window.pfreak_renders.badge++;
+                return _("+b", [ store.state.count > 5 ? "Many" : "Few" ]);
+            }
+        });
+
+        config.items = _().react({}, {
+            stores: [ [ store, function(state){ return state.items; } ] ],
+
+            render: function(){
+                window.pfreak_renders.items++;
+                return _("+ul", store.state.items.map(function(item){ return _("+li", [ item ]); }));
+            }
+        });
+
+        store.subscribe(function(is_many){
+            window.pfreak_selected.push(is_many);
+        }, function(state){ return state.count > 5; });
+
+        _("body").append([ config.badge, config.items ]);
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            var state = config.store.state;
+
+            state.count = 2;
+            state.count = 4;
+
+            setTimeout(function(){
+                config.badge_renders_same = window.pfreak_renders.badge;
+
+                state.count = 6;
+                state.count = 7;
+
+                //Same Array (mutated in place) is still a change
+                state.items.push("A");
+            }, 100);
+        }
+    },
+
+    assert: function(config, test_return){
+        var renders = window.pfreak_renders;
+
+        if( config.badge_renders_same != 1 ) throw "Re-rendered for the same selector result: " + config.badge_renders_same;
+        if( renders.badge != 2 || _("b").text() != "Many" ) throw JSON.stringify(renders) + " " + _("b").text();
+
+        if( window.pfreak_selected.join(",") != "true" ) throw window.pfreak_selected.join(",");
+
+        if( renders.items != 2 || _("li").text() != "A" ) throw JSON.stringify(renders);
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_renders;
+        delete window.pfreak_selected;
+    }
+});
@@ -0,0 +1,83 @@
+_pfreak.tasks.push({
+
+    short_name: "react_sync_listeners",
+    display_order: 99,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_events = [];
+
+        config.handlers = {
+            first: function(){ window.pfreak_events.push("first"); },
+            second: function(){ window.pfreak_events.push("second"); },
+            stable: function(){ window.pfreak_events.push("stable"); },
+            delegated: function(){ window.pfreak_events.push("delegated:" + this.tagName); },
+            prop: function(){ window.pfreak_events.push("prop"); }
+        };
+
+        config.app = _().react(
+            { handler: "first", with_prop: true, custom: "A" },
+            {
+                render: function(state){
+                    var button = _("+button", [ _("+b", ["Click"]) ])
+                        .on("click", config.handlers[ state.handler ])
+                        .on("click", config.handlers.stable)
+                        .prop("customValue", state.custom)
+                        .prop("notSynced", state.custom)
+                        .prop("onlyMode", state.custom)
+                        .sync("customValue");
+
+                    if( state.with_prop ) button.prop("onclick", config.handlers.prop);
+
+                    return _("+div", [ button ])
+                        .on("click", "b", config.handlers.delegated);
+                }
+            }
+        );
+
+        _("body").append( config.app );
+
+        config.oldButton = document.querySelector("button");
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            config.app.state.handler = "second";
+            config.app.state.with_prop = false;
+            config.app.state.custom = "B";
+        }
+    },
+
+    assert: function(config, test_return){
+        var button = document.querySelector("button");
+
+        if( button !== config.oldButton ) throw "Button is replaced";
+
+        document.querySelector("b").click();
+
+        if( window.pfreak_events.join() != "stable,second,delegated:B" ) throw window.pfreak_events.join();
+
+        if( button.onclick ) throw "onclick is not removed";
+        if( button.customValue != "B" ) throw "customValue is " + button.customValue;
+        if( button.notSynced != "A" ) throw "notSynced is " + button.notSynced;
+
+        //Not an event handler property
+        if( button.onlyMode != "A" ) throw "onlyMode is " + button.onlyMode;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_events;
+    }
+});
@@ -0,0 +1,112 @@
+_pfreak.tasks.push({
+
+    short_name: "react_transition",
+    display_order: 120,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_events = [];
+
+        //JS-DOM doesn't have a layout. Elements are 10px tall rows
+        window.pfreak_get_rect = Element.prototype.getBoundingClientRect;
+
+        Element.prototype.getBoundingClientRect = function(){
+            var index = this.parentNode ? Array.prototype.indexOf.call(this.parentNode.children, this) : 0;
+
+            return { left: 0, top: index * 10, width: 100, height: 10 };
+        };
+
+        config.list = _().react({ items: [ 1, 2, 3 ] }, {
+            render: function(state){
+                return _("+ul", state.items.map(function(item){
+                    return _("+li", [ "Item " + item ]).key(item).transition({ name: "fade", duration: 200 });
+                }));
+            }
+        });
+
+        config.modal = _().react({}, {
+            render: function(){
+                return _("+p", [ "Modal" ]);
+            },
+            didUnmount: function(){
+                window.pfreak_events.push("didUnmount");
+            }
+        }).transition({
+            leave: function(elem){
+                return new Promise(function(resolve){
+                    setTimeout(resolve, 100);
+                });
+            }
+        });
+
+        _("body").append([ config.list, config.modal ]);
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            var getItems = function(){
+                return _("li").map(function(elem){
+                    return elem.getAttribute("caldom-key") + ":" + elem.className;
+                }).join(",");
+            };
+
+            config.list.state.items = [ 3, 1, 4 ];
+
+            config.modal.remove();
+            config.modal_removed_at_once = !_("p").elems[0];
+            config.events_at_once = window.pfreak_events.join(",");
+
+            setTimeout(function(){
+                config.items_reordered = getItems();
+
+                config.list.state.items.push(5);
+
+                setTimeout(function(){
+                    config.items_pushed = getItems();
+
+                    setTimeout(function(){
+                        config.items_finished = getItems();
+                        config.modal_removed = !_("p").elems[0];
+                        config.events_finished = window.pfreak_events.join(",");
+                    }, 350);
+                }, 70);
+            }, 80);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.modal_removed_at_once ) throw "Removed before the leave animation";
+        if( config.events_at_once != "" ) throw "didUnmount is fired before the leave animation";
+
+        var expected = "3:fade-move,1:fade-move,2:fade-leave-active fade-leave-to,4:fade-enter-active fade-enter-to";
+        if( config.items_reordered != expected ) throw config.items_reordered;
+
+        //Leaving item is ignored by the diff & transition classes are kept
+        expected = "3:fade-move,1:fade-move,2:fade-leave-active fade-leave-to,4:fade-enter-active fade-enter-to,5:fade-enter-active fade-enter-to";
+        if( config.items_pushed != expected ) throw config.items_pushed;
+
+        if( config.items_finished != "3:,1:,4:,5:" ) throw config.items_finished;
+
+        if( !config.modal_removed ) throw "Not removed after the leave animation";
+        if( config.events_finished != "didUnmount" ) throw config.events_finished;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        if( window.pfreak_get_rect ) Element.prototype.getBoundingClientRect = window.pfreak_get_rect;
+
+        delete window.pfreak_events;
+        delete window.pfreak_get_rect;
+    }
+});
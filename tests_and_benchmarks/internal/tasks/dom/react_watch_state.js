@@ -0,0 +1,93 @@
+_pfreak.tasks.push({
+
+    short_name: "react_watch_state",
+    display_order: 103,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.pfreak_calls = [];
+
+        config.app = _().react(
+            {
+                filter: "all",
+                settings: { theme: "light" },
+                todos: [ { done: false }, { done: false } ]
+            },
+            {
+                render: function(state){
+                    return _("+p", [ state.filter ]);
+                },
+
+                watch: {
+                    "filter": function(value, change, component){
+                        //Executed after render()
+                        window.pfreak_calls.push("filter:" + value + ":" + change.old_value + ":" + component.text());
+                    },
+
+                    "todos.*.done": function(value, change){
+                        window.pfreak_calls.push("done:" + value + ":" + change.type);
+                    }
+                }
+            }
+        );
+
+        config.app.watchState("settings", function(value, change){
+            window.pfreak_calls.push("settings:" + change.type + ":" + value.theme);
+        }, { immediate: true, deep: true });
+
+        config.app.watchState("settings", function(){
+            window.pfreak_calls.push("shallow settings");
+        });
+
+        config.unwatch = config.app.watchState("filter", function(){
+            window.pfreak_calls.push("disposed");
+        });
+
+        _("body").append( config.app );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var state = config.app.state;
+
+            config.unwatch();
+
+            state.filter = "active";
+            state.filter = "done"; //Batched, called once
+            state.todos[1].done = true;
+            state.todos.push({ done: false });
+            state.settings.theme = "dark";
+
+            setTimeout(function(){
+                window.pfreak_calls_before_remove = window.pfreak_calls.join(",");
+
+                config.app.remove();
+                state.filter = "removed"; //Watchers are cleaned up at remove()
+            }, 200);
+        }
+    },
+
+    assert: function(config, test_return){
+        var expected = "settings:init:light,filter:done:active:done,done:true:set,done:undefined:push,settings:set:dark";
+
+        if( window.pfreak_calls_before_remove != expected ) throw window.pfreak_calls_before_remove;
+        if( window.pfreak_calls.join(",") != expected ) throw window.pfreak_calls.join(",");
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.pfreak_calls;
+        delete window.pfreak_calls_before_remove;
+    }
+});
@@ -0,0 +1,80 @@
+_pfreak.tasks.push({
+
+    short_name: "replace_keyed",
+    display_order: 95,
+    category: "dom",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<ul class="container">'
+                + '<li class="header">Header</li>'
+                + '<li caldom-key="1">One</li>'
+                + '<li caldom-key="2">Two</li>'
+                + '<li caldom-key="3">Three</li>'
+                + '<li caldom-key="4">Four</li>'
+            + '</ul>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( ".container" );
+        config.oldItems = Array.prototype.slice.call( document.querySelectorAll("li") );
+
+        config.oldItems[1].customProperty = "one";
+        config.oldItems[4].customProperty = "four";
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance.replace(function(){
+                return _("+ul", [
+                    _("+li", ["Header"]).addClass("header"),
+                    _("+li", ["Zero"]).key(0),
+                    _("+li", ["Four"]).key(4),
+                    _("+li", ["Two"]).key(2),
+                    _("+li", ["One Changed"]).key(1)
+                ]).addClass("container");
+            });
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !(test_return instanceof _.Component) ) throw "Returned is not an instance of CalDOM";
+        
+        var items = document.querySelectorAll("li");
+
+        if( items.length != 5 ) throw "Item count is " + items.length;
+
+        if( items[0] !== config.oldItems[0] ) throw "Header is replaced";
+        if( items[0].textContent != "Header" ) throw false;
+
+        if( items[1].getAttribute("caldom-key") != "0" ) throw false;
+        if( items[1].textContent != "Zero" ) throw false;
+
+        if( items[2] !== config.oldItems[4] ) throw "Key 4 is not moved";
+        if( items[2].customProperty != "four" ) throw false;
+
+        if( items[3] !== config.oldItems[2] ) throw "Key 2 is not preserved";
+
+        if( items[4] !== config.oldItems[1] ) throw "Key 1 is not moved";
+        if( items[4].customProperty != "one" ) throw false;
+        if( items[4].textContent != "One Changed" ) throw false;
+
+        if( config.oldItems[3].parentNode ) throw "Key 3 is not removed";
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+});
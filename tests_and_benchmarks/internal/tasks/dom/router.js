@@ -0,0 +1,160 @@
+_pfreak.tasks.push({
+
+    short_name: "router",
+    display_order: 118,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        history.replaceState(null, "", "/");
+
+        window.pfreak_events = [];
+
+        var page = function(name, text){
+            return _().react({}, {
+                render: function(){
+                    return _("+p", [ text ]);
+                },
+                didMount: function(){ window.pfreak_events.push("mount:" + name); },
+                didUnmount: function(){ window.pfreak_events.push("unmount:" + name); }
+            });
+        };
+
+        _("body").append([
+            _("+a", [ "Profile" ]).attr({ "data-link": "", href: "/users/7?tab=posts" }),
+            _("+div").attr("id", "app")
+        ]);
+
+        window.pfreak_router = _.router({
+            outlet: "#app",
+            routes: {
+                "/": function(){
+                    return page("home", "Home");
+                },
+                "/users/:id": function(route){
+                    return page("user", "User " + route.params.id + " " + route.query.tab);
+                },
+                "/admin": {
+                    component: function(){
+                        window.pfreak_admin = _().react({ count: 0 }, {
+                            render: function(state){
+                                return _("+section", [ _("+h1", [ "Admin " + state.count ]), _("+div").attr("caldom-outlet", "") ]);
+                            }
+                        });
+
+                        return window.pfreak_admin;
+                    },
+                    beforeEnter: function(to, from){
+                        window.pfreak_events.push("guard:" + from.path);
+
+                        return window.pfreak_allowed ? true : "/";
+                    },
+                    children: {
+                        "/": function(){
+                            return page("dashboard", "Dashboard");
+                        },
+                        "/reports": function(){
+                            return new Promise(function(resolve){
+                                setTimeout(function(){
+                                    resolve({ default: function(route){ return page("reports", "Reports " + route.query.year); } });
+                                }, 50);
+                            });
+                        }
+                    }
+                },
+                "*": function(){
+                    return page("not_found", "Not found");
+                }
+            }
+        });
+
+        config.html_initial = _("#app").html();
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            _("a").elems[0].click();
+
+            config.html_user = _("#app").html();
+            config.url_user = location.pathname + location.search;
+            config.params_user = JSON.stringify( window.pfreak_router.state.params );
+
+            window.pfreak_router.navigate("/admin");
+
+            config.url_denied = location.pathname;
+            window.pfreak_allowed = true;
+
+            window.pfreak_router.navigate("/admin");
+
+            config.html_admin = _("#app").html();
+            config.section = _("section").elems[0];
+
+            window.pfreak_router.navigate("/admin/reports?year=2024");
+
+            setTimeout(function(){
+                config.html_reports = _("#app").html();
+                config.section_kept = _("section").elems[0] === config.section;
+
+                window.pfreak_admin.state.count++;
+
+                setTimeout(function(){
+                    config.html_rerendered = _("#app").html();
+
+                    window.pfreak_router.navigate("/nope");
+                    config.html_not_found = _("#app").html();
+
+                    history.back();
+
+                    setTimeout(function(){
+                        config.html_back = _("#app").html();
+                    }, 150);
+                }, 150);
+            }, 150);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.html_initial != "<p>Home</p>" ) throw config.html_initial;
+
+        if( config.html_user != "<p>User 7 posts</p>" ) throw config.html_user;
+        if( config.url_user != "/users/7?tab=posts" ) throw config.url_user;
+        if( config.params_user != '{"id":"7"}' ) throw config.params_user;
+
+        if( config.url_denied != "/" ) throw "Guard didn't redirect: " + config.url_denied;
+
+        if( config.html_admin != '<section><h1>Admin 0</h1><div caldom-outlet=""><p>Dashboard</p></div></section>' ) throw config.html_admin;
+        if( config.html_reports != '<section><h1>Admin 0</h1><div caldom-outlet=""><p>Reports 2024</p></div></section>' ) throw config.html_reports;
+        if( !config.section_kept ) throw "Parent route component is replaced";
+        if( config.html_rerendered != '<section><h1>Admin 1</h1><div caldom-outlet=""><p>Reports 2024</p></div></section>' ) throw config.html_rerendered;
+
+        if( config.html_not_found != "<p>Not found</p>" ) throw config.html_not_found;
+        if( config.html_back != '<section><h1>Admin 0</h1><div caldom-outlet=""><p>Reports 2024</p></div></section>' ) throw config.html_back;
+
+        var events = window.pfreak_events.join(",");
+        var expected = "mount:home,unmount:home,mount:user,guard:/users/7,unmount:user,mount:home,guard:/,unmount:home,mount:dashboard,"
+            + "unmount:dashboard,mount:reports,unmount:reports,mount:not_found,guard:/nope,unmount:not_found,mount:reports";
+
+        if( events != expected ) throw events;
+    },
+
+    reset: function(){
+        if( window.pfreak_router ) window.pfreak_router.destroy();
+
+        _pfreak.clearBody();
+        history.replaceState(null, "", "/");
+
+        delete window.pfreak_events;
+        delete window.pfreak_router;
+        delete window.pfreak_admin;
+        delete window.pfreak_allowed;
+    }
+});
@@ -0,0 +1,151 @@
+_pfreak.tasks.push({
+
+    short_name: "router_errors",
+    display_order: 125,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        history.replaceState(null, "", "/");
+
+        window.pfreak_errors = [];
+        window.pfreak_loop_guards = 0;
+        window.pfreak_on_error = _.onError;
+
+        _.onError = function(error, component, phase){
+            window.pfreak_errors.push(phase + ":" + error.message);
+        };
+
+        _("body").append([
+            _("+a", [ "External" ]).attr({ "data-link": "", href: "https://example.com/files/a" }),
+            _("+div").attr("id", "app")
+        ]);
+
+        window.pfreak_router = _.router({
+            outlet: "#app",
+            routes: {
+                "/": function(){
+                    return _("+p", [ "Home" ]);
+                },
+                "/files/:name": function(route){
+                    return _("+p", [ route.params.name + "|" + route.query.q ]);
+                },
+                "/broken": function(){
+                    throw new Error("Broken");
+                },
+                "/lazy": function(){
+                    return Promise.reject( new Error("Lazy") );
+                },
+                "/loop": {
+                    component: function(){
+                        return _("+p", [ "Loop" ]);
+                    },
+                    //Also runs for its own children
+                    beforeEnter: function(){
+                        window.pfreak_loop_guards++;
+                        return "/loop/child";
+                    },
+                    children: {
+                        "/child": function(){
+                            return _("+p", [ "Child" ]);
+                        }
+                    }
+                }
+            }
+        });
+
+        //Runs after the router's delegated listener on the document
+        window.pfreak_on_click = function(e){
+            config.external_prevented = e.defaultPrevented;
+            e.preventDefault(); //JS-DOM doesn't navigate
+        };
+
+        document.addEventListener("click", window.pfreak_on_click);
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            window.pfreak_router.navigate("/files/a+b%20c?q=x+y%2B&__proto__[polluted]=1");
+
+            config.html_file = _("#app").html();
+            config.polluted = ({}).polluted;
+
+            _("a").elems[0].click();
+
+            window.pfreak_router.navigate("/broken").then(function(result){
+                config.broken_result = result;
+            });
+
+            config.html_broken = _("#app").html();
+            config.state_broken = window.pfreak_router.state.path;
+
+            //Location is restored after a failed back/forward navigation
+            history.pushState(null, "", "/broken");
+            window.dispatchEvent( new PopStateEvent("popstate") );
+
+            config.url_restored = location.pathname;
+
+            window.pfreak_router.navigate("/lazy").then(function(result){
+                config.lazy_result = result;
+                config.html_lazy = _("#app").html();
+
+                return window.pfreak_router.navigate("/loop");
+            }).then(function(result){
+                config.loop_result = result;
+
+                //Default _.onError() rejects navigate()
+                _.onError = window.pfreak_on_error;
+
+                window.pfreak_router.navigate("/broken").then(null, function(error){
+                    config.rejected = error.message;
+                });
+            });
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.html_file != "<p>a+b c|x y+</p>" ) throw config.html_file;
+        if( config.polluted !== undefined ) throw "Object.prototype is polluted";
+
+        if( config.external_prevented !== false ) throw "External link is navigated by the router";
+
+        if( config.broken_result !== false ) throw "Failed navigation is resolved with " + config.broken_result;
+        if( config.html_broken != "<p>a+b c|x y+</p>" || config.state_broken != "/files/a+b%20c" ) throw config.html_broken + " " + config.state_broken;
+        if( config.url_restored != "/files/a+b%20c" ) throw config.url_restored;
+
+        if( config.lazy_result !== false || config.html_lazy != "<p>a+b c|x y+</p>" ) throw config.lazy_result + " " + config.html_lazy;
+
+        if( config.loop_result !== false || window.pfreak_loop_guards != 11 ) throw "Redirect loop: " + config.loop_result + " " + window.pfreak_loop_guards;
+
+        var expected = 'navigate:Broken,navigate:Broken,navigate:Lazy,navigate:Navigation to "/loop/child" exceeded 10 redirects. Check beforeEnter() guards for a redirect loop';
+        if( window.pfreak_errors.join(",") != expected ) throw window.pfreak_errors.join(",");
+        if( config.rejected != "Broken" ) throw "navigate() is not rejected: " + config.rejected;
+    },
+
+    reset: function(){
+        if( window.pfreak_router ) window.pfreak_router.destroy();
+
+        _pfreak.clearBody();
+        history.replaceState(null, "", "/");
+
+        if( window.pfreak_on_error ) _.onError = window.pfreak_on_error;
+
+        document.removeEventListener("click", window.pfreak_on_click);
+
+        delete Object.prototype.polluted;
+        delete window.pfreak_errors;
+        delete window.pfreak_loop_guards;
+        delete window.pfreak_on_error;
+        delete window.pfreak_router;
+        delete window.pfreak_on_click;
+    }
+});
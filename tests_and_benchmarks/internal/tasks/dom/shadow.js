@@ -0,0 +1,74 @@
+_pfreak.tasks.push({
+
+    short_name: "shadow",
+    display_order: 107,
+    category: "dom",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        config.card = _().react({ title: "Hello" }, {
+            shadowRoot: { styles: "h1 { color: red; }" },
+
+            render: function(state){
+                return _("+section", [ _("+h1", [ state.title ]) ]).addClass("card");
+            }
+        });
+
+        _("body").append([ config.card, _("+div").attr("id", "widget") ]);
+
+        config.initial_h1 = config.card.shadow().find("h1").elems[0];
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            var widget_root = _("#widget").shadow({ styles: ".x { color: blue; }" });
+
+            widget_root.append([
+                _("+b", [ "Inside" ]).addClass("x"),
+                _.q("+i", widget_root.elems[0])[0]
+            ]);
+
+            config.card.state.title = "World";
+        }
+    },
+
+    assert: function(config, test_return){
+        var widget = _("#widget");
+
+        if( widget.html() != "" ) throw "Light DOM of the host is not empty";
+        if( _("b").elems.length != 0 ) throw "Shadow content is visible to the document";
+
+        var widget_root = widget.shadow();
+
+        if( widget_root.elems[0] !== widget.elems[0].shadowRoot ) throw false;
+        if( widget_root.find(".x").text() != "Inside" ) throw widget_root.find(".x").text();
+        if( widget_root.find("i").elems.length != 1 ) throw false;
+
+        var card = config.card;
+        var h1 = card.shadow().find("h1");
+
+        if( card.html() != "" ) throw card.html();
+        if( h1.text() != "World" ) throw h1.text();
+        if( h1.elems[0] !== config.initial_h1 ) throw "Shadow content is replaced instead of diffed";
+        if( !card.elems[0].classList.contains("card") ) throw false;
+
+        //Styles are applied once (via adoptedStyleSheets or a single <style>)
+        var shadow_root = card.elems[0].shadowRoot;
+        var style_count = shadow_root.adoptedStyleSheets ? shadow_root.adoptedStyleSheets.length : card.shadow().find("style").elems.length;
+
+        if( style_count != 1 ) throw "Style count is " + style_count;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+    }
+});
@@ -0,0 +1,69 @@
+_pfreak.tasks.push({
+
+    short_name: "off_delegated",
+    display_order: 98,
+    category: "events",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.test_events = [];
+
+        config.onEventCallbackOne = function(e){
+            window.test_events.push( "one" );
+        }
+
+        config.onEventCallbackTwo = function(e){
+            window.test_events.push( "two" );
+        }
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<div class="container">'
+                + '<input type="text" value="one" />'
+                + '<button>Button</button>'
+            + '</div>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( ".container" )
+            .on("click mousedown", "input", config.onEventCallbackOne)
+            .on("click", "input", config.onEventCallbackTwo)
+            .on("click", "button", config.onEventCallbackTwo);
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance
+                .off("click", "input", config.onEventCallbackOne)
+                .off("click", "button");
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !(test_return instanceof _.Component) ) throw "Returned is not an instance of CalDOM";
+        
+        document.querySelector("input").click();
+        document.querySelector("button").click();
+        document.querySelector("input").dispatchEvent( new MouseEvent("mousedown", { bubbles: true }) );
+
+        if( window.test_events.length != 2 ) throw "Event count is " + window.test_events.length;
+        if( window.test_events[0] != "two" ) throw false;
+        if( window.test_events[1] != "one" ) throw false;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.test_events;
+    }
+});
@@ -0,0 +1,74 @@
+_pfreak.tasks.push({
+
+    short_name: "on_delegated",
+    display_order: 97,
+    category: "events",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+    
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.test_events = [];
+
+        config.onEventCallback = function(e){
+            window.test_events.push([ this, e.currentTarget, e.delegateTarget ]);
+        }
+        
+        var div = document.createElement("div");
+
+        div.innerHTML = 
+            '<table class="container">'
+                + '<tr><td><span>one</span></td></tr>'
+                + '<tr><td>two</td></tr>'
+                + '<tr><th>header</th></tr>'
+            + '</table>';
+
+        document.body.appendChild( div );
+
+        config.caldomInstance = _( ".container" );
+
+        return config;
+    },
+    
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance.on("click", "td", config.onEventCallback);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( !(test_return instanceof _.Component) ) throw "Returned is not an instance of CalDOM";
+
+        var table = document.querySelector(".container");
+        var cells = document.querySelectorAll("td");
+
+        //Added after on()
+        var new_row = table.insertRow(-1);
+        var new_cell = new_row.insertCell(-1);
+
+        document.querySelector("span").click();
+        cells[1].click();
+        document.querySelector("th").click();
+        new_cell.click();
+
+        if( window.test_events.length != 3 ) throw "Event count is " + window.test_events.length;
+
+        if( window.test_events[0][0] !== cells[0] ) throw false;
+        if( window.test_events[0][1] !== cells[0] ) throw false;
+        if( window.test_events[0][2] !== table ) throw false;
+
+        if( window.test_events[1][0] !== cells[1] ) throw false;
+        if( window.test_events[2][0] !== new_cell ) throw false;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        delete window.test_events;
+    }
+});
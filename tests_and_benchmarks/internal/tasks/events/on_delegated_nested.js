@@ -0,0 +1,86 @@
+_pfreak.tasks.push({
+
+    short_name: "on_delegated_nested",
+    display_order: 122,
+    category: "events",
+    description: "",
+    assert_delay: 0,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        window.test_events = [];
+
+        var div = document.createElement("div");
+
+        div.innerHTML =
+            '<div class="container">'
+                + '<div class="item"><div class="item"><span>one</span></div></div>'
+            + '</div>';
+
+        document.body.appendChild( div );
+
+        window.test_body_listener = function(e){
+            window.test_events.push([ "body", e.currentTarget ]);
+        };
+
+        document.body.addEventListener("click", window.test_body_listener);
+
+        config.caldomInstance = _( ".container" );
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            return config.caldomInstance.on("click", ".item", function(e){
+                window.test_events.push([ "item", e.currentTarget ]);
+
+                if( window.test_throw ) throw new Error("Handler error");
+            });
+        }
+    },
+
+    assert: function(config, test_return){
+        var items = document.querySelectorAll(".item");
+        var span = document.querySelector("span");
+
+        span.click();
+
+        if( window.test_events.length != 3 ) throw "Event count is " + window.test_events.length;
+
+        if( window.test_events[0][1] !== items[1] ) throw "Inner currentTarget";
+        if( window.test_events[1][1] !== items[0] ) throw "Outer currentTarget";
+
+        //Non-delegated listeners get the actual currentTarget
+        if( window.test_events[2][1] !== document.body ) throw "Body currentTarget is " + window.test_events[2][1].nodeName;
+
+        //Override is removed even if the handler throws. Errors are reported by the browser, not by dispatchEvent()
+        var on_error = function(e){ e.preventDefault(); };
+
+        window.test_events = [];
+        window.test_throw = true;
+        window.addEventListener("error", on_error);
+
+        span.click();
+
+        window.removeEventListener("error", on_error);
+
+        if( window.test_events.length != 2 ) throw "Event count after throwing is " + window.test_events.length;
+        if( window.test_events[1][1] !== document.body ) throw "Body currentTarget after throwing is " + window.test_events[1][1].nodeName;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        document.body.removeEventListener("click", window.test_body_listener);
+
+        delete window.test_events;
+        delete window.test_body_listener;
+        delete window.test_throw;
+    }
+});
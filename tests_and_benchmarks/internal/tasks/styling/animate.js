@@ -0,0 +1,140 @@
+_pfreak.tasks.push({
+
+    short_name: "animate",
+    display_order: 121,
+    category: "styling",
+    description: "",
+    assert_delay: 1000,
+
+    setTaskData: function(config){
+        return config;
+    },
+
+    candidateSetup: function(config){
+        _pfreak.clearBody();
+
+        var div = document.createElement("div");
+
+        div.innerHTML =
+            '<div class="box">One</div>'
+            + '<div class="box">Two</div>'
+            + '<div class="box" style="display: none;">Three</div>';
+
+        document.body.appendChild( div );
+
+        //JS-DOM doesn't support the Web Animations API. A minimal stub finishing after delay + duration
+        window.pfreak_animations = [];
+        window.pfreak_animate = Element.prototype.animate;
+
+        Element.prototype.animate = function(keyframes, timing){
+            var animation = { keyframes: keyframes, timing: timing, calls: [], playState: "running" };
+            var settle;
+
+            animation.finished = new Promise(function(resolve, reject){
+                settle = { resolve: resolve, reject: reject };
+            });
+
+            var timer = setTimeout(function(){
+                animation.playState = "finished";
+                settle.resolve(animation);
+            }, timing.delay + timing.duration);
+
+            animation.cancel = function(){
+                animation.calls.push("cancel");
+                clearTimeout(timer);
+
+                if( animation.playState == "running" ) settle.reject( new Error("Aborted") );
+                animation.playState = "idle";
+            };
+
+            [ "finish", "reverse", "pause", "play" ].forEach(function(method){
+                animation[method] = function(){ animation.calls.push(method); };
+            });
+
+            window.pfreak_animations.push(animation);
+
+            return animation;
+        };
+
+        return config;
+    },
+
+    candidates: {
+        "caldom": function(config){
+            var getDisplays = function(){
+                return _(".box").map(function(elem){ return elem.style.display; }).join(",");
+            };
+
+            _(".box").animate([ { opacity: 0 }, { opacity: 1 } ], { duration: [ 30, 60, 90 ], stagger: 10 }).then(function(finished){
+                config.finished = finished;
+            });
+
+            config.timings = window.pfreak_animations.map(function(animation){
+                return animation.timing.duration + "/" + animation.timing.delay;
+            }).join(",");
+
+            var canceled = _(".box").animate({ opacity: [ 1, 0 ] }, 1000).reverse().cancel();
+
+            config.canceled_calls = window.pfreak_animations[3].calls.join(",");
+
+            canceled.then(function(finished){
+                config.canceled_finished = finished;
+            });
+
+            setTimeout(function(){
+                window.pfreak_animations = [];
+
+                _(".box").toggle("fade", 30).then(function(finished){
+                    config.toggle_finished = finished;
+                    config.displays_toggled = getDisplays();
+                });
+
+                config.displays_toggling = getDisplays();
+
+                config.toggle_keyframes = window.pfreak_animations.map(function(animation){
+                    return animation.keyframes[0].opacity + ">" + animation.keyframes[1].opacity + ":" + animation.timing.fill;
+                }).join(",");
+
+                config.toggle_animations = window.pfreak_animations;
+
+                setTimeout(function(){
+                    window.pfreak_animations = [];
+
+                    _(".box").slideDown(30);
+
+                    config.slide_count = window.pfreak_animations.length;
+                    config.slide_start_height = window.pfreak_animations[0].keyframes[0].height;
+                    config.displays_sliding = getDisplays();
+                }, 150);
+            }, 150);
+        }
+    },
+
+    assert: function(config, test_return){
+        if( config.timings != "30/0,60/10,90/20" ) throw config.timings;
+        if( config.finished !== true ) throw "Not resolved with true: " + config.finished;
+
+        if( config.canceled_calls != "reverse,cancel" ) throw config.canceled_calls;
+        if( config.canceled_finished !== false ) throw "Canceled is not resolved with false";
+
+        if( config.displays_toggling != ",,block" ) throw config.displays_toggling;
+        if( config.toggle_keyframes != "1>0:forwards,1>0:forwards,0>1:auto" ) throw config.toggle_keyframes;
+        if( config.toggle_finished !== true || config.displays_toggled != "none,none,block" ) throw config.displays_toggled;
+
+        //Filled last frames are removed after hiding
+        if( config.toggle_animations[0].calls.join(",") != "cancel" || config.toggle_animations[2].calls.length ) throw "Filled animations are not canceled";
+
+        if( config.slide_count != 2 || config.slide_start_height != "0px" ) throw config.slide_count + " " + config.slide_start_height;
+        if( config.displays_sliding != "block,block,block" ) throw config.displays_sliding;
+    },
+
+    reset: function(){
+        _pfreak.clearBody();
+
+        if( window.pfreak_animate ) Element.prototype.animate = window.pfreak_animate;
+        else delete Element.prototype.animate;
+
+        delete window.pfreak_animations;
+        delete window.pfreak_animate;
+    }
+});
@@ -0,0 +1,65 @@
+// Node JS test of the built-in server DOM & _.renderToString(). Run: node ./tests_and_benchmarks/server/render_to_string.js
+
+var assert = require("assert");
+var _ = require("../../src/caldom.server.js");
+
+var events = [];
+
+class Badge extends _.Component{
+    constructor(state){
+        super();
+        this.react(state);
+    }
+
+    render(state){
+        return _("+span", [ state.label ]).attr("title", state.title);
+    }
+}
+
+class Card extends _.Component{
+    constructor(state){
+        super();
+        this.react(state);
+    }
+
+    render(state){
+        return _("+div", [
+            _("+h2", [ state.name ]),
+            new Badge({ label: "<New> & \"hot\"", title: 'Say "hi" & <bye>' }),
+            _("+br"),
+            _("+img").attr({ src: "/a.png?x=1&y=2", alt: "" }),
+            _("+input").attr({ type: "checkbox", checked: "" }),
+            _("+p").html("<b>Kept</b>")
+        ]).attr({ "class": "card", "data-id": 7 }).on("click", function(){});
+    }
+
+    didMount(){
+        events.push("didMount:card");
+    }
+
+    didUnmount(){
+        events.push("didUnmount:card");
+    }
+}
+
+//Attribute values escape & & " only, same as outerHTML of browsers
+var html = _.renderToString( new Card({ name: "<script>alert(1)</script>" }) );
+
+assert.strictEqual(html,
+    '<div class="card" data-id="7">'
+        + "<h2>&lt;script&gt;alert(1)&lt;/script&gt;</h2>"
+        + '<span title="Say &quot;hi&quot; &amp; <bye>">&lt;New&gt; &amp; "hot"</span>'
+        + "<br>"
+        + '<img src="/a.png?x=1&amp;y=2" alt="">'
+        + '<input type="checkbox" checked="">'
+        + "<p><b>Kept</b></p>"
+    + "</div>"
+);
+
+//Mounted into a detached container & removed after serialising
+assert.strictEqual(events.join(","), "didMount:card,didUnmount:card");
+
+//Plain CalDom instances, Nodes & strings
+assert.strictEqual( _.renderToString([ _("+hr"), "a < b", _("+em", [ "c" ]).elems[0] ]), "<hr>a &lt; b<em>c</em>" );
+
+console.log("renderToString: OK");